@@ -1,6 +1,8 @@
 const Employee = require('../models/Employee');
 const Leave = require('../models/Leave');
+const AttendanceException = require('../models/AttendanceException');
 const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
 const { errorResponse } = require('../utils/apiResponse');
 
 // Helper to get company ID from user ID
@@ -84,4 +86,37 @@ exports.getRecentLeaves = async (req, res) => {
         console.error('Error getting recent leaves:', error);
         res.status(500).json({ message: 'Error fetching recent leaves' });
     }
-};
\ No newline at end of file
+};
+
+// Open attendance exceptions: the company's with time.read, direct reports' with team.time.read, otherwise own
+exports.getAttendanceSummary = async (req, res) => {
+    try {
+        const companyId = await getCompanyIdFromUser(req.user.userId);
+        if (!companyId) {
+            return errorResponse(res, 'Could not determine user\'s company', 400);
+        }
+
+        const filter = { company: companyId, status: 'open' };
+        if (!hasPermission(req.user, 'time.read')) {
+            const reports = hasPermission(req.user, 'team.time.read')
+                ? await Employee.find({ company: companyId, reportingManager: req.user.employeeId }).select('_id').lean()
+                : [];
+            filter.employee = { $in: [req.user.employeeId, ...reports.map(emp => emp._id)].filter(Boolean) };
+        }
+
+        const types = AttendanceException.schema.path('type').enumValues;
+        const [counts, recent] = await Promise.all([
+            Promise.all(types.map(type => AttendanceException.countDocuments({ ...filter, type }))),
+            AttendanceException.find(filter)
+                .sort({ date: -1 })
+                .limit(10)
+                .populate('employee', 'firstName lastName')
+        ]);
+        const openByType = Object.fromEntries(types.map((type, i) => [type, counts[i]]));
+
+        res.json({ openByType, recent });
+    } catch (error) {
+        console.error('Error getting attendance summary:', error);
+        res.status(500).json({ message: 'Error fetching attendance summary' });
+    }
+};
@@ -0,0 +1,65 @@
+const { runLeaveAccrual } = require('../utils/leaveAccrual');
+const { runAttendanceChecks } = require('../utils/attendance');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+// In-process scheduled jobs. Every job is idempotent, so running several
+// server instances (or running a job again by hand) never double-posts.
+const jobs = [
+    {
+        name: 'leaveAccrual',
+        intervalMs: (parseFloat(process.env.LEAVE_ACCRUAL_INTERVAL_HOURS) || 6) * HOUR_MS,
+        run: async () => {
+            const { employees, entries } = await runLeaveAccrual();
+            return `${entries} ledger entries posted for ${employees} employees`;
+        }
+    },
+    {
+        name: 'attendanceChecks',
+        intervalMs: (parseFloat(process.env.ATTENDANCE_CHECK_INTERVAL_MINUTES) || 30) * MINUTE_MS,
+        run: async () => {
+            const { employees, lateArrivals, missedClockOuts, autoClosed, absences } = await runAttendanceChecks();
+            return `${employees} employees checked: ${lateArrivals} late arrivals, ${missedClockOuts} missed clock-outs ` +
+                `(${autoClosed} closed automatically), ${absences} absences`;
+        }
+    }
+];
+
+const timers = [];
+
+const runJob = async (job) => {
+    if (job.running) return;
+    job.running = true;
+    try {
+        const summary = await job.run();
+        console.log(`Job ${job.name} finished: ${summary}`);
+    } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start the scheduled jobs (set JOBS_ENABLED=false to run them elsewhere)
+ */
+const startJobs = () => {
+    if (process.env.JOBS_ENABLED === 'false' || timers.length > 0) return;
+
+    for (const job of jobs) {
+        timers.push(setTimeout(() => runJob(job), FIRST_RUN_DELAY_MS).unref());
+        timers.push(setInterval(() => runJob(job), job.intervalMs).unref());
+    }
+    console.log(`Scheduled jobs started: ${jobs.map(job => job.name).join(', ')}`);
+};
+
+const stopJobs = () => {
+    timers.splice(0).forEach(timer => clearTimeout(timer));
+};
+
+module.exports = {
+    startJobs,
+    stopJobs
+};
@@ -0,0 +1,90 @@
+const Company = require('../models/Company');
+const { createTransport, sentMessages } = require('./transports');
+const { renderTemplate } = require('./templates');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = 5000;
+
+let transport = null;
+const queue = [];
+let processing = false;
+let nextJobId = 1;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+};
+
+// Sender details, with the company's own sender name and reply-to taking precedence
+const resolveSender = async (companyId) => {
+    const company = companyId ? await Company.findById(companyId).select('name mailSettings').lean() : null;
+    const fromAddress = process.env.MAIL_FROM_ADDRESS || 'no-reply@quantumsphere.local';
+    const fromName = company?.mailSettings?.senderName || process.env.MAIL_FROM_NAME || company?.name || 'QuantumSphere';
+
+    return {
+        companyName: company?.name,
+        from: { name: fromName, address: fromAddress },
+        replyTo: company?.mailSettings?.replyTo || process.env.MAIL_REPLY_TO || undefined
+    };
+};
+
+const deliver = async (job) => {
+    const { companyName, from, replyTo } = await resolveSender(job.company);
+    const { subject, text, html } = renderTemplate(job.template, { companyName, ...job.data });
+
+    return getTransport().sendMail({ from, replyTo, to: job.to, subject, text, html });
+};
+
+const processQueue = async () => {
+    if (processing) return;
+    processing = true;
+
+    while (queue.length > 0) {
+        const job = queue.shift();
+        try {
+            job.attempts += 1;
+            await deliver(job);
+        } catch (error) {
+            if (job.attempts < MAX_ATTEMPTS) {
+                console.error(`Mail job ${job.id} (${job.template}) failed, retrying: ${error.message}`);
+                setTimeout(() => {
+                    queue.push(job);
+                    processQueue();
+                }, RETRY_DELAY_MS * job.attempts).unref();
+            } else {
+                console.error(`Mail job ${job.id} (${job.template}) to ${job.to} failed permanently: ${error.message}`);
+            }
+        }
+    }
+
+    processing = false;
+};
+
+/**
+ * Queue a templated email. Returns immediately; delivery happens in the background.
+ * @param {string} template - Template name (see ./templates)
+ * @param {Object} options - { to, company, data }
+ * @returns {number} Job ID
+ */
+const sendMail = (template, { to, company, data = {} }) => {
+    const job = {
+        id: nextJobId++,
+        template,
+        to,
+        company: company?._id || company,
+        data,
+        attempts: 0
+    };
+
+    queue.push(job);
+    setImmediate(processQueue);
+
+    return job.id;
+};
+
+module.exports = {
+    sendMail,
+    sentMessages
+};
@@ -0,0 +1,286 @@
+/**
+ * Email templates. Each template receives the data passed to sendMail plus
+ * `companyName`, and returns { subject, text, html }.
+ */
+const { formatLocalTime } = require('../utils/timezones');
+
+const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+const formatDate = (date) => {
+    return date ? new Date(date).toISOString().slice(0, 10) : '';
+};
+
+// Wrap text paragraphs (and an optional call-to-action link) in a minimal HTML layout
+const layout = ({ greeting, paragraphs, action, companyName }) => {
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+        companyName ? `— ${companyName}` : ''
+    ].join('\n').trim();
+
+    const html = [
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : '',
+        companyName ? `<p>— ${escapeHtml(companyName)}</p>` : ''
+    ].join('\n');
+
+    return { text, html };
+};
+
+const leaveSummary = (leave) => {
+    const summary = `${leave.type} leave from ${formatDate(leave.startDate)} to ${formatDate(leave.endDate)}`;
+    const days = leave.duration?.days;
+    return days != null ? `${summary} (${days} working day${days === 1 ? '' : 's'})` : summary;
+};
+
+// What a cancellation or modification request asks for
+const changeSummary = (change) => {
+    if (change.kind === 'modify') {
+        return `move it to ${formatDate(change.startDate)} – ${formatDate(change.endDate)}`;
+    }
+    return change.cancelFrom ? `cancel it from ${formatDate(change.cancelFrom)} on` : 'cancel it';
+};
+
+const shiftSummary = (shift) => `${formatDate(shift.date)} ${shift.startTime}–${shift.endTime}`;
+
+// What a shift swap asks for, from the requester's side
+const swapSummary = (swap) => {
+    return swap.colleagueShift
+        ? `trade the shift on ${shiftSummary(swap.shift)} for the shift on ${shiftSummary(swap.colleagueShift)}`
+        : `hand over the shift on ${shiftSummary(swap.shift)}`;
+};
+
+const templates = {
+    invite: ({ firstName, companyName, inviteLink, expiresAt }) => ({
+        subject: `You're invited to join ${companyName || 'your team'}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `You have been invited to join ${companyName || 'your company'}. Use the link below to set your password and complete your profile.`,
+                `This link can be used once and expires on ${formatDate(expiresAt)}.`
+            ],
+            action: { label: 'Accept invitation', url: inviteLink },
+            companyName
+        })
+    }),
+
+    passwordReset: ({ firstName, companyName, resetLink, expiresInMinutes }) => ({
+        subject: 'Reset your password',
+        ...layout({
+            greeting: `Hi ${firstName || 'there'},`,
+            paragraphs: [
+                'We received a request to reset your password. Use the link below to choose a new one.',
+                `The link expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+            ],
+            action: { label: 'Reset password', url: resetLink },
+            companyName
+        })
+    }),
+
+    leaveSubmitted: ({ approverName, employeeName, leave, companyName }) => ({
+        subject: `Leave request from ${employeeName}`,
+        ...layout({
+            greeting: `Hi ${approverName || 'there'},`,
+            paragraphs: [
+                `${employeeName} has requested ${leaveSummary(leave)}.`,
+                leave.reason ? `Reason: ${leave.reason}` : '',
+                ...(leave.coverageWarnings || []).map(warning =>
+                    `Coverage warning: ${warning.absent} of ${warning.size} people in the ${warning.scope} would be off on ${formatDate(warning.date)}.`)
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    leaveApproved: ({ firstName, leave, comments, companyName }) => ({
+        subject: 'Your leave request was approved',
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your ${leaveSummary(leave)} has been approved.`,
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    leaveRejected: ({ firstName, leave, comments, companyName }) => ({
+        subject: 'Your leave request was rejected',
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your ${leaveSummary(leave)} has been rejected.`,
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    leaveChangeRequested: ({ approverName, employeeName, leave, change, companyName }) => ({
+        subject: `Leave change request from ${employeeName}`,
+        ...layout({
+            greeting: `Hi ${approverName || 'there'},`,
+            paragraphs: [
+                `${employeeName} would like to ${changeSummary(change)}: ${leaveSummary(leave)}.`,
+                `Reason: ${change.reason}`
+            ],
+            companyName
+        })
+    }),
+
+    leaveChangeDecided: ({ firstName, leave, change, comments, companyName }) => ({
+        subject: `Your leave ${change.kind === 'cancel' ? 'cancellation' : 'change'} was ${change.status}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your request to ${changeSummary(change)} has been ${change.status}.`,
+                leave.status === 'canceled' ? 'The leave is canceled.' : `Your leave is now ${leaveSummary(leave)}.`,
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    timesheetSubmitted: ({ approverName, employeeName, weekStart, totalHours, companyName }) => ({
+        subject: `Timesheet from ${employeeName}`,
+        ...layout({
+            greeting: `Hi ${approverName || 'there'},`,
+            paragraphs: [
+                `${employeeName} has submitted the timesheet for the week of ${formatDate(weekStart)} (${totalHours} hours) for your approval.`
+            ],
+            companyName
+        })
+    }),
+
+    timesheetDecided: ({ firstName, weekStart, status, comments, companyName }) => ({
+        subject: `Your timesheet was ${status}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your timesheet for the week of ${formatDate(weekStart)} has been ${status}.`,
+                status === 'rejected' ? 'Please correct your time entries and submit the week again.' : '',
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    timeCorrectionRequested: ({ approverName, employeeName, date, reason, companyName }) => ({
+        subject: `Time correction from ${employeeName}`,
+        ...layout({
+            greeting: `Hi ${approverName || 'there'},`,
+            paragraphs: [
+                `${employeeName} has asked to correct their time entry for ${formatDate(date)}.`,
+                `Reason: ${reason}`
+            ],
+            companyName
+        })
+    }),
+
+    timeCorrectionDecided: ({ firstName, date, status, comments, companyName }) => ({
+        subject: `Your time correction was ${status}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your correction of the time entry for ${formatDate(date)} has been ${status}.`,
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+
+    missedClockOut: ({ firstName, date, clockInTime, timeZone = 'UTC', companyName }) => ({
+        subject: 'You did not clock out',
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `You clocked in on ${formatDate(date)}${clockInTime ? ` at ${formatLocalTime(clockInTime, timeZone)} (${timeZone})` : ''} but there is no clock-out for that day.`,
+                'Please submit a time correction so your timesheet is accurate.'
+            ],
+            companyName
+        })
+    }),
+    rosterPublished: ({ firstName, shifts, companyName }) => ({
+        subject: 'Your shifts have been published',
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                'New or changed shifts have been published on the roster for you (times in your timezone):',
+                ...shifts.map(shift => `• ${shiftSummary(shift)}${shift.notes ? ` (${shift.notes})` : ''}`)
+            ],
+            companyName
+        })
+    }),
+    shiftRemoved: ({ firstName, shift, companyName }) => ({
+        subject: 'A shift was removed from your roster',
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `Your shift on ${shiftSummary(shift)} (in your timezone) has been removed from the roster.`,
+                'Check the roster for your current shifts.'
+            ],
+            companyName
+        })
+    }),
+    shiftSwapRequested: ({ firstName, requesterName, swap, companyName }) => ({
+        subject: `Shift swap request from ${requesterName}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `${requesterName} would like to ${swapSummary(swap)} with you.`,
+                swap.reason ? `Reason: ${swap.reason}` : '',
+                'Accept or decline the request in the app; accepted swaps still need a manager\'s approval.'
+            ].filter(Boolean),
+            companyName
+        })
+    }),
+    shiftSwapAccepted: ({ approverName, requesterName, colleagueName, swap, companyName }) => ({
+        subject: `Shift swap between ${requesterName} and ${colleagueName}`,
+        ...layout({
+            greeting: `Hi ${approverName || 'there'},`,
+            paragraphs: [
+                `${requesterName} and ${colleagueName} have agreed to ${swapSummary(swap)}. The swap is waiting for your approval.`
+            ],
+            companyName
+        })
+    }),
+    shiftSwapDecided: ({ firstName, swap, status, comments, companyName }) => ({
+        subject: `Shift swap ${status}`,
+        ...layout({
+            greeting: `Hi ${firstName},`,
+            paragraphs: [
+                `The request to ${swapSummary(swap)} has been ${status}.`,
+                comments ? `Comments: ${comments}` : ''
+            ].filter(Boolean),
+            companyName
+        })
+    })
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+const renderTemplate = (name, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown mail template: ${name}`);
+    }
+    return template(data);
+};
+
+module.exports = {
+    templates,
+    renderTemplate
+};
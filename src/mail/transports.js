@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Messages captured by the memory transport, newest last
+const sentMessages = [];
+
+// Real delivery through an SMTP server
+const createSmtpTransport = () => {
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        } : undefined
+    });
+};
+
+// Writes every message as an .eml file so it can be opened in a mail client
+const createFileTransport = () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'quantumsphere-mail');
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        sendMail: async (message) => {
+            const info = await transport.sendMail(message);
+            await fs.promises.mkdir(dir, { recursive: true });
+            const id = info.messageId.replace(/[<>]/g, '').replace(/[^a-zA-Z0-9.@-]/g, '_');
+            const file = path.join(dir, `${Date.now()}-${id}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            return { ...info, file };
+        }
+    };
+};
+
+// Keeps rendered messages in memory, for local development and tests
+const createMemoryTransport = () => {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        sendMail: async (message) => {
+            const info = await transport.sendMail(message);
+            sentMessages.push({ ...message, messageId: info.messageId, raw: info.message.toString() });
+            return info;
+        }
+    };
+};
+
+const transportFactories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    memory: createMemoryTransport
+};
+
+/**
+ * Create the transport named by MAIL_TRANSPORT (smtp, file or memory)
+ * @returns {Object} Object with an async sendMail(message) method
+ */
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'file') => {
+    const factory = transportFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return factory();
+};
+
+module.exports = {
+    createTransport,
+    sentMessages
+};
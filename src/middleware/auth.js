@@ -1,8 +1,16 @@
 const jwt = require('jsonwebtoken');
-const { unauthorizedResponse } = require('../utils/apiResponse');
+const { unauthorizedResponse, forbiddenResponse } = require('../utils/apiResponse');
+const User = require('../models/User');
 const Employee = require('../models/Employee');
+const Session = require('../models/Session');
+const { resolvePermissions } = require('../utils/permissions');
+
+const authenticateToken = async (req, res, next) => {
+    // Routers re-apply this middleware; the session was already checked upstream
+    if (req.user && req.session) {
+        return next();
+    }
 
-const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -10,52 +18,78 @@ const authenticateToken = (req, res, next) => {
         return unauthorizedResponse(res, 'Access token is required');
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) {
-            return unauthorizedResponse(res, 'Invalid or expired token');
+    let user;
+    try {
+        user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return unauthorizedResponse(res, 'Invalid or expired token');
+    }
+
+    try {
+        // Access tokens are bound to a server-side session so they can be revoked
+        const session = user.sid && await Session.findOne({
+            _id: user.sid,
+            userId: user.userId,
+            isValid: true,
+            expiresAt: { $gt: new Date() }
+        });
+        if (!session) {
+            return unauthorizedResponse(res, 'Session expired');
         }
-        req.user = user;
-        next();
-    });
-};
 
-const isAdmin = (req, res, next) => {
-    if (!req.user || req.user.role !== 'admin') {
-        return unauthorizedResponse(res, 'Admin access required');
+        // Role and permissions are read fresh on every request, never from the token
+        const context = await loadAuthContext(user.userId);
+        if (!context) {
+            return unauthorizedResponse(res, 'User not found or inactive');
+        }
+
+        req.user = { ...context, sid: user.sid };
+        req.session = session;
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        return unauthorizedResponse(res, 'Invalid or expired token');
     }
-    next();
 };
 
-const isManager = (req, res, next) => {
-    if (!req.user || req.user.role !== 'manager') {
-        return unauthorizedResponse(res, 'Manager access required');
+// Current role, company, employee and permissions of an active user
+const loadAuthContext = async (userId) => {
+    const user = await User.findById(userId)
+        .select('role status company customRole')
+        .populate('customRole', 'name permissions')
+        .lean();
+    if (!user || user.status !== 'active') {
+        return null;
     }
-    next();
-};
 
-const requireAdmin = async (req, res, next) => {
-    try {
-        // Check user role first
-        if (req.user.role === 'admin') {
-            return next();
-        }
+    const employee = await Employee.findOne({ userId }).select('_id role company').lean();
+    const role = employee?.role || user.role || 'employee';
+    const isManager = !!employee && !!await Employee.exists({ reportingManager: employee._id });
 
-        // If user role is not admin, check employee role
-        const employee = await Employee.findOne({ userId: req.user.userId });
-        if (employee && employee.role === 'admin') {
-            return next();
-        }
+    return {
+        userId: user._id.toString(),
+        role,
+        companyId: user.company || employee?.company,
+        employeeId: employee?._id.toString() || null,
+        isManager,
+        customRole: user.customRole?.name || null,
+        permissions: resolvePermissions({ role, isManager, customRole: user.customRole })
+    };
+};
 
-        return res.status(403).json({ message: 'Admin access required' });
-    } catch (error) {
-        console.error('Admin check error:', error);
-        return res.status(500).json({ message: 'Error checking admin access' });
+/**
+ * Require at least one of the given permissions
+ * @param {...string} permissions - Permission names (see utils/permissions)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.user || !permissions.some(permission => req.user.permissions?.includes(permission))) {
+        return forbiddenResponse(res, 'You do not have permission to perform this action');
     }
+    next();
 };
 
 module.exports = {
     authenticateToken,
-    isAdmin,
-    isManager,
-    requireAdmin
+    loadAuthContext,
+    requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Tag every request with an id (taken from X-Request-Id when the client or proxy
+// sent a sane one) so log lines and audit entries can be tied back to it
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+    next();
+};
+
+module.exports = { requestId };
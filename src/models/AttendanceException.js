@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A day on which an employee's punches didn't match their work schedule, found by
+// the attendance checks job. At most one exception of each type per employee and day.
+const attendanceExceptionSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    date: {  // Scheduled day, UTC midnight
+        type: Date,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['late_arrival', 'missed_clock_out', 'absence'],
+        required: true
+    },
+    timeEntry: {  // Empty for absences
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TimeEntry',
+        default: null
+    },
+    scheduledAt: {  // Scheduled start (late arrivals) or end (missed clock-outs) of the shift
+        type: Date,
+        default: null
+    },
+    actualAt: {  // First clock-in of a late arrival
+        type: Date,
+        default: null
+    },
+    minutesLate: {
+        type: Number,
+        default: null
+    },
+    autoClosedAt: {  // When a missed clock-out was closed automatically, the time it was closed at
+        type: Date,
+        default: null
+    },
+    status: {  // open until a manager reviews it; excused ones don't count against the employee
+        type: String,
+        enum: ['open', 'acknowledged', 'excused'],
+        default: 'open'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    comments: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+attendanceExceptionSchema.index({ employee: 1, date: 1, type: 1 }, { unique: true });
+attendanceExceptionSchema.index({ company: 1, status: 1, date: -1 });
+
+module.exports = mongoose.model('AttendanceException', attendanceExceptionSchema);
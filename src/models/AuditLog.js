@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One entry per mutation. Entries are append-only: they are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    entityType: {
+        type: String,
+        enum: ['employee', 'leave', 'department', 'company', 'user', 'role', 'holiday', 'leave_policy',
+            'leave_approval_chain', 'timesheet', 'time_entry', 'time_correction', 'attendance_exception',
+            'shift_template', 'shift', 'shift_swap'],
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'status_change'],
+        required: true
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    requestId: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ company: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ company: 1, actor: 1, createdAt: -1 });
+
+function rejectChange(next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+}
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    auditLogSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
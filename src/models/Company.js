@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezones');
 
 const companySchema = new mongoose.Schema({
     name: {
@@ -20,6 +21,164 @@ const companySchema = new mongoose.Schema({
         enum: ['active', 'inactive'],
         default: 'active'
     },
+    timezone: {  // IANA timezone that decides where a working day starts and ends
+        type: String,
+        default: 'UTC',
+        validate: [isValidTimeZone, 'Invalid timezone']
+    },
+    passwordPolicy: {
+        minLength: {
+            type: Number,
+            min: 6,
+            max: 128
+        },
+        requireUppercase: Boolean,
+        requireLowercase: Boolean,
+        requireNumber: Boolean,
+        requireSymbol: Boolean,
+        historyCount: {  // Number of previous passwords that can't be reused
+            type: Number,
+            min: 0,
+            max: 24
+        },
+        maxAgeDays: {  // 0 disables password expiry
+            type: Number,
+            min: 0
+        },
+        maxFailedAttempts: {  // 0 disables lockout
+            type: Number,
+            min: 0
+        },
+        lockoutMinutes: {
+            type: Number,
+            min: 1
+        }
+    },
+    twoFactorPolicy: {
+        enforcedRoles: {  // Users with these roles must enroll in two-factor authentication
+            type: [{
+                type: String,
+                enum: ['admin', 'hr']
+            }],
+            default: undefined
+        }
+    },
+    leaveSettings: {
+        yearStartMonth: {  // Month (1-12) the leave year starts in
+            type: Number,
+            min: 1,
+            max: 12
+        },
+        payPeriod: {  // Period length for pay_period accrual
+            type: String,
+            enum: ['weekly', 'biweekly', 'semi_monthly', 'monthly']
+        },
+        payPeriodAnchor: {  // First day of any weekly or biweekly pay period
+            type: Date
+        },
+        maxTeamAbsentPercent: {  // Most of a manager's reports that may be off on one day
+            type: Number,
+            min: 1,
+            max: 100
+        },
+        maxDepartmentAbsentPercent: {  // Most of a department that may be off on one day
+            type: Number,
+            min: 1,
+            max: 100
+        },
+        coverageMinGroupSize: {  // Smaller teams and departments are not checked
+            type: Number,
+            min: 1
+        },
+        coverageEnforcement: {  // block rejects the request, warn flags it for the approver
+            type: String,
+            enum: ['warn', 'block']
+        }
+    },
+    timeSettings: {
+        paidBreakMinutes: {  // Break time per day that is paid, i.e. counted as work
+            type: Number,
+            min: 0
+        },
+        minimumBreaks: {  // A day with more work than afterWorkedMinutes needs breakMinutes of break; a shortfall is deducted as unpaid break
+            type: [{
+                afterWorkedMinutes: { type: Number, min: 0, required: true },
+                breakMinutes: { type: Number, min: 0, required: true },
+                _id: false
+            }],
+            default: undefined
+        }
+    },
+    overtimeSettings: {
+        dailyThresholdMinutes: {  // Work beyond this many minutes a day is overtime; unset: the employee's scheduled day
+            type: Number,
+            min: 0
+        },
+        weeklyThresholdMinutes: {  // Regular work beyond this many minutes a week (Monday to Sunday) is overtime; unset: no weekly limit
+            type: Number,
+            min: 0
+        },
+        overtimeMultiplier: {
+            type: Number,
+            min: 1
+        },
+        weekendDays: {
+            type: [String],
+            enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+            default: undefined
+        },
+        weekendMultiplier: {  // Rate for regular work on weekend days
+            type: Number,
+            min: 1
+        },
+        holidayMultiplier: {  // Rate for regular work on holidays
+            type: Number,
+            min: 1
+        },
+        restDayWork: {  // overtime: all work on rest days and holidays is overtime; threshold: the daily threshold applies as usual
+            type: String,
+            enum: ['overtime', 'threshold']
+        }
+    },
+    shiftSettings: {
+        earlyClockInMinutes: {  // How long before a rostered shift starts its employee may clock in
+            type: Number,
+            min: 0
+        },
+        requireShiftForClockIn: Boolean  // Refuse clock-ins on days without a published shift
+    },
+    attendanceSettings: {
+        lateGraceMinutes: {  // A first clock-in this long after the scheduled start is not late yet
+            type: Number,
+            min: 0
+        },
+        missedClockOutGraceMinutes: {  // How long after the shift's end a running entry counts as a missed clock-out
+            type: Number,
+            min: 0
+        },
+        missedClockOutAction: {  // flag only, or also close the entry at the scheduled end of the shift
+            type: String,
+            enum: ['flag', 'close_at_shift_end']
+        },
+        detectAbsences: Boolean
+    },
+    auditSettings: {
+        redactFields: {  // Field names whose values are hidden in the audit trail
+            type: [String],
+            default: undefined
+        }
+    },
+    mailSettings: {
+        senderName: {
+            type: String,
+            trim: true
+        },
+        replyTo: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -1,10 +1,14 @@
 const mongoose = require('mongoose');
 
 const departmentSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
     name: {
         type: String,
         required: true,
-        unique: true,
         trim: true
     },
     description: {
@@ -38,6 +42,9 @@ departmentSchema.pre('save', function (next) {
     next();
 });
 
+// Department names only need to be unique within a company
+departmentSchema.index({ company: 1, name: 1 }, { unique: true });
+
 const Department = mongoose.model('Department', departmentSchema);
 
 module.exports = Department; 
\ No newline at end of file
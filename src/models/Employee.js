@@ -1,11 +1,18 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezones');
+
+// Personal details are filled in by the employee when accepting an invite
+function isEnrolled() {
+    return this.enrollmentStatus === 'completed';
+}
 
 const employeeSchema = new mongoose.Schema({
     userId: {  // Changed from clerkId
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
-        unique: true
+        required: isEnrolled,
+        unique: true,
+        sparse: true  // Invited employees have no user until they enroll
     },
     company: {
         type: mongoose.Schema.Types.ObjectId,
@@ -31,45 +38,45 @@ const employeeSchema = new mongoose.Schema({
     },
     phoneNumber: {
         type: String,
-        required: true,
+        required: isEnrolled,
         trim: true
     },
     address: {
         street: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         },
         city: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         },
         state: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         },
         zipCode: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         }
     },
     emergencyContact: {
         name: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         },
         relationship: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         },
         phoneNumber: {
             type: String,
-            required: true,
+            required: isEnrolled,
             trim: true
         }
     },
@@ -97,7 +104,7 @@ const employeeSchema = new mongoose.Schema({
             default: Date.now
         }
     },
-    leaveBalance: {
+    leaveBalance: {  // Summary of the current leave year, kept in step with the LeaveLedger
         total: {
             type: Number,
             required: true,
@@ -124,6 +131,11 @@ const employeeSchema = new mongoose.Schema({
         ref: 'Employee',
         default: null
     },
+    approvalDelegate: {  // Decides this employee's approval steps while they are on leave
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
     enrollmentStatus: {
         type: String,
         enum: ['pending', 'completed', 'rejected'],
@@ -138,6 +150,16 @@ const employeeSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    region: {  // Location whose regional holidays the employee observes
+        type: String,
+        trim: true,
+        default: null
+    },
+    timezone: {  // IANA timezone of a remote employee; empty means the company's
+        type: String,
+        default: null,
+        validate: [timeZone => timeZone === null || isValidTimeZone(timeZone), 'Invalid timezone']
+    },
     workSchedule: {
         startTime: {
             type: String,
@@ -179,6 +201,9 @@ employeeSchema.pre('save', function (next) {
     next();
 });
 
+// Look up pending invites by token
+employeeSchema.index({ inviteToken: 1 }, { sparse: true });
+
 // Index for search functionality
 employeeSchema.index({ firstName: 'text', lastName: 'text', email: 'text' });
 
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A company public holiday. Holidays on working days don't count against leave.
+// A holiday with a recurrence rule repeats every year from its date onwards.
+const holidaySchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    date: {  // Calendar day (first occurrence for recurring holidays), stored as UTC midnight
+        type: Date,
+        required: true
+    },
+    region: {  // Only employees in this region observe it; null means company-wide
+        type: String,
+        trim: true,
+        default: null
+    },
+    recurrence: {
+        rule: {
+            type: String,
+            enum: ['none', 'fixed_date', 'nth_weekday'],
+            default: 'none'
+        },
+        month: {  // 1-12; fixed_date rules default to the month of date
+            type: Number,
+            min: 1,
+            max: 12
+        },
+        day: {  // Day of month for fixed_date rules
+            type: Number,
+            min: 1,
+            max: 31
+        },
+        weekday: {  // 0 (Sunday) - 6 (Saturday) for nth_weekday rules
+            type: Number,
+            min: 0,
+            max: 6
+        },
+        week: {  // 1-5, or -1 for the last such weekday of the month
+            type: Number,
+            enum: [-1, 1, 2, 3, 4, 5]
+        },
+        untilYear: {  // Last year the holiday applies; open-ended if empty
+            type: Number
+        }
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'ics', 'csv'],
+        default: 'manual'
+    }
+}, {
+    timestamps: true
+});
+
+holidaySchema.index({ company: 1, date: 1 });
+holidaySchema.index({ company: 1, 'recurrence.rule': 1 });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
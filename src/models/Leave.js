@@ -1,5 +1,114 @@
 const mongoose = require('mongoose');
 
+// One approval step of a leave, resolved from the company's approval chain when requested
+const leaveApprovalStepSchema = new mongoose.Schema({
+    approverType: {
+        type: String,
+        enum: ['reporting_manager', 'second_level_manager', 'department_manager', 'role', 'employee', 'fallback'],
+        required: true
+    },
+    approver: {  // Employee who decides this step (empty for role and fallback steps)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    role: {  // Role whose members decide this step
+        type: String,
+        default: null
+    },
+    decision: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    decidedBy: {  // Differs from approver when a delegate decided
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    override: {  // Decided by a leave.manage holder in place of the step's approvers
+        type: Boolean,
+        default: false
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    comments: {
+        type: String,
+        default: ''
+    }
+});
+
+// Cancellation or date change asked for after approval; goes through approval again
+const leaveChangeRequestSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['cancel', 'modify'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+        default: 'pending'
+    },
+    cancelFrom: {  // Partial cancellation: this day and the rest of the leave are given back
+        type: Date,
+        default: null
+    },
+    startDate: Date,  // Requested dates of a modification
+    endDate: Date,
+    startHalfDay: Boolean,
+    endHalfDay: Boolean,
+    hours: Number,
+    reason: {
+        type: String,
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    approvalSteps: {
+        type: [leaveApprovalStepSchema],
+        default: []
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'requestedAt', updatedAt: false }
+});
+
+// Supporting document (e.g. a medical certificate); the file lives in the storage backend
+const leaveAttachmentSchema = new mongoose.Schema({
+    key: {  // Storage key
+        type: String,
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {  // Bytes
+        type: Number,
+        required: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'uploadedAt', updatedAt: false }
+});
+
 const leaveSchema = new mongoose.Schema({
     employee: {
         type: mongoose.Schema.Types.ObjectId,
@@ -14,6 +123,29 @@ const leaveSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    startHalfDay: {  // Leave starts at midday: only the afternoon of startDate is taken
+        type: Boolean,
+        default: false
+    },
+    endHalfDay: {  // Leave ends at midday: only the morning of endDate is taken
+        type: Boolean,
+        default: false
+    },
+    hours: {  // Hour-based leave within a single day
+        type: Number,
+        min: 0,
+        default: null
+    },
+    duration: {  // Working time taken, computed from the work schedule and holidays
+        days: {
+            type: Number,
+            min: 0
+        },
+        hours: {
+            type: Number,
+            min: 0
+        }
+    },
     type: {
         type: String,
         enum: ['annual', 'sick', 'personal', 'other'],
@@ -25,10 +157,33 @@ const leaveSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'approved', 'rejected'],
+        enum: ['pending', 'approved', 'rejected', 'canceled'],
         default: 'pending'
     },
-    managerApproval: {
+    approvalSteps: {
+        type: [leaveApprovalStepSchema],
+        default: []
+    },
+    changeRequests: {
+        type: [leaveChangeRequestSchema],
+        default: []
+    },
+    attachments: {
+        type: [leaveAttachmentSchema],
+        default: []
+    },
+    coverageWarnings: [{  // Days the team or department would be short when this was requested
+        _id: false,
+        date: String,  // YYYY-MM-DD
+        scope: {
+            type: String,
+            enum: ['team', 'department']
+        },
+        absent: Number,
+        size: Number,
+        percent: Number
+    }],
+    managerApproval: {  // Mirrors the reporting-manager step for older clients
         status: {
             type: String,
             enum: ['pending', 'approved', 'rejected'],
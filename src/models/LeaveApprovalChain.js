@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Leave = require('./Leave');
+
+// Who has to approve a company's leave requests, in order. A chain with no type
+// is the company default; a chain for a type replaces it for that type.
+const approvalStepSchema = new mongoose.Schema({
+    approverType: {
+        type: String,
+        enum: ['reporting_manager', 'second_level_manager', 'department_manager', 'role', 'employee'],
+        required: true
+    },
+    role: {  // Built-in or custom role name, for role steps
+        type: String,
+        trim: true
+    },
+    employee: {  // For employee steps
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    minDays: {  // Step only applies to leaves longer than this many working days
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { _id: false });
+
+const leaveApprovalChainSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [...Leave.schema.path('type').enumValues, null],
+        default: null
+    },
+    steps: {
+        type: [approvalStepSchema],
+        validate: [steps => steps.length > 0, 'An approval chain needs at least one step']
+    }
+}, {
+    timestamps: true
+});
+
+leaveApprovalChainSchema.index({ company: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveApprovalChain', leaveApprovalChainSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Leave = require('./Leave');
+
+// Every change to a leave balance is an entry here; a balance is the sum of its entries.
+// Entries are append-only: corrections are made with new entries.
+const leaveLedgerSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Leave.schema.path('type').enumValues,
+        required: true
+    },
+    leaveYear: {  // Calendar year in which the leave year starts
+        type: Number,
+        required: true
+    },
+    entryType: {
+        type: String,
+        enum: ['grant', 'accrual', 'carry_over', 'expiry', 'deduction', 'restoration', 'adjustment'],
+        required: true
+    },
+    days: {  // Positive adds to the balance, negative takes from it
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    actor: {  // null for entries posted by scheduled jobs
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    leave: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Leave',
+        default: null
+    },
+    periodKey: {  // Identifies scheduled postings so a rerun never posts twice
+        type: String
+    },
+    effectiveDate: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+leaveLedgerSchema.index({ employee: 1, type: 1, leaveYear: 1 });
+leaveLedgerSchema.index({ leave: 1 }, { sparse: true });
+leaveLedgerSchema.index({ employee: 1, periodKey: 1 }, {
+    unique: true,
+    partialFilterExpression: { periodKey: { $type: 'string' } }
+});
+
+function rejectChange(next) {
+    next(new Error('Leave ledger entries cannot be modified or deleted'));
+}
+
+leaveLedgerSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    leaveLedgerSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('LeaveLedger', leaveLedgerSchema);
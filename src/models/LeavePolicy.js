@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Leave = require('./Leave');
+
+// How much leave of one type a company's employees earn each leave year
+const leavePolicySchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Leave.schema.path('type').enumValues,
+        required: true
+    },
+    entitlementDays: {  // Days earned over a full leave year
+        type: Number,
+        required: true,
+        min: 0
+    },
+    accrual: {
+        type: String,
+        enum: ['upfront', 'monthly', 'pay_period'],  // upfront grants the year's entitlement at once
+        default: 'upfront'
+    },
+    proRate: {  // Scale the first year (or first period) by the part worked after joinDate
+        type: Boolean,
+        default: true
+    },
+    carryOver: {
+        maxDays: {  // Unused days moved to the next leave year; empty means no cap, 0 means none
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
+    attachmentRequiredOverDays: {  // Leave longer than this many working days needs a supporting document; empty means never
+        type: Number,
+        min: 0,
+        default: null
+    },
+    effectiveFrom: {  // Nothing is earned for periods that ended before this day
+        type: Date,
+        default: Date.now
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+leavePolicySchema.index({ company: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeavePolicy', leavePolicySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Company-defined role. Its permissions are added to those of the user's built-in role.
+const roleSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    permissions: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+roleSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
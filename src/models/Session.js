@@ -1,21 +1,57 @@
 const mongoose = require('mongoose');
 
+// One session per login (device). The refresh token is rotated on every use;
+// the session itself is the token family, so replaying a rotated refresh token
+// revokes the whole session.
 const sessionSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
-    token: {
+    refreshTokenHash: {
         type: String,
         required: true,
         unique: true
     },
-    createdAt: {
+    usedTokenHashes: {
+        type: [String],
+        default: []
+    },
+    isValid: {
+        type: Boolean,
+        default: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'token_reuse', 'password_reset', 'admin', null],
+        default: null
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
         type: Date,
-        default: Date.now,
-        expires: 24 * 60 * 60 // Sessions expire after 24 hours
+        required: true
     }
+}, {
+    timestamps: true
 });
 
-module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
+// Remove sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ userId: 1, isValid: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One employee's shift on one day of the roster. Drafts are only visible to the
+// people who plan the roster; employees see their shifts once they are published.
+const shiftSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    date: {  // Day the shift starts on, UTC midnight
+        type: Date,
+        required: true
+    },
+    template: {  // Template the times were taken from, if any
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShiftTemplate',
+        default: null
+    },
+    startTime: {  // 24-hour format, in the employee's timezone
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    endTime: {  // Not after startTime: the shift ends the next day
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    breakMinutes: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'published'],
+        default: 'draft'
+    },
+    publishedAt: {
+        type: Date,
+        default: null
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+shiftSchema.index({ employee: 1, date: 1 }, { unique: true });
+shiftSchema.index({ company: 1, date: 1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
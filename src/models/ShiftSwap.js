@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A request to hand a published shift to a colleague, or to trade it for one of
+// theirs. The colleague accepts or declines first; then a manager approves or rejects.
+const shiftSwapSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    requester: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    shift: {  // The requester's shift
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        required: true
+    },
+    colleague: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    colleagueShift: {  // The colleague's shift taken in return; empty when the shift is given away
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    respondedAt: {  // When the colleague accepted or declined
+        type: Date,
+        default: null
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    comments: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+shiftSwapSchema.index({ company: 1, status: 1 });
+shiftSwapSchema.index({ shift: 1, status: 1 });
+
+module.exports = mongoose.model('ShiftSwap', shiftSwapSchema);
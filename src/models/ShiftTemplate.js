@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A reusable shift (e.g. "Early", "Night") that managers assign to employees on the
+// roster. A shift whose end is not after its start runs past midnight.
+const shiftTemplateSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startTime: {  // 24-hour format, in the employee's timezone
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    breakMinutes: {  // Planned break, for information on the roster
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    isActive: {  // Inactive templates stay on existing shifts but can't be assigned
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+shiftTemplateSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ShiftTemplate', shiftTemplateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('./TimeEntry');
+
+// An employee's request to fix a day's time entry (missing clock-in or clock-out,
+// wrong times). The proposed segments replace the day's segments once approved.
+const timeCorrectionSchema = new mongoose.Schema({
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    date: {  // Day of the entry, UTC midnight
+        type: Date,
+        required: true
+    },
+    timeEntry: {  // Empty when the day has no entry yet
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TimeEntry',
+        default: null
+    },
+    segments: {
+        type: [TimeEntry.schema.path('segments').schema],
+        validate: [segments => segments.length > 0, 'A correction needs at least one segment']
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+        default: 'pending'
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    comments: {  // Approver's comment, required when rejecting
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+timeCorrectionSchema.index({ company: 1, status: 1, date: 1 });
+timeCorrectionSchema.index({ employee: 1, date: 1 });
+
+module.exports = mongoose.model('TimeCorrection', timeCorrectionSchema);
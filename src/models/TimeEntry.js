@@ -1,5 +1,57 @@
 const mongoose = require('mongoose');
 
+// One stretch of work or break within a day; the open segment has no end yet
+const timeSegmentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['work', 'break'],
+        required: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        default: null
+    },
+    location: {
+        type: String,
+        default: 'Office'
+    }
+});
+
+// One change to an entry's segments, for the edit history
+const timeEntryCorrectionSchema = new mongoose.Schema({
+    source: {  // request: an approved correction request; admin: corrected directly; auto: missed clock-out closed by the attendance check
+        type: String,
+        enum: ['request', 'admin', 'auto'],
+        required: true
+    },
+    correction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TimeCorrection',
+        default: null
+    },
+    correctedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    correctedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    before: [timeSegmentSchema],
+    after: [timeSegmentSchema]
+});
+
+// One employee's day. clockIn and clockOut mirror the first start and the last end
+// of the day's work segments; the totals are computed by utils/timeTracking.
 const timeEntrySchema = new mongoose.Schema({
     employee: {
         type: mongoose.Schema.Types.ObjectId,
@@ -31,7 +83,52 @@ const timeEntrySchema = new mongoose.Schema({
             default: 'Office'
         }
     },
-    totalHours: {
+    segments: {
+        type: [timeSegmentSchema],
+        default: []
+    },
+    originalSegments: {  // The punches as recorded, kept when the entry is first corrected
+        type: [timeSegmentSchema],
+        default: undefined
+    },
+    corrections: {
+        type: [timeEntryCorrectionSchema],
+        default: []
+    },
+    adminCorrected: {  // Changed directly by an admin rather than through an approved request
+        type: Boolean,
+        default: false
+    },
+    totalHours: {  // Paid working time in hours (workedMinutes / 60)
+        type: Number,
+        default: 0
+    },
+    workedMinutes: {  // Work segments plus paid break time, less any break deduction
+        type: Number,
+        default: 0
+    },
+    breakMinutes: {  // Recorded break time
+        type: Number,
+        default: 0
+    },
+    breakDeductionMinutes: {  // Unpaid break taken off the work time because too little break was recorded
+        type: Number,
+        default: 0
+    },
+    dayType: {  // How the day counts for overtime (see utils/overtime)
+        type: String,
+        enum: ['working_day', 'rest_day', 'holiday'],
+        default: 'working_day'
+    },
+    regularMinutes: {  // Worked minutes within the company's daily overtime threshold
+        type: Number,
+        default: 0
+    },
+    overtimeMinutes: {  // Worked beyond the daily threshold; weekly overtime is added by the time summary
+        type: Number,
+        default: 0
+    },
+    weightedMinutes: {  // Regular and overtime minutes multiplied by their rates, for payroll
         type: Number,
         default: 0
     },
@@ -47,19 +144,7 @@ const timeEntrySchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Calculate total hours when clocking out
-timeEntrySchema.pre('save', function (next) {
-    if (this.clockIn.time && this.clockOut.time) {
-        const clockInTime = new Date(this.clockIn.time);
-        const clockOutTime = new Date(this.clockOut.time);
-        const diffMs = clockOutTime - clockInTime;
-        const diffHrs = diffMs / (1000 * 60 * 60);
-        this.totalHours = parseFloat(diffHrs.toFixed(2));
-    }
-    next();
-});
-
-// Create compound index for employee and date to ensure single entry per day
+// Create compound index for employee and date to ensure single entry per day (segments hold the in/out pairs)
 timeEntrySchema.index({ employee: 1, date: 1 }, { unique: true });
 
 module.exports = mongoose.model('TimeEntry', timeEntrySchema); 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// An employee's time entries for one week (Monday to Sunday), submitted for approval.
+// Submitted and approved weeks are locked against clocking and edits.
+const timesheetSchema = new mongoose.Schema({
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    weekStart: {  // Monday of the week, UTC midnight
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['submitted', 'approved', 'rejected'],
+        default: 'submitted'
+    },
+    totalHours: {  // Hours of the week's entries when last submitted
+        type: Number,
+        default: 0
+    },
+    entryCount: {
+        type: Number,
+        default: 0
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        default: null
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    comments: {  // Approver's comment, required when rejecting
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+timesheetSchema.index({ employee: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ company: 1, status: 1, weekStart: 1 });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
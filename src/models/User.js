@@ -18,6 +18,11 @@ const userSchema = new mongoose.Schema({
         enum: ['admin', 'hr', 'employee'],
         default: 'employee'
     },
+    customRole: {  // Optional company-defined role granting extra permissions
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role',
+        default: null
+    },
     employeeId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Employee'
@@ -34,6 +39,77 @@ const userSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
+    },
+    passwordResetToken: {
+        type: String
+    },
+    passwordResetExpires: {
+        type: Date
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    calendarFeedToken: {  // Hash of the secret in the user's .ics feed URL
+        type: String,
+        default: null
+    },
+    passwordHistory: {
+        type: [String],  // Previous password hashes, newest first
+        default: []
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    nextLoginAllowedAt: {
+        type: Date,
+        default: null
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String  // Encrypted TOTP secret
+        },
+        pendingSecret: {
+            type: String  // Encrypted secret awaiting confirmation during enrollment
+        },
+        recoveryCodes: {
+            type: [String],  // Hashes of unused recovery codes
+            default: []
+        },
+        lastUsedStep: {
+            type: Number,
+            default: -1
+        },
+        loginTokenHash: {
+            type: String  // Hash of the jti of the outstanding two_factor_login token; cleared when it is used
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
+    // Set while status is 'suspended': either a temporary lockout or an admin action
+    suspension: {
+        reason: {
+            type: String,
+            enum: ['lockout', 'admin']
+        },
+        until: {
+            type: Date
+        },
+        suspendedAt: {
+            type: Date
+        },
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, { timestamps: true });
 
@@ -54,4 +130,7 @@ userSchema.methods.updateLastLogin = async function () {
     return this.save();
 };
 
+// Look up calendar feed owners by token
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const AttendanceException = require('../models/AttendanceException');
+const Employee = require('../models/Employee');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission, canAccessEmployee } = require('../utils/permissions');
+const { canApproveTime } = require('../utils/timesheets');
+const { runAttendanceChecks } = require('../utils/attendance');
+const { toDateKey } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const listValidation = [
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID'),
+    query('type').optional().isIn(AttendanceException.schema.path('type').enumValues).withMessage('Invalid exception type'),
+    query('status').optional().isIn(AttendanceException.schema.path('status').enumValues).withMessage('Invalid status'),
+    query(['from', 'to']).optional().isISO8601().withMessage('Invalid date')
+];
+
+const reviewValidation = [
+    body('status').isIn(['acknowledged', 'excused']).withMessage('Status must be acknowledged or excused'),
+    body('comments').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// List attendance exceptions: own, direct reports' with team.time.read, everyone's with time.read
+router.get('/exceptions', listValidation, validate, async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId };
+        if (req.query.employee) {
+            const allowed = await canAccessEmployee(req.user, req.query.employee, { permission: 'time.read', teamPermission: 'team.time.read' });
+            if (!allowed) {
+                return forbiddenResponse(res, 'You are not allowed to view this employee\'s attendance');
+            }
+            filter.employee = req.query.employee;
+        } else if (!hasPermission(req.user, 'time.read')) {
+            const reports = hasPermission(req.user, 'team.time.read')
+                ? await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean()
+                : [];
+            filter.employee = { $in: [req.user.employeeId, ...reports.map(emp => emp._id)].filter(Boolean) };
+        }
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.from || req.query.to) {
+            filter.date = {};
+            if (req.query.from) filter.date.$gte = new Date(toDateKey(req.query.from));
+            if (req.query.to) filter.date.$lte = new Date(toDateKey(req.query.to));
+        }
+
+        const exceptions = await AttendanceException.find(filter)
+            .populate('employee', 'firstName lastName')
+            .populate('reviewedBy', 'firstName lastName')
+            .sort({ date: -1, createdAt: -1 })
+            .limit(200);
+        return successResponse(res, exceptions, 'Attendance exceptions retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching attendance exceptions:', error);
+        return errorResponse(res, 'Error fetching attendance exceptions');
+    }
+});
+
+// Review an exception: acknowledge it, or excuse it so it doesn't count against the employee
+router.patch('/exceptions/:id', reviewValidation, validate, async (req, res) => {
+    try {
+        const exception = await AttendanceException.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!exception) {
+            return notFoundResponse(res, 'Attendance exception not found');
+        }
+        if (!await canApproveTime(req.user, exception.employee)) {
+            return forbiddenResponse(res, 'You are not allowed to review this employee\'s attendance');
+        }
+
+        const before = exception.toObject();
+        exception.status = req.body.status;
+        exception.comments = req.body.comments || '';
+        exception.reviewedBy = req.user.employeeId;
+        exception.reviewedAt = new Date();
+        await exception.save();
+        await recordAudit(req, {
+            entityType: 'attendance_exception',
+            entityId: exception._id,
+            action: 'status_change',
+            before,
+            after: exception
+        });
+
+        return successResponse(res, exception, `Attendance exception ${exception.status}`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid attendance exception ID');
+        }
+        console.error('Error reviewing attendance exception:', error);
+        return errorResponse(res, 'Error reviewing attendance exception', 400);
+    }
+});
+
+// Run the attendance checks for the company now instead of waiting for the scheduled job
+router.post('/checks', requirePermission('time.manage'), async (req, res) => {
+    try {
+        const result = await runAttendanceChecks({ companyId: req.user.companyId });
+        return successResponse(res, result, 'Attendance checks completed');
+    } catch (error) {
+        console.error('Error running attendance checks:', error);
+        return errorResponse(res, 'Error running attendance checks');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/apiResponse');
+
+// Upper bound on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// Validation middleware
+const auditQueryValidation = [
+    query('entityType').optional().isIn(AuditLog.schema.path('entityType').enumValues).withMessage('Invalid entity type'),
+    query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+    query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('action').optional().isIn(AuditLog.schema.path('action').enumValues).withMessage('Invalid action'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the company's audit trail (filter by entityType, entityId, actor, action, from, to; ?format=csv to export)
+router.get('/', requirePermission('audit.read'), auditQueryValidation, validate, async (req, res) => {
+    try {
+        const filter = buildFilter(req.user.companyId, req.query);
+
+        if (req.query.format === 'csv') {
+            const entries = await AuditLog.find(filter)
+                .populate('actor', 'email')
+                .sort({ createdAt: -1 })
+                .limit(MAX_EXPORT_ROWS)
+                .lean();
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(toCsv(
+                ['timestamp', 'actor', 'entityType', 'entityId', 'action', 'field', 'before', 'after', 'requestId', 'ipAddress'],
+                entries.flatMap(toCsvRows)
+            ));
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        return successResponse(res, {
+            entries,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }, 'Audit log retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        return errorResponse(res, 'Error fetching audit log');
+    }
+});
+
+function buildFilter(companyId, params) {
+    const filter = { company: companyId };
+    ['entityType', 'entityId', 'actor', 'action'].forEach(key => {
+        if (params[key]) {
+            filter[key] = params[key];
+        }
+    });
+    if (params.from || params.to) {
+        filter.createdAt = {};
+        if (params.from) filter.createdAt.$gte = new Date(params.from);
+        if (params.to) filter.createdAt.$lte = new Date(params.to);
+    }
+    return filter;
+}
+
+// One CSV row per changed field; entries without field changes get a single row
+function toCsvRows(entry) {
+    const base = [entry.createdAt, entry.actor?.email || entry.actor?._id || '', entry.entityType, entry.entityId, entry.action];
+    const tail = [entry.requestId, entry.ipAddress];
+    const changes = entry.changes?.length ? entry.changes : [{}];
+    return changes.map(change => [
+        ...base,
+        change.field,
+        formatValue(change.before),
+        formatValue(change.after),
+        ...tail
+    ]);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+module.exports = router;
@@ -1,19 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
 const { authenticateToken } = require('../middleware/auth');
+const { generateSecureToken, hashToken } = require('../utils/auth');
+const { sendMail } = require('../mail');
+const { getPasswordPolicy, validatePassword, applyNewPassword } = require('../utils/passwordPolicy');
+const { checkLoginAllowed, recordFailedLogin } = require('../utils/accountLockout');
+const { resolveUserRole, completeLogin, createTwoFactorToken, verifyTwoFactorToken, isTwoFactorEnforced } = require('../utils/login');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/session');
 const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, unauthorizedResponse } = require('../utils/apiResponse');
 
-// Validation middleware
+// Validation middleware (password strength is checked against the company's policy)
 const authValidation = [
     body('email').isEmail().withMessage('Please enter a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    body('password').notEmpty().withMessage('Password is required')
 ];
 
+const acceptInviteValidation = [
+    body('token').notEmpty().withMessage('Invite token is required'),
+    body('password').notEmpty().withMessage('Password is required'),
+    body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    body('address.street').notEmpty().withMessage('Street is required'),
+    body('address.city').notEmpty().withMessage('City is required'),
+    body('address.state').notEmpty().withMessage('State is required'),
+    body('address.zipCode').notEmpty().withMessage('Zip code is required'),
+    body('emergencyContact.name').notEmpty().withMessage('Emergency contact name is required'),
+    body('emergencyContact.relationship').notEmpty().withMessage('Emergency contact relationship is required'),
+    body('emergencyContact.phoneNumber').notEmpty().withMessage('Emergency contact phone number is required')
+];
+
+const resetPasswordValidation = [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    body('password').notEmpty().withMessage('Password is required')
+];
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
 // Validation result middleware
 const validate = (req, res, next) => {
     const errors = validationResult(req);
@@ -23,6 +49,22 @@ const validate = (req, res, next) => {
     next();
 };
 
+// Password changes are open to signed-in users, and to users whose login was held back
+// because their password expired (they hold a password change token instead)
+const authenticatePasswordChange = (req, res, next) => {
+    if (!req.body.passwordChangeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const decoded = verifyTwoFactorToken(req.body.passwordChangeToken, 'password_change');
+    if (!decoded) {
+        return unauthorizedResponse(res, 'Invalid or expired password change token');
+    }
+    req.user = { userId: decoded.userId };
+    req.passwordExpiredLogin = true;
+    next();
+};
+
 // Check if email exists route
 router.post('/check-email', async (req, res) => {
     try {
@@ -47,9 +89,15 @@ router.post('/register', authValidation, validate, async (req, res) => {
             return errorResponse(res, 'User already exists', 400);
         }
 
+        const policyErrors = await validatePassword(password, await getPasswordPolicy(company));
+        if (policyErrors.length) {
+            return passwordPolicyErrorResponse(res, policyErrors);
+        }
+
         user = new User({
             email,
             password,
+            passwordChangedAt: new Date(),
             company,
             firstName,
             lastName,
@@ -59,14 +107,12 @@ router.post('/register', authValidation, validate, async (req, res) => {
 
         await user.save();
 
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const { token, refreshToken, expiresIn } = await createSession(user, user.role, req);
 
         return successResponse(res, {
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 _id: user._id,
                 email: user.email,
@@ -92,43 +138,278 @@ router.post('/login', authValidation, validate, async (req, res) => {
             return unauthorizedResponse(res, 'Invalid credentials');
         }
 
+        // Locked, suspended or throttled accounts can't attempt a login
+        const loginCheck = await checkLoginAllowed(user);
+        if (!loginCheck.allowed) {
+            if (loginCheck.retryAfter) {
+                res.set('Retry-After', String(loginCheck.retryAfter));
+            }
+            return errorResponse(res, loginCheck.message, loginCheck.statusCode,
+                loginCheck.retryAfter ? { retryAfter: loginCheck.retryAfter } : null);
+        }
+
+        const policy = await getPasswordPolicy(user.company);
+
         // Compare password
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordFailedLogin(user, policy);
             return unauthorizedResponse(res, 'Invalid credentials');
         }
 
-        // Get associated employee record if exists
-        const employee = await Employee.findOne({ userId: user._id });
+        // With two-factor enabled (or required), the password alone only earns a short-lived challenge token.
+        // The failed attempt counter is only reset once the login completes, so it keeps counting wrong codes.
+        if (user.twoFactor?.enabled) {
+            return successResponse(res, {
+                twoFactorRequired: true,
+                twoFactorToken: await createTwoFactorToken(user, 'two_factor_login')
+            }, 'Two-factor verification required');
+        }
 
-        // Get role from employee record if it exists, otherwise fallback to user role
-        const userRole = employee?.role || user.role || 'user';
+        const { role } = await resolveUserRole(user);
+        if (await isTwoFactorEnforced(user, role)) {
+            return successResponse(res, {
+                twoFactorSetupRequired: true,
+                twoFactorToken: await createTwoFactorToken(user, 'two_factor_setup')
+            }, 'Two-factor enrollment required');
+        }
 
-        // Update last login time
-        await user.updateLastLogin();
+        const login = await completeLogin(user, req);
+        return successResponse(res, login, login.passwordChangeRequired ? 'Password change required' : 'Login successful');
+    } catch (error) {
+        return errorResponse(res, 'Error during login');
+    }
+});
 
-        const userData = {
-            id: user._id,
-            email: user.email,
-            role: userRole,
-            ...(employee && {
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return errorResponse(res, 'Refresh token is required', 400);
+        }
+
+        const tokens = await rotateSession(refreshToken, resolveActiveRole);
+        if (!tokens) {
+            return unauthorizedResponse(res, 'Invalid or expired refresh token');
+        }
+
+        return successResponse(res, {
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        }, 'Token refreshed successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error refreshing token');
+    }
+});
+
+// Logout route (revokes the current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(req.session, 'logout');
+        return successResponse(res, null, 'Logged out successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error during logout');
+    }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.userId, 'logout_all');
+        return successResponse(res, null, 'Logged out from all devices');
+    } catch (error) {
+        return errorResponse(res, 'Error during logout');
+    }
+});
+
+// Look up an invitation so the enrollment form can be prefilled
+router.get('/invite/:token', async (req, res) => {
+    try {
+        const employee = await findInvite(req.params.token)
+            .populate('company', 'name')
+            .populate('department', 'name');
+        if (!employee) {
+            return notFoundResponse(res, 'Invitation is invalid or has expired');
+        }
+
+        return successResponse(res, {
+            email: employee.email,
+            firstName: employee.firstName,
+            lastName: employee.lastName,
+            position: employee.position,
+            company: employee.company,
+            department: employee.department,
+            expiresAt: employee.inviteTokenExpiry
+        }, 'Invitation retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error retrieving invitation');
+    }
+});
+
+// Accept an invitation: create the user account and complete enrollment
+router.post('/accept-invite', acceptInviteValidation, validate, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { token, password, phoneNumber, address, emergencyContact } = req.body;
+
+        const employee = await findInvite(token).session(session);
+        if (!employee) {
+            await session.abortTransaction();
+            return errorResponse(res, 'Invitation is invalid or has expired', 400);
+        }
+
+        const existingUser = await User.findOne({ email: employee.email }).session(session);
+        if (existingUser) {
+            await session.abortTransaction();
+            return errorResponse(res, 'User already exists', 400);
+        }
+
+        const policyErrors = await validatePassword(password, await getPasswordPolicy(employee.company));
+        if (policyErrors.length) {
+            await session.abortTransaction();
+            return passwordPolicyErrorResponse(res, policyErrors);
+        }
+
+        const user = new User({
+            email: employee.email,
+            password,
+            passwordChangedAt: new Date(),
+            role: employee.role,
+            company: employee.company,
+            employeeId: employee._id,
+            status: 'active'
+        });
+        await user.save({ session });
+
+        employee.userId = user._id;
+        employee.phoneNumber = phoneNumber;
+        employee.address = address;
+        employee.emergencyContact = emergencyContact;
+        employee.enrollmentStatus = 'completed';
+        employee.inviteToken = undefined;
+        employee.inviteTokenExpiry = undefined;
+        await employee.save({ session });
+
+        await session.commitTransaction();
+
+        if (await isTwoFactorEnforced(user, employee.role)) {
+            return successResponse(res, {
+                twoFactorSetupRequired: true,
+                twoFactorToken: await createTwoFactorToken(user, 'two_factor_setup')
+            }, 'Enrollment completed successfully, two-factor enrollment required', 201);
+        }
+
+        const tokens = await createSession(user, employee.role, req);
+
+        return successResponse(res, {
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
+            user: {
+                id: user._id,
+                email: user.email,
+                role: employee.role,
                 firstName: employee.firstName,
                 lastName: employee.lastName,
                 position: employee.position,
                 enrollmentStatus: employee.enrollmentStatus
-            })
-        };
+            }
+        }, 'Enrollment completed successfully', 201);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        console.error('Accept invite error:', error);
+        return errorResponse(res, 'Error accepting invitation');
+    } finally {
+        session.endSession();
+    }
+});
+
+// Request a password reset email. The response is the same whether or not the
+// email belongs to an account.
+router.post('/forgot-password', body('email').isEmail().withMessage('Please enter a valid email'), validate, async (req, res) => {
+    const genericMessage = 'If an account exists for that email, a password reset link has been sent';
+
+    try {
+        const user = await User.findOne({ email: req.body.email.toLowerCase(), status: 'active' });
+        if (user) {
+            const resetToken = generateSecureToken();
+            user.passwordResetToken = hashToken(resetToken);
+            user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+            await user.save();
 
-        // Generate token with the correct role
-        const token = jwt.sign(
-            { userId: user._id, role: userRole },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
+            const employee = await Employee.findOne({ userId: user._id }).select('firstName').lean();
+            const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+            sendMail('passwordReset', {
+                to: user.email,
+                company: user.company,
+                data: {
+                    firstName: employee?.firstName,
+                    resetLink: `${frontendUrl}/reset-password?token=${resetToken}`,
+                    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+                }
+            });
+        }
+
+        return successResponse(res, null, genericMessage);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        return successResponse(res, null, genericMessage);
+    }
+});
+
+// Set a new password using a reset token, then sign out every session
+router.post('/reset-password', resetPasswordValidation, validate, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const tokenHash = hashToken(token);
+
+        const user = await User.findOne({
+            passwordResetToken: tokenHash,
+            passwordResetExpires: { $gt: new Date() }
+        });
+        if (!user) {
+            return errorResponse(res, 'Reset link is invalid or has expired', 400);
+        }
+
+        const policy = await getPasswordPolicy(user.company);
+        const policyErrors = await validatePassword(password, policy, user);
+        if (policyErrors.length) {
+            return passwordPolicyErrorResponse(res, policyErrors);
+        }
+
+        // Clear the token atomically so it can only be used once
+        const claimed = await User.updateOne(
+            { _id: user._id, passwordResetToken: tokenHash },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
         );
+        if (!claimed.modifiedCount) {
+            return errorResponse(res, 'Reset link is invalid or has expired', 400);
+        }
+
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        applyNewPassword(user, password, policy);
 
-        return successResponse(res, { token, user: userData }, 'Login successful');
+        // Proving control of the mailbox also lifts a failed-login lockout
+        user.failedLoginAttempts = 0;
+        user.nextLoginAllowedAt = null;
+        if (user.status === 'suspended' && user.suspension?.reason === 'lockout') {
+            user.status = 'active';
+            user.suspension = undefined;
+        }
+        await user.save();
+        await revokeAllSessions(user._id, 'password_reset');
+
+        return successResponse(res, null, 'Password has been reset successfully');
     } catch (error) {
-        return errorResponse(res, 'Error during login');
+        console.error('Reset password error:', error);
+        return errorResponse(res, 'Error resetting password');
     }
 });
 
@@ -136,7 +417,7 @@ router.post('/login', authValidation, validate, async (req, res) => {
 router.get('/me', authenticateToken, async (req, res) => {
     try {
         const user = await User.findById(req.user.userId)
-            .select('-password')
+            .select('-password -passwordHistory -passwordResetToken -passwordResetExpires -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes')
             .populate('employeeId');
 
         if (!user) {
@@ -158,7 +439,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // Change password route
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticatePasswordChange, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
@@ -170,19 +451,55 @@ router.post('/change-password', authenticateToken, async (req, res) => {
         if (!user) {
             return notFoundResponse(res, 'User not found');
         }
+        if (req.passwordExpiredLogin && user.status !== 'active') {
+            return unauthorizedResponse(res, 'Invalid or expired password change token');
+        }
 
         const isMatch = await bcrypt.compare(currentPassword, user.password);
         if (!isMatch) {
             return errorResponse(res, 'Current password is incorrect', 400);
         }
 
-        user.password = newPassword;
+        const policy = await getPasswordPolicy(user.company);
+        const policyErrors = await validatePassword(newPassword, policy, user);
+        if (policyErrors.length) {
+            return passwordPolicyErrorResponse(res, policyErrors);
+        }
+
+        applyNewPassword(user, newPassword, policy);
         await user.save();
 
+        // A user changing an expired password from a held-back login is signed in now
+        if (req.passwordExpiredLogin) {
+            return successResponse(res, await completeLogin(user, req), 'Password updated successfully');
+        }
+
         return successResponse(res, null, 'Password updated successfully');
     } catch (error) {
         return errorResponse(res, 'Error changing password');
     }
 });
 
+function passwordPolicyErrorResponse(res, policyErrors) {
+    return validationErrorResponse(res, policyErrors.map(msg => ({ path: 'password', msg })));
+}
+
+// Pending, unexpired invitation matching a raw invite token
+function findInvite(token) {
+    return Employee.findOne({
+        inviteToken: hashToken(token),
+        inviteTokenExpiry: { $gt: new Date() },
+        enrollmentStatus: 'pending',
+        userId: { $exists: false }
+    });
+}
+
+// Current role of an active user, or null if the user can no longer sign in
+async function resolveActiveRole(userId) {
+    const user = await User.findById(userId).select('role status').lean();
+    if (!user || user.status !== 'active') return null;
+    const employee = await Employee.findOne({ userId }).select('role').lean();
+    return employee?.role || user.role || 'user';
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { loadAuthContext } = require('../middleware/auth');
+const { hashToken } = require('../utils/auth');
+const { buildLeaveFeed } = require('../utils/leaveCalendar');
+
+// Calendar apps can't send a bearer token, so the feed is authorized by the secret in
+// its URL alone. The feed shows what its owner could see in the app at the time of the request.
+
+// Get a user's leave calendar as iCalendar
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarFeedToken: hashToken(req.params.token) }).select('_id').lean();
+        const context = user && await loadAuthContext(user._id);
+        if (!context) {
+            return res.status(404).type('text/plain').send('Calendar feed not found');
+        }
+
+        const ics = await buildLeaveFeed(context);
+        res.set('Cache-Control', 'private, max-age=900');
+        return res.type('text/calendar; charset=utf-8').send(ics);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        return res.status(500).type('text/plain').send('Error building calendar feed');
+    }
+});
+
+module.exports = router;
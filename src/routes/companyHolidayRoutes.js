@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const Holiday = require('../models/Holiday');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { holidaysFromIcs, holidaysFromCsv } = require('../utils/holidays');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, forbiddenResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const holidayValidation = [
+    body('name').trim().notEmpty().withMessage('Holiday name is required'),
+    body('date').isISO8601().withMessage('Invalid holiday date'),
+    body('region').optional({ values: 'null' }).isString().trim(),
+    body('recurrence.rule').optional().isIn(['none', 'fixed_date', 'nth_weekday']).withMessage('Invalid recurrence rule'),
+    body('recurrence.month').optional({ values: 'null' }).isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12').toInt(),
+    body('recurrence.day').optional({ values: 'null' }).isInt({ min: 1, max: 31 }).withMessage('Day must be between 1 and 31').toInt(),
+    body('recurrence.weekday').optional({ values: 'null' }).isInt({ min: 0, max: 6 }).withMessage('Weekday must be between 0 (Sunday) and 6 (Saturday)').toInt(),
+    body('recurrence.week').optional({ values: 'null' }).isIn([-1, 1, 2, 3, 4, 5]).withMessage('Week must be 1-5, or -1 for the last').toInt(),
+    body('recurrence.untilYear').optional({ values: 'null' }).isInt({ min: 1900, max: 9999 }).withMessage('Invalid end year').toInt(),
+    body('recurrence').optional().custom(recurrence => recurrence.rule !== 'nth_weekday' ||
+        (recurrence.weekday !== undefined && recurrence.week !== undefined))
+        .withMessage('Weekday and week are required for nth weekday holidays')
+];
+
+const listValidation = [
+    query('year').optional().isInt({ min: 1900, max: 2200 }).withMessage('Year must be between 1900 and 2200').toInt()
+];
+
+const importValidation = [
+    query('format').optional().isIn(['ics', 'csv']).withMessage('Format must be ics or csv'),
+    query('region').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth; holidays are managed by the company's own admins
+router.use(authenticateToken);
+router.use(requirePermission('holiday.manage'));
+router.use((req, res, next) => {
+    if (!req.user.companyId || req.user.companyId.toString() !== req.params.id) {
+        return forbiddenResponse(res, 'You can only manage your own company');
+    }
+    next();
+});
+
+// Get holiday definitions (filter with ?region=&year=)
+router.get('/', listValidation, validate, async (req, res) => {
+    try {
+        const filter = { company: req.params.id };
+        if (req.query.region !== undefined) {
+            filter.region = req.query.region || null;
+        }
+        if (req.query.year) {
+            const year = req.query.year;
+            filter.$or = [
+                { date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) } },
+                { 'recurrence.rule': { $ne: 'none' }, date: { $lt: new Date(Date.UTC(year + 1, 0, 1)) } }
+            ];
+        }
+
+        const holidays = await Holiday.find(filter).sort({ date: 1, name: 1 });
+        return successResponse(res, holidays, 'Holidays retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error fetching holidays');
+    }
+});
+
+// Create holiday
+router.post('/', holidayValidation, validate, async (req, res) => {
+    try {
+        const holiday = new Holiday({ ...toHolidayFields(req.body), company: req.params.id });
+        await holiday.save();
+        await recordAudit(req, { entityType: 'holiday', entityId: holiday._id, action: 'create', after: holiday });
+
+        return successResponse(res, holiday, 'Holiday created successfully', 201);
+    } catch (error) {
+        return errorResponse(res, 'Error creating holiday', 400);
+    }
+});
+
+// Import holidays from an iCalendar (.ics) or CSV file sent as the request body
+// (?format=ics|csv, otherwise taken from the content type; ?region= applies to every row without one)
+router.post('/import', express.text({ type: ['text/*', 'application/octet-stream'], limit: '1mb' }), importValidation, validate, async (req, res) => {
+    try {
+        const content = typeof req.body === 'string' ? req.body : '';
+        if (!content.trim()) {
+            return errorResponse(res, 'Upload the .ics or CSV file as the request body', 400);
+        }
+
+        const format = req.query.format || (req.is('text/csv') || !content.includes('BEGIN:VCALENDAR') ? 'csv' : 'ics');
+        const parsed = format === 'ics' ? holidaysFromIcs(content) : holidaysFromCsv(content);
+        const region = req.query.region || null;
+
+        // Skip holidays that already exist with the same day, name and region
+        const existing = await Holiday.find({ company: req.params.id }).select('name date region').lean();
+        const seen = new Set(existing.map(holidayKey));
+
+        // Rows that can't be stored are reported with the parse errors; the rest are saved together
+        const errors = [...parsed.errors];
+        const created = [];
+        let skipped = 0;
+        for (const item of parsed.holidays) {
+            if (!isCalendarDate(item.date)) {
+                errors.push(`${item.name}: invalid date "${item.date}"`);
+                continue;
+            }
+            const fields = toHolidayFields({ ...item, region: item.region || region });
+            const key = holidayKey(fields);
+            if (seen.has(key)) {
+                skipped++;
+                continue;
+            }
+
+            const holiday = new Holiday({ ...fields, company: req.params.id, source: format });
+            const validationError = holiday.validateSync();
+            if (validationError) {
+                errors.push(`${item.name} (${fields.date.toISOString().slice(0, 10)}): ${Object.values(validationError.errors).map(error => error.message).join(', ')}`);
+                continue;
+            }
+            seen.add(key);
+            created.push(holiday);
+        }
+
+        if (created.length > 0) {
+            const session = await mongoose.startSession();
+            session.startTransaction();
+            try {
+                await Holiday.insertMany(created, { session });
+                for (const holiday of created) {
+                    await recordAudit(req, { entityType: 'holiday', entityId: holiday._id, action: 'create', after: holiday, session });
+                }
+                await session.commitTransaction();
+            } catch (error) {
+                await session.abortTransaction();
+                throw error;
+            } finally {
+                session.endSession();
+            }
+        }
+
+        return successResponse(res, {
+            imported: created.length,
+            skipped,
+            errors,
+            holidays: created
+        }, `Imported ${created.length} holiday${created.length === 1 ? '' : 's'}`, created.length ? 201 : 200);
+    } catch (error) {
+        console.error('Error importing holidays:', error);
+        return errorResponse(res, 'Error importing holidays');
+    }
+});
+
+// Update holiday
+router.put('/:holidayId', holidayValidation, validate, async (req, res) => {
+    try {
+        const holiday = await Holiday.findOne({ _id: req.params.holidayId, company: req.params.id });
+        if (!holiday) {
+            return notFoundResponse(res, 'Holiday not found');
+        }
+
+        const before = holiday.toObject();
+        Object.assign(holiday, toHolidayFields(req.body));
+        await holiday.save();
+        await recordAudit(req, { entityType: 'holiday', entityId: holiday._id, action: 'update', before, after: holiday });
+
+        return successResponse(res, holiday, 'Holiday updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid holiday ID');
+        }
+        return errorResponse(res, 'Error updating holiday', 400);
+    }
+});
+
+// Delete holiday
+router.delete('/:holidayId', async (req, res) => {
+    try {
+        const holiday = await Holiday.findOneAndDelete({ _id: req.params.holidayId, company: req.params.id });
+        if (!holiday) {
+            return notFoundResponse(res, 'Holiday not found');
+        }
+
+        await recordAudit(req, { entityType: 'holiday', entityId: holiday._id, action: 'delete', before: holiday });
+
+        return successResponse(res, null, 'Holiday deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid holiday ID');
+        }
+        return errorResponse(res, 'Error deleting holiday');
+    }
+});
+
+// Holiday fields from a request body; the date is stored as the UTC midnight of the calendar day
+function toHolidayFields({ name, date, region, recurrence }) {
+    return {
+        name,
+        date: new Date(new Date(date).toISOString().slice(0, 10)),
+        region: region || null,
+        recurrence: { rule: 'none', ...recurrence }
+    };
+}
+
+// Whether a value is a real calendar day (2023-02-30 parses, but as March 2nd)
+function isCalendarDate(value) {
+    const time = Date.parse(value);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === String(value).slice(0, 10);
+}
+
+function holidayKey({ name, date, region }) {
+    return [new Date(date).toISOString().slice(0, 10), name.trim().toLowerCase(), region || ''].join('|');
+}
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Company = require('../models/Company');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
-const Department = require('../models/Department');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, forbiddenResponse } = require('../utils/apiResponse');
+const { DEFAULT_PASSWORD_POLICY, validatePassword } = require('../utils/passwordPolicy');
+const { createDefaultDepartments } = require('../scripts/createDefaultDepartments');
+const { recordAudit } = require('../utils/audit');
+const { isValidTimeZone } = require('../utils/timezones');
 const mongoose = require('mongoose');
 
 // Validation middleware
@@ -19,7 +23,8 @@ const companyValidation = [
     body('emailSubdomain')
         .notEmpty().withMessage('Email subdomain is required')
         .matches(/^[a-z0-9]+$/)
-        .withMessage('Subdomain can only contain lowercase letters and numbers')
+        .withMessage('Subdomain can only contain lowercase letters and numbers'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone')
 ];
 
 const companyRegistrationValidation = [
@@ -30,13 +35,109 @@ const companyRegistrationValidation = [
         .withMessage('Invalid email domain format'),
     body('adminFirstName').notEmpty().withMessage('Admin first name is required'),
     body('adminLastName').notEmpty().withMessage('Admin last name is required'),
-    body('adminPassword')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long')
+    body('adminPassword').notEmpty().withMessage('Admin password is required'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone')
 ];
 
+const mailSettingsValidation = [
+    body('mailSettings.senderName').optional({ values: 'falsy' }).trim().isLength({ max: 100 }).withMessage('Sender name is too long'),
+    body('mailSettings.replyTo').optional({ values: 'falsy' }).isEmail().withMessage('Reply-to must be a valid email')
+];
+
+const passwordPolicyValidation = [
+    body('passwordPolicy.minLength').optional().isInt({ min: 6, max: 128 }).withMessage('Minimum length must be between 6 and 128'),
+    body(['passwordPolicy.requireUppercase', 'passwordPolicy.requireLowercase', 'passwordPolicy.requireNumber', 'passwordPolicy.requireSymbol'])
+        .optional().isBoolean().withMessage('Character class requirements must be true or false'),
+    body('passwordPolicy.historyCount').optional().isInt({ min: 0, max: 24 }).withMessage('History count must be between 0 and 24'),
+    body('passwordPolicy.maxAgeDays').optional().isInt({ min: 0 }).withMessage('Maximum age must be 0 or more days'),
+    body('passwordPolicy.maxFailedAttempts').optional().isInt({ min: 0 }).withMessage('Maximum failed attempts must be 0 or more'),
+    body('passwordPolicy.lockoutMinutes').optional().isInt({ min: 1 }).withMessage('Lockout must be at least 1 minute')
+];
+
+const twoFactorPolicyValidation = [
+    body('twoFactorPolicy.enforcedRoles').optional().isArray().withMessage('Enforced roles must be a list'),
+    body('twoFactorPolicy.enforcedRoles.*').isIn(['admin', 'hr']).withMessage('Two-factor can only be enforced for admin and hr roles')
+];
+
+const auditSettingsValidation = [
+    body('auditSettings.redactFields').optional().isArray().withMessage('Redacted fields must be a list'),
+    body('auditSettings.redactFields.*').isString().trim().notEmpty().withMessage('Redacted field names must be non-empty text')
+];
+
+const leaveSettingsValidation = [
+    body('leaveSettings.yearStartMonth').optional().isInt({ min: 1, max: 12 }).withMessage('Leave year start month must be between 1 and 12'),
+    body('leaveSettings.payPeriod').optional().isIn(['weekly', 'biweekly', 'semi_monthly', 'monthly']).withMessage('Invalid pay period'),
+    body('leaveSettings.payPeriodAnchor').optional({ values: 'null' }).isISO8601().withMessage('Invalid pay period anchor date'),
+    body(['leaveSettings.maxTeamAbsentPercent', 'leaveSettings.maxDepartmentAbsentPercent']).optional({ values: 'null' })
+        .isFloat({ min: 1, max: 100 }).withMessage('Absence limits must be between 1 and 100 percent'),
+    body('leaveSettings.coverageMinGroupSize').optional().isInt({ min: 1 }).withMessage('Minimum group size must be at least 1'),
+    body('leaveSettings.coverageEnforcement').optional().isIn(['warn', 'block']).withMessage('Coverage enforcement must be warn or block')
+];
+
+const timeSettingsValidation = [
+    body('timeSettings.paidBreakMinutes').optional().isInt({ min: 0, max: 24 * 60 }).withMessage('Paid break must be between 0 and 1440 minutes'),
+    body('timeSettings.minimumBreaks').optional().isArray({ max: 10 }).withMessage('Minimum breaks must be a list of at most 10 rules'),
+    body(['timeSettings.minimumBreaks.*.afterWorkedMinutes', 'timeSettings.minimumBreaks.*.breakMinutes'])
+        .isInt({ min: 0, max: 24 * 60 }).withMessage('Minimum break rules need minutes between 0 and 1440')
+];
+
+const overtimeSettingsValidation = [
+    body(['overtimeSettings.dailyThresholdMinutes', 'overtimeSettings.weeklyThresholdMinutes']).optional({ values: 'null' })
+        .isInt({ min: 0, max: 7 * 24 * 60 }).withMessage('Overtime thresholds must be between 0 and 10080 minutes'),
+    body(['overtimeSettings.overtimeMultiplier', 'overtimeSettings.weekendMultiplier', 'overtimeSettings.holidayMultiplier']).optional()
+        .isFloat({ min: 1, max: 5 }).withMessage('Multipliers must be between 1 and 5'),
+    body('overtimeSettings.weekendDays').optional().isArray({ max: 7 }).withMessage('Weekend days must be a list of days'),
+    body('overtimeSettings.weekendDays.*').isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+        .withMessage('Invalid weekend day'),
+    body('overtimeSettings.restDayWork').optional().isIn(['overtime', 'threshold'])
+        .withMessage('Rest day work must be overtime or threshold')
+];
+
+const shiftSettingsValidation = [
+    body('shiftSettings.earlyClockInMinutes').optional().isInt({ min: 0, max: 12 * 60 })
+        .withMessage('Early clock-in must be between 0 and 720 minutes'),
+    body('shiftSettings.requireShiftForClockIn').optional().isBoolean().withMessage('Require shift must be true or false')
+];
+
+const attendanceSettingsValidation = [
+    body(['attendanceSettings.lateGraceMinutes', 'attendanceSettings.missedClockOutGraceMinutes']).optional()
+        .isInt({ min: 0, max: 24 * 60 }).withMessage('Grace periods must be between 0 and 1440 minutes'),
+    body('attendanceSettings.missedClockOutAction').optional().isIn(['flag', 'close_at_shift_end'])
+        .withMessage('Missed clock-out action must be flag or close_at_shift_end'),
+    body('attendanceSettings.detectAbsences').optional().isBoolean().withMessage('Absence detection must be true or false')
+];
+
+const settingsValidation = [...mailSettingsValidation, ...passwordPolicyValidation, ...twoFactorPolicyValidation, ...auditSettingsValidation,
+    ...leaveSettingsValidation, ...timeSettingsValidation, ...overtimeSettingsValidation,
+    ...shiftSettingsValidation, ...attendanceSettingsValidation];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Settings sections an admin may change, and the fields allowed in each
+const settingsSections = {
+    mailSettings: ['senderName', 'replyTo'],
+    passwordPolicy: ['minLength', 'requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol',
+        'historyCount', 'maxAgeDays', 'maxFailedAttempts', 'lockoutMinutes'],
+    twoFactorPolicy: ['enforcedRoles'],
+    auditSettings: ['redactFields'],
+    leaveSettings: ['yearStartMonth', 'payPeriod', 'payPeriodAnchor', 'maxTeamAbsentPercent', 'maxDepartmentAbsentPercent',
+        'coverageMinGroupSize', 'coverageEnforcement'],
+    timeSettings: ['paidBreakMinutes', 'minimumBreaks'],
+    overtimeSettings: ['dailyThresholdMinutes', 'weeklyThresholdMinutes', 'overtimeMultiplier', 'weekendDays', 'weekendMultiplier',
+        'holidayMultiplier', 'restDayWork'],
+    shiftSettings: ['earlyClockInMinutes', 'requireShiftForClockIn'],
+    attendanceSettings: ['lateGraceMinutes', 'missedClockOutGraceMinutes', 'missedClockOutAction', 'detectAbsences']
+};
+
 // Get all companies
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('company.manage'), async (req, res) => {
     try {
         const companies = await Company.find().sort({ name: 1 });
         res.json(companies);
@@ -60,6 +161,13 @@ router.post('/register', companyRegistrationValidation, async (req, res) => {
             adminEmail
         } = req.body;
 
+        // The company has no policy of its own yet, so the defaults apply
+        const policyErrors = await validatePassword(adminPassword, DEFAULT_PASSWORD_POLICY);
+        if (policyErrors.length) {
+            await session.abortTransaction();
+            return res.status(400).json({ message: policyErrors[0], errors: policyErrors });
+        }
+
         // Check if company name exists
         const existingCompany = await Company.findOne({ name: companyName });
         if (existingCompany) {
@@ -85,14 +193,20 @@ router.post('/register', companyRegistrationValidation, async (req, res) => {
         const company = new Company({
             name: companyName,
             emailDomain,
+            timezone: req.body.timezone || 'UTC',
             status: 'active'
         });
         await company.save({ session });
 
+        // Seed the company's own default departments
+        const departments = await createDefaultDepartments(company._id, { session });
+        const adminDepartment = departments.find(dept => dept.name === 'Information Technology') || departments[0];
+
         // Create admin user first
         const user = new User({
             email: adminEmail,
             password: adminPassword,
+            passwordChangedAt: new Date(),
             role: 'admin',
             company: company._id,
             status: 'active'
@@ -109,7 +223,7 @@ router.post('/register', companyRegistrationValidation, async (req, res) => {
             position: 'System Administrator',
             role: 'admin',
             company: company._id,
-            department: company._id,
+            department: adminDepartment._id,
             status: 'active',
             enrollmentStatus: 'completed',
             joinDate: new Date(),
@@ -141,6 +255,8 @@ router.post('/register', companyRegistrationValidation, async (req, res) => {
         user.employeeId = employee._id;
         await user.save({ session });
 
+        await recordAudit(req, { entityType: 'company', entityId: company._id, action: 'create', after: company, company: company._id, actor: user._id, session });
+
         await session.commitTransaction();
 
         res.status(201).json({
@@ -166,7 +282,7 @@ router.post('/register', companyRegistrationValidation, async (req, res) => {
 });
 
 // Create new company (admin only)
-router.post('/', authenticateToken, requireAdmin, companyValidation, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('company.manage'), companyValidation, async (req, res) => {
     try {
         // Check if company name exists
         const existingName = await Company.findOne({ name: req.body.name });
@@ -185,6 +301,8 @@ router.post('/', authenticateToken, requireAdmin, companyValidation, async (req,
 
         const company = new Company(req.body);
         const newCompany = await company.save();
+        await createDefaultDepartments(newCompany._id);
+        await recordAudit(req, { entityType: 'company', entityId: newCompany._id, action: 'create', after: newCompany, company: newCompany._id });
         res.status(201).json(newCompany);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -192,7 +310,7 @@ router.post('/', authenticateToken, requireAdmin, companyValidation, async (req,
 });
 
 // Update company
-router.put('/:id', authenticateToken, requireAdmin, companyValidation, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('company.manage'), requireOwnCompany, companyValidation, async (req, res) => {
     try {
         // Check if company name exists for other companies
         const existingName = await Company.findOne({
@@ -218,16 +336,62 @@ router.put('/:id', authenticateToken, requireAdmin, companyValidation, async (re
             return res.status(404).json({ message: 'Company not found' });
         }
 
+        const before = company.toObject();
         Object.assign(company, req.body);
         const updatedCompany = await company.save();
+        await recordAudit(req, { entityType: 'company', entityId: company._id, action: 'update', before, after: updatedCompany });
         res.json(updatedCompany);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
+// Get company settings
+router.get('/:id/settings', authenticateToken, requirePermission('company.manage'), requireOwnCompany, async (req, res) => {
+    try {
+        const company = await Company.findById(req.params.id).select(Object.keys(settingsSections).join(' '));
+        if (!company) {
+            return notFoundResponse(res, 'Company not found');
+        }
+        return successResponse(res, company, 'Company settings retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error retrieving company settings');
+    }
+});
+
+// Update company settings (only the sections and fields listed in settingsSections)
+router.patch('/:id/settings', authenticateToken, requirePermission('company.manage'), requireOwnCompany, settingsValidation, validate, async (req, res) => {
+    try {
+        const update = {};
+        for (const [section, fields] of Object.entries(settingsSections)) {
+            if (!req.body[section]) continue;
+            for (const field of fields) {
+                if (req.body[section][field] !== undefined) {
+                    update[`${section}.${field}`] = req.body[section][field];
+                }
+            }
+        }
+
+        const before = await Company.findById(req.params.id).select(Object.keys(settingsSections).join(' ')).lean();
+        const company = await Company.findByIdAndUpdate(
+            req.params.id,
+            { $set: update },
+            { new: true, runValidators: true }
+        ).select(Object.keys(settingsSections).join(' '));
+        if (!company) {
+            return notFoundResponse(res, 'Company not found');
+        }
+
+        await recordAudit(req, { entityType: 'company', entityId: company._id, action: 'update', before, after: company });
+
+        return successResponse(res, company, 'Company settings updated successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error updating company settings', 400);
+    }
+});
+
 // Check if company exists
-router.get('/check', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/check', authenticateToken, requirePermission('company.manage'), async (req, res) => {
     try {
         const { name, emailDomain } = req.query;
         const exists = await Company.findOne({
@@ -242,4 +406,12 @@ router.get('/check', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+// Admins may only manage their own company
+function requireOwnCompany(req, res, next) {
+    if (!req.user.companyId || req.user.companyId.toString() !== req.params.id) {
+        return forbiddenResponse(res, 'You can only manage your own company');
+    }
+    next();
+}
+
 module.exports = router; 
\ No newline at end of file
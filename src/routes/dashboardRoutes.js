@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getDashboardStats, getRecentActivities, getRecentLeaves } = require('../controllers/dashboardController');
+const { getDashboardStats, getRecentActivities, getRecentLeaves, getAttendanceSummary } = require('../controllers/dashboardController');
 const { authenticateToken } = require('../middleware/auth');
 
 // Apply JWT authentication middleware
@@ -15,4 +15,7 @@ router.get('/recent-activities', getRecentActivities);
 // Get recent leaves
 router.get('/recent-leaves', getRecentLeaves);
 
+// Get open attendance exceptions
+router.get('/attendance', getAttendanceSummary);
+
 module.exports = router;
\ No newline at end of file
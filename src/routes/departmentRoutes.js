@@ -2,13 +2,30 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Department = require('../models/Department');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const Employee = require('../models/Employee');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/apiResponse');
+const { getCompanyIdFromUser } = require('../utils/company');
+const { recordAudit } = require('../utils/audit');
 const mongoose = require('mongoose');
 
 // Use JWT auth
 router.use(authenticateToken);
 
+// Scope every department route to the caller's company
+router.use(async (req, res, next) => {
+    try {
+        const companyId = await getCompanyIdFromUser(req.user.userId);
+        if (!companyId) {
+            return errorResponse(res, 'Could not determine your company', 400);
+        }
+        req.companyId = companyId;
+        next();
+    } catch (error) {
+        return errorResponse(res, 'Error resolving company');
+    }
+});
+
 // Validation middleware
 const departmentValidation = [
     body('name').trim().notEmpty().withMessage('Department name is required'),
@@ -26,10 +43,27 @@ const validate = (req, res, next) => {
     next();
 };
 
+// Ensure a department manager belongs to the caller's company
+const validateManager = async (req, res, next) => {
+    try {
+        if (!req.body.manager) {
+            return next();
+        }
+        const manager = await Employee.findOne({ _id: req.body.manager, company: req.companyId }).select('_id').lean();
+        if (!manager) {
+            return errorResponse(res, 'Manager must be an employee of your company', 400);
+        }
+        next();
+    } catch (error) {
+        return errorResponse(res, 'Error validating department manager');
+    }
+};
+
 // Get all departments
 router.get('/', async (req, res) => {
     try {
-        const departments = await Department.find()
+        const departments = await Department.find({ company: req.companyId })
+            .sort({ name: 1 })
             .populate('manager', 'firstName lastName email');
         return successResponse(res, departments, 'Departments retrieved successfully');
     } catch (error) {
@@ -40,7 +74,7 @@ router.get('/', async (req, res) => {
 // Get department by ID
 router.get('/:id', async (req, res) => {
     try {
-        const department = await Department.findById(req.params.id)
+        const department = await Department.findOne({ _id: req.params.id, company: req.companyId })
             .populate('manager', 'firstName lastName email');
 
         if (!department) {
@@ -57,51 +91,73 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new department
-router.post('/', isAdmin, departmentValidation, validate, async (req, res) => {
+router.post('/', requirePermission('department.write'), departmentValidation, validate, validateManager, async (req, res) => {
     try {
-        const department = new Department(req.body);
+        const department = new Department({
+            ...req.body,
+            company: req.companyId
+        });
         await department.save();
+        await recordAudit(req, { entityType: 'department', entityId: department._id, action: 'create', after: department, company: req.companyId });
 
         const populatedDepartment = await Department.findById(department._id)
             .populate('manager', 'firstName lastName email');
 
         return successResponse(res, populatedDepartment, 'Department created successfully', 201);
     } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'Department name already exists', 400);
+        }
         return errorResponse(res, 'Error creating department', 400);
     }
 });
 
 // Update department
-router.put('/:id', isAdmin, departmentValidation, validate, async (req, res) => {
+router.put('/:id', requirePermission('department.write'), departmentValidation, validate, validateManager, async (req, res) => {
     try {
-        const department = await Department.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true }
+        // A department can never be moved to another company
+        const { company, ...updateData } = req.body;
+
+        const existing = await Department.findOne({ _id: req.params.id, company: req.companyId }).lean();
+        if (!existing) {
+            return notFoundResponse(res, 'Department not found');
+        }
+
+        const department = await Department.findOneAndUpdate(
+            { _id: req.params.id, company: req.companyId },
+            updateData,
+            { new: true, runValidators: true }
         ).populate('manager', 'firstName lastName email');
 
         if (!department) {
             return notFoundResponse(res, 'Department not found');
         }
 
+        await recordAudit(req, { entityType: 'department', entityId: department._id, action: 'update', before: existing, after: department, company: req.companyId });
+
         return successResponse(res, department, 'Department updated successfully');
     } catch (error) {
         if (error instanceof mongoose.Error.CastError) {
             return notFoundResponse(res, 'Invalid department ID');
         }
+        if (error.code === 11000) {
+            return errorResponse(res, 'Department name already exists', 400);
+        }
         return errorResponse(res, 'Error updating department', 400);
     }
 });
 
 // Delete department
-router.delete('/:id', isAdmin, async (req, res) => {
+router.delete('/:id', requirePermission('department.write'), async (req, res) => {
     try {
-        const department = await Department.findByIdAndDelete(req.params.id);
+        const department = await Department.findOneAndDelete({ _id: req.params.id, company: req.companyId });
 
         if (!department) {
             return notFoundResponse(res, 'Department not found');
         }
 
+        await recordAudit(req, { entityType: 'department', entityId: department._id, action: 'delete', before: department, company: req.companyId });
+
         return successResponse(res, null, 'Department deleted successfully');
     } catch (error) {
         if (error instanceof mongoose.Error.CastError) {
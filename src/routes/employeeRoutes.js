@@ -1,12 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
+const Department = require('../models/Department');
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
-const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, unauthorizedResponse } = require('../utils/apiResponse');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, forbiddenResponse } = require('../utils/apiResponse');
+const { getCompanyIdFromUser } = require('../utils/company');
+const { generateSecureToken, hashToken } = require('../utils/auth');
+const { sendMail } = require('../mail');
+const { getPasswordPolicy, validatePassword, applyNewPassword } = require('../utils/passwordPolicy');
+const { hasPermission, canAccessEmployee } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { postOpeningBalance } = require('../utils/leaveLedger');
+const { isValidTimeZone } = require('../utils/timezones');
+
+const INVITE_TOKEN_TTL_DAYS = parseInt(process.env.INVITE_TOKEN_TTL_DAYS, 10) || 7;
+
+// Profile fields employees may change on their own record
+const SELF_EDITABLE_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'address', 'emergencyContact', 'approvalDelegate'];
+
+// Fields that are never changed through the update route
+// leaveBalance is a summary of the leave ledger and only changes through ledger entries
+const PROTECTED_FIELDS = ['company', 'userId', 'inviteToken', 'inviteTokenExpiry', 'leaveBalance'];
 
 // Validation middleware
 const employeeValidation = [
@@ -15,7 +33,10 @@ const employeeValidation = [
     body('email').isEmail().withMessage('Please enter a valid email'),
     body('role').isIn(['employee', 'hr', 'admin']).withMessage('Invalid role'),
     body('position').notEmpty().withMessage('Position is required'),
-    body('phoneNumber').optional().isMobilePhone().withMessage('Please enter a valid phone number')
+    body('reportingManager').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid reporting manager ID'),
+    body('phoneNumber').optional().isMobilePhone().withMessage('Please enter a valid phone number'),
+    body('timezone').optional({ values: 'null' }).custom(isValidTimeZone).withMessage('Invalid timezone'),
+    body('leaveBalance.total').optional().isFloat({ min: 0, max: 366 }).withMessage('Opening leave balance must be between 0 and 366 days').toFloat()
 ];
 
 // Validation result middleware
@@ -27,8 +48,8 @@ const validate = (req, res, next) => {
     next();
 };
 
-// Get all employees (admin only, but filtered by their company)
-router.get('/', authenticateToken, isAdmin, async (req, res) => {
+// Get all employees (filtered by the caller's company)
+router.get('/', authenticateToken, requirePermission('employee.read'), async (req, res) => {
     try {
         // 1. Get the Admin's User ID
         const adminUserId = req.user.userId;
@@ -56,7 +77,7 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
             .populate('department', 'name')
             .populate('reportingManager', 'firstName lastName email');
 
-        return successResponse(res, employees, 'Employees retrieved successfully for company');
+        return successResponse(res, redactSalaries(req.user, employees), 'Employees retrieved successfully for company');
     } catch (error) {
         console.error("Error retrieving employees for admin's company:", error);
         return errorResponse(res, 'Error retrieving employees');
@@ -83,12 +104,12 @@ router.get('/me', authenticateToken, async (req, res) => {
 // Get employees reporting to current user
 router.get('/reporting-to-me', authenticateToken, async (req, res) => {
     try {
-        if (req.user.role === 'admin') {
-            const employees = await Employee.find()
+        if (hasPermission(req.user, 'employee.read')) {
+            const employees = await Employee.find({ company: req.user.companyId })
                 .select('-password')
                 .populate('department', 'name')
                 .populate('reportingManager', 'firstName lastName email');
-            return successResponse(res, employees, 'All employees retrieved for admin');
+            return successResponse(res, redactSalaries(req.user, employees), 'All employees retrieved');
         }
 
         const manager = await Employee.findOne({ userId: req.user.userId });
@@ -101,16 +122,165 @@ router.get('/reporting-to-me', authenticateToken, async (req, res) => {
             .populate('department', 'name')
             .populate('reportingManager', 'firstName lastName email');
 
-        return successResponse(res, employees, 'Reporting employees retrieved successfully');
+        return successResponse(res, redactSalaries(req.user, employees), 'Reporting employees retrieved successfully');
     } catch (error) {
         return errorResponse(res, 'Error retrieving reporting employees');
     }
 });
 
+// Invite a new employee by email
+router.post('/invites', authenticateToken, requirePermission('employee.invite'), employeeValidation, validate, async (req, res) => {
+    try {
+        const companyId = await getCompanyIdFromUser(req.user.userId);
+        if (!companyId) {
+            return errorResponse(res, 'Admin user company not found', 400);
+        }
+
+        const restricted = restrictedFieldError(req.user, req.body);
+        if (restricted) {
+            return forbiddenResponse(res, restricted);
+        }
+
+        const email = req.body.email.toLowerCase();
+        const [existingEmployee, existingUser] = await Promise.all([
+            Employee.findOne({ email }).lean(),
+            User.findOne({ email }).lean()
+        ]);
+        if (existingEmployee || existingUser) {
+            return errorResponse(res, 'Employee with this email already exists', 400);
+        }
+
+        if (!await Department.exists({ _id: req.body.department, company: companyId })) {
+            return errorResponse(res, 'Department not found in your company', 400);
+        }
+
+        const role = req.body.role || 'employee';
+        if (role !== 'admin' && !req.body.reportingManager) {
+            return errorResponse(res, 'Reporting manager is required for non-admin employees', 400);
+        }
+        if (role !== 'admin' && !await Employee.exists({ _id: req.body.reportingManager, company: companyId })) {
+            return errorResponse(res, 'Reporting manager not found in your company', 400);
+        }
+
+        const employee = new Employee({
+            company: companyId,
+            firstName: req.body.firstName,
+            lastName: req.body.lastName,
+            email,
+            position: req.body.position,
+            department: req.body.department,
+            role,
+            reportingManager: role === 'admin' ? null : req.body.reportingManager,
+            salary: {
+                amount: req.body.salary?.amount ?? 0,
+                currency: req.body.salary?.currency || 'USD'
+            },
+            workSchedule: req.body.workSchedule,
+            timezone: req.body.timezone || null,
+            joinDate: req.body.joinDate,
+            enrollmentStatus: 'pending'
+        });
+        const invite = assignInviteToken(employee);
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await employee.save({ session });
+            await postOpeningBalance(employee, req.body.leaveBalance?.total, { actor: req.user.userId, session });
+            await recordAudit(req, { entityType: 'employee', entityId: employee._id, action: 'create', after: employee, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        sendInviteEmail(employee, invite);
+
+        return successResponse(res, {
+            employee: toInviteSummary(employee),
+            ...invite
+        }, 'Invitation created successfully', 201);
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        return errorResponse(res, 'Error creating invitation');
+    }
+});
+
+// List invitations for the admin's company
+router.get('/invites', authenticateToken, requirePermission('employee.invite'), async (req, res) => {
+    try {
+        const companyId = await getCompanyIdFromUser(req.user.userId);
+        if (!companyId) {
+            return errorResponse(res, 'Admin user company not found', 400);
+        }
+
+        const query = { company: companyId, enrollmentStatus: 'pending', userId: { $exists: false } };
+        if (req.query.status === 'expired') {
+            query.inviteTokenExpiry = { $lte: new Date() };
+        } else if (req.query.status === 'active') {
+            query.inviteTokenExpiry = { $gt: new Date() };
+        }
+
+        const invites = await Employee.find(query)
+            .populate('department', 'name')
+            .sort({ createdAt: -1 });
+
+        return successResponse(res, invites.map(toInviteSummary), 'Invitations retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error retrieving invitations');
+    }
+});
+
+// Resend an invitation (issues a new link and invalidates the old one)
+router.post('/invites/:id/resend', authenticateToken, requirePermission('employee.invite'), async (req, res) => {
+    try {
+        const employee = await findPendingInvite(req);
+        if (!employee) {
+            return notFoundResponse(res, 'Invitation not found');
+        }
+
+        const before = employee.toObject();
+        const invite = assignInviteToken(employee);
+        await employee.save();
+        await recordAudit(req, { entityType: 'employee', entityId: employee._id, action: 'update', before, after: employee });
+        sendInviteEmail(employee, invite);
+
+        return successResponse(res, {
+            employee: toInviteSummary(employee),
+            ...invite
+        }, 'Invitation resent successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid invitation ID');
+        }
+        return errorResponse(res, 'Error resending invitation');
+    }
+});
+
+// Revoke an invitation
+router.delete('/invites/:id', authenticateToken, requirePermission('employee.invite'), async (req, res) => {
+    try {
+        const employee = await findPendingInvite(req);
+        if (!employee) {
+            return notFoundResponse(res, 'Invitation not found');
+        }
+
+        await Employee.deleteOne({ _id: employee._id });
+        await recordAudit(req, { entityType: 'employee', entityId: employee._id, action: 'delete', before: employee });
+
+        return successResponse(res, null, 'Invitation revoked successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid invitation ID');
+        }
+        return errorResponse(res, 'Error revoking invitation');
+    }
+});
+
 // Get employee by ID
 router.get('/:id', authenticateToken, async (req, res) => {
     try {
-        const employee = await Employee.findById(req.params.id)
+        const employee = await Employee.findOne({ _id: req.params.id, company: req.user.companyId })
             .select('-password')
             .populate('department', 'name')
             .populate('reportingManager', 'firstName lastName email');
@@ -118,7 +288,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
         if (!employee) {
             return notFoundResponse(res, 'Employee not found');
         }
-        return successResponse(res, employee, 'Employee retrieved successfully');
+        if (!await canAccessEmployee(req.user, employee._id, { permission: 'employee.read', teamPermission: 'team.read' })) {
+            return forbiddenResponse(res, 'You do not have permission to view this employee');
+        }
+        return successResponse(res, redactSalaries(req.user, [employee])[0], 'Employee retrieved successfully');
     } catch (error) {
         if (error instanceof mongoose.Error.CastError) {
             return notFoundResponse(res, 'Invalid employee ID');
@@ -128,13 +301,19 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create employee
-router.post('/', authenticateToken, isAdmin, employeeValidation, validate, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('employee.write'), employeeValidation, validate, async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
         const { email, userId } = req.body;
 
+        const restricted = restrictedFieldError(req.user, req.body);
+        if (restricted) {
+            await session.abortTransaction();
+            return forbiddenResponse(res, restricted);
+        }
+
         const adminUser = await User.findById(req.user.userId).session(session);
         if (!adminUser?.company) {
             await session.abortTransaction();
@@ -147,8 +326,15 @@ router.post('/', authenticateToken, isAdmin, employeeValidation, validate, async
             return errorResponse(res, 'Employee with this email already exists', 400);
         }
 
+        const department = await Department.findOne({ _id: req.body.department, company: adminUser.company }).session(session);
+        if (!department) {
+            await session.abortTransaction();
+            return errorResponse(res, 'Department not found in your company', 400);
+        }
+
+        const { leaveBalance, ...employeeData } = req.body;
         const employee = new Employee({
-            ...req.body,
+            ...employeeData,
             userId,
             enrollmentStatus: 'completed',
             enrolledAt: new Date(),
@@ -163,7 +349,9 @@ router.post('/', authenticateToken, isAdmin, employeeValidation, validate, async
         }
 
         await employee.save({ session });
+        await postOpeningBalance(employee, leaveBalance?.total, { actor: req.user.userId, session });
         await User.findByIdAndUpdate(userId, { employeeId: employee._id }, { session });
+        await recordAudit(req, { entityType: 'employee', entityId: employee._id, action: 'create', after: employee, session });
         await session.commitTransaction();
 
         const populatedEmployee = await Employee.findById(employee._id)
@@ -182,24 +370,54 @@ router.post('/', authenticateToken, isAdmin, employeeValidation, validate, async
 // Update employee
 router.put('/:id', authenticateToken, employeeValidation, validate, async (req, res) => {
     try {
-        if (req.user.role !== 'admin' && req.user.userId !== req.params.id) {
-            return unauthorizedResponse(res, 'Unauthorized to update this profile');
+        const existing = await Employee.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!existing) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+
+        const isSelf = existing._id.toString() === req.user.employeeId;
+        if (!isSelf && !hasPermission(req.user, 'employee.write')) {
+            return forbiddenResponse(res, 'Unauthorized to update this profile');
+        }
+
+        // Without employee.write, only personal details can be changed
+        let updateData = { ...req.body };
+        PROTECTED_FIELDS.forEach(field => delete updateData[field]);
+        if (!hasPermission(req.user, 'employee.write')) {
+            updateData = Object.fromEntries(Object.entries(updateData).filter(([field]) => SELF_EDITABLE_FIELDS.includes(field)));
+        }
+
+        const restricted = restrictedFieldError(req.user, updateData, existing);
+        if (restricted) {
+            return forbiddenResponse(res, restricted);
+        }
+
+        if (updateData.department && !await Department.exists({ _id: updateData.department, company: existing.company })) {
+            return errorResponse(res, 'Department not found in your company', 400);
+        }
+
+        if (updateData.approvalDelegate && (updateData.approvalDelegate.toString() === existing._id.toString() ||
+            !await Employee.exists({ _id: updateData.approvalDelegate, company: existing.company }))) {
+            return errorResponse(res, 'Approval delegate must be another employee of your company', 400);
         }
 
         const employee = await Employee.findByIdAndUpdate(
             req.params.id,
-            { $set: req.body },
+            { $set: updateData },
             { new: true }
         )
             .select('-password')
             .populate('department', 'name')
             .populate('reportingManager', 'firstName lastName email');
 
-        if (!employee) {
-            return notFoundResponse(res, 'Employee not found');
+        // The user record carries the role too; keep them in step
+        if (updateData.role && updateData.role !== existing.role && existing.userId) {
+            await User.updateOne({ _id: existing.userId }, { $set: { role: updateData.role } });
         }
 
-        return successResponse(res, employee, 'Employee updated successfully');
+        await recordAudit(req, { entityType: 'employee', entityId: existing._id, action: 'update', before: existing, after: employee });
+
+        return successResponse(res, redactSalaries(req.user, [employee])[0], 'Employee updated successfully');
     } catch (error) {
         if (error instanceof mongoose.Error.CastError) {
             return notFoundResponse(res, 'Invalid employee ID');
@@ -209,12 +427,12 @@ router.put('/:id', authenticateToken, employeeValidation, validate, async (req,
 });
 
 // Delete employee
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('employee.delete'), async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const employee = await Employee.findById(req.params.id).session(session);
+        const employee = await Employee.findOne({ _id: req.params.id, company: req.user.companyId }).session(session);
         if (!employee) {
             await session.abortTransaction();
             return notFoundResponse(res, 'Employee not found');
@@ -235,6 +453,8 @@ router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
             await User.findByIdAndDelete(employee.userId, { session });
         }
 
+        await recordAudit(req, { entityType: 'employee', entityId: employee._id, action: 'delete', before: employee, session });
+
         await session.commitTransaction();
         return successResponse(res, null, 'Employee deleted successfully');
     } catch (error) {
@@ -267,7 +487,13 @@ router.post('/change-password', authenticateToken, async (req, res) => {
             return errorResponse(res, 'Current password is incorrect', 400);
         }
 
-        user.password = newPassword;
+        const policy = await getPasswordPolicy(user.company);
+        const policyErrors = await validatePassword(newPassword, policy, user);
+        if (policyErrors.length) {
+            return validationErrorResponse(res, policyErrors.map(msg => ({ path: 'password', msg })));
+        }
+
+        applyNewPassword(user, newPassword, policy);
         await user.save();
 
         return successResponse(res, null, 'Password updated successfully');
@@ -276,4 +502,86 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     }
 });
 
+// Salaries are only visible to the employee themselves and holders of employee.salary.read
+function redactSalaries(user, employees) {
+    return employees.map(employee => {
+        const data = employee.toObject ? employee.toObject() : { ...employee };
+        if (!hasPermission(user, 'employee.salary.read') && data._id.toString() !== user.employeeId) {
+            delete data.salary;
+        }
+        return data;
+    });
+}
+
+// Assigning roles needs role.manage and setting salaries needs employee.salary.write.
+// Returns an error message, or null if the caller may set every field in data.
+function restrictedFieldError(user, data, existing = null) {
+    const currentRole = existing ? existing.role : 'employee';
+    if (data.role && data.role !== currentRole && !hasPermission(user, 'role.manage')) {
+        return 'You do not have permission to assign roles';
+    }
+
+    const salaryChanged = data.salary && (!existing ||
+        (data.salary.amount !== undefined && Number(data.salary.amount) !== existing.salary?.amount) ||
+        (data.salary.currency && data.salary.currency !== existing.salary?.currency));
+    if (salaryChanged && !hasPermission(user, 'employee.salary.write')) {
+        return 'You do not have permission to change salaries';
+    }
+    return null;
+}
+
+// Give an employee a fresh single-use invite token; only its hash is stored
+function assignInviteToken(employee) {
+    const inviteToken = generateSecureToken();
+    const expiresAt = new Date(Date.now() + INVITE_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    employee.inviteToken = hashToken(inviteToken);
+    employee.inviteTokenExpiry = expiresAt;
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return {
+        inviteToken,
+        inviteLink: `${frontendUrl}/accept-invite?token=${inviteToken}`,
+        expiresAt
+    };
+}
+
+function sendInviteEmail(employee, invite) {
+    sendMail('invite', {
+        to: employee.email,
+        company: employee.company,
+        data: {
+            firstName: employee.firstName,
+            inviteLink: invite.inviteLink,
+            expiresAt: invite.expiresAt
+        }
+    });
+}
+
+async function findPendingInvite(req) {
+    const companyId = await getCompanyIdFromUser(req.user.userId);
+    return Employee.findOne({
+        _id: req.params.id,
+        company: companyId,
+        enrollmentStatus: 'pending',
+        userId: { $exists: false }
+    });
+}
+
+function toInviteSummary(employee) {
+    return {
+        _id: employee._id,
+        email: employee.email,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        position: employee.position,
+        role: employee.role,
+        department: employee.department,
+        enrollmentStatus: employee.enrollmentStatus,
+        inviteTokenExpiry: employee.inviteTokenExpiry,
+        expired: !employee.inviteTokenExpiry || employee.inviteTokenExpiry <= new Date(),
+        invitedAt: employee.createdAt
+    };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Employee = require('../models/Employee');
+const { authenticateToken } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { getHolidayOccurrences } = require('../utils/holidays');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/apiResponse');
+
+// Longest range a single request may expand
+const MAX_RANGE_DAYS = 3 * 366;
+
+// Validation middleware
+const rangeValidation = [
+    query('from').isISO8601().withMessage('Invalid from date'),
+    query('to').isISO8601().withMessage('Invalid to date')
+        .custom((to, { req }) => new Date(to) >= new Date(req.query.from))
+        .withMessage('The to date must be on or after the from date')
+        .custom((to, { req }) => (new Date(to) - new Date(req.query.from)) / (24 * 60 * 60 * 1000) <= MAX_RANGE_DAYS)
+        .withMessage('The range can span at most three years'),
+    query('region').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get holidays between two dates. Employees see company-wide holidays and those of their
+// region; holiday managers may look at another region (?region=) or every region (?region=all).
+router.get('/', rangeValidation, validate, async (req, res) => {
+    try {
+        let region;
+        if (hasPermission(req.user, 'holiday.manage') && req.query.region) {
+            region = req.query.region === 'all' ? undefined : req.query.region;
+        } else {
+            const employee = req.user.employeeId
+                ? await Employee.findById(req.user.employeeId).select('region').lean()
+                : null;
+            region = employee?.region || null;
+        }
+
+        const holidays = await getHolidayOccurrences(req.user.companyId, req.query.from, req.query.to, { region });
+        return successResponse(res, holidays, 'Holidays retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        return errorResponse(res, 'Error fetching holidays');
+    }
+});
+
+module.exports = router;
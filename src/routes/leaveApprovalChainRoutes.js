@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
+const Employee = require('../models/Employee');
+const Role = require('../models/Role');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLE_PERMISSIONS } = require('../utils/permissions');
+const { DEFAULT_APPROVAL_STEPS } = require('../utils/leaveApproval');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+const APPROVER_TYPES = LeaveApprovalChain.schema.path('steps').schema.path('approverType').enumValues;
+
+// Validation middleware
+const chainValidation = [
+    body('type').optional({ values: 'null' }).isIn(LeaveApprovalChain.schema.path('type').enumValues.filter(Boolean))
+        .withMessage('Invalid leave type'),
+    body('steps').isArray({ min: 1, max: 10 }).withMessage('An approval chain needs 1 to 10 steps'),
+    body('steps.*.approverType').isIn(APPROVER_TYPES).withMessage(`Approver type must be one of ${APPROVER_TYPES.join(', ')}`),
+    body('steps.*.role').if(body('steps.*.approverType').equals('role')).trim().notEmpty().withMessage('Role steps need a role'),
+    body('steps.*.employee').optional().isMongoId().withMessage('Invalid approver employee ID'),
+    body('steps.*.minDays').optional().isFloat({ min: 0 }).withMessage('Minimum days must be 0 or more').toFloat()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the company's approval chains (and the chain used when none is configured)
+router.get('/', requirePermission('leave.policy.manage'), async (req, res) => {
+    try {
+        const chains = await LeaveApprovalChain.find({ company: req.user.companyId })
+            .populate('steps.employee', 'firstName lastName')
+            .sort({ type: 1 });
+        return successResponse(res, { chains, defaultSteps: DEFAULT_APPROVAL_STEPS }, 'Approval chains retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error fetching approval chains');
+    }
+});
+
+// Create approval chain (no type = company default)
+router.post('/', requirePermission('leave.policy.manage'), chainValidation, validate, async (req, res) => {
+    try {
+        const stepError = await checkSteps(req.body.steps, req.user.companyId);
+        if (stepError) {
+            return errorResponse(res, stepError, 400);
+        }
+
+        const chain = new LeaveApprovalChain({
+            company: req.user.companyId,
+            type: req.body.type || null,
+            steps: pickSteps(req.body.steps)
+        });
+        await chain.save();
+        await recordAudit(req, { entityType: 'leave_approval_chain', entityId: chain._id, action: 'create', after: chain });
+
+        return successResponse(res, chain, 'Approval chain created successfully', 201);
+    } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'An approval chain for this leave type already exists', 400);
+        }
+        return errorResponse(res, 'Error creating approval chain', 400);
+    }
+});
+
+// Update approval chain (requests already submitted keep their steps)
+router.put('/:id', requirePermission('leave.policy.manage'), chainValidation, validate, async (req, res) => {
+    try {
+        const chain = await LeaveApprovalChain.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!chain) {
+            return notFoundResponse(res, 'Approval chain not found');
+        }
+
+        const stepError = await checkSteps(req.body.steps, req.user.companyId);
+        if (stepError) {
+            return errorResponse(res, stepError, 400);
+        }
+
+        const before = chain.toObject();
+        chain.type = req.body.type || null;
+        chain.steps = pickSteps(req.body.steps);
+        await chain.save();
+        await recordAudit(req, { entityType: 'leave_approval_chain', entityId: chain._id, action: 'update', before, after: chain });
+
+        return successResponse(res, chain, 'Approval chain updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid approval chain ID');
+        }
+        if (error.code === 11000) {
+            return errorResponse(res, 'An approval chain for this leave type already exists', 400);
+        }
+        return errorResponse(res, 'Error updating approval chain', 400);
+    }
+});
+
+// Delete approval chain
+router.delete('/:id', requirePermission('leave.policy.manage'), async (req, res) => {
+    try {
+        const chain = await LeaveApprovalChain.findOneAndDelete({ _id: req.params.id, company: req.user.companyId });
+        if (!chain) {
+            return notFoundResponse(res, 'Approval chain not found');
+        }
+
+        await recordAudit(req, { entityType: 'leave_approval_chain', entityId: chain._id, action: 'delete', before: chain });
+
+        return successResponse(res, null, 'Approval chain deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid approval chain ID');
+        }
+        return errorResponse(res, 'Error deleting approval chain');
+    }
+});
+
+function pickSteps(steps) {
+    return steps.map(({ approverType, role, employee, minDays }) => ({
+        approverType,
+        role: approverType === 'role' ? role : undefined,
+        employee: approverType === 'employee' ? employee : undefined,
+        minDays: minDays || 0
+    }));
+}
+
+// Employee steps must name a company employee and role steps an existing role
+async function checkSteps(steps, companyId) {
+    for (const step of steps) {
+        if (step.approverType === 'employee') {
+            if (!step.employee || !await Employee.exists({ _id: step.employee, company: companyId })) {
+                return 'Employee steps need an approver from your company';
+            }
+        }
+        if (step.approverType === 'role' && !ROLE_PERMISSIONS[step.role] &&
+            !await Role.exists({ company: companyId, name: step.role })) {
+            return `Role ${step.role} does not exist`;
+        }
+    }
+    return null;
+}
+
+module.exports = router;
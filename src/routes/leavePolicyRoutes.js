@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const LeavePolicy = require('../models/LeavePolicy');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { runLeaveAccrual } = require('../utils/leaveAccrual');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const policyValidation = [
+    body('type').isIn(LeavePolicy.schema.path('type').enumValues).withMessage('Invalid leave type'),
+    body('entitlementDays').isFloat({ min: 0, max: 366 }).withMessage('Entitlement must be between 0 and 366 days').toFloat(),
+    body('accrual').optional().isIn(['upfront', 'monthly', 'pay_period']).withMessage('Accrual must be upfront, monthly or pay_period'),
+    body('proRate').optional().isBoolean().withMessage('Pro-rating must be true or false').toBoolean(),
+    body('carryOver.maxDays').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Carry-over cap must be 0 or more days').toFloat(),
+    body('attachmentRequiredOverDays').optional({ values: 'null' }).isFloat({ min: 0 })
+        .withMessage('Attachment threshold must be 0 or more days').toFloat(),
+    body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective date'),
+    body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the company's leave policies (visible to every employee)
+router.get('/', async (req, res) => {
+    try {
+        const policies = await LeavePolicy.find({ company: req.user.companyId }).sort({ type: 1 });
+        return successResponse(res, policies, 'Leave policies retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error fetching leave policies');
+    }
+});
+
+// Create leave policy (one per leave type)
+router.post('/', requirePermission('leave.policy.manage'), policyValidation, validate, async (req, res) => {
+    try {
+        const policy = new LeavePolicy({ ...pickPolicyFields(req.body), company: req.user.companyId });
+        await policy.save();
+        await recordAudit(req, { entityType: 'leave_policy', entityId: policy._id, action: 'create', after: policy });
+
+        return successResponse(res, policy, 'Leave policy created successfully', 201);
+    } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'A policy for this leave type already exists', 400);
+        }
+        return errorResponse(res, 'Error creating leave policy', 400);
+    }
+});
+
+// Post grants and accruals due so far for the company (the scheduled job does this too)
+router.post('/accrue', requirePermission('leave.policy.manage'), async (req, res) => {
+    try {
+        const result = await runLeaveAccrual({ companyId: req.user.companyId });
+        return successResponse(res, result, 'Leave accrual completed');
+    } catch (error) {
+        console.error('Error running leave accrual:', error);
+        return errorResponse(res, 'Error running leave accrual');
+    }
+});
+
+// Update leave policy (changes apply to periods not yet posted)
+router.put('/:id', requirePermission('leave.policy.manage'), policyValidation, validate, async (req, res) => {
+    try {
+        const policy = await LeavePolicy.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!policy) {
+            return notFoundResponse(res, 'Leave policy not found');
+        }
+
+        const before = policy.toObject();
+        Object.assign(policy, pickPolicyFields(req.body));
+        await policy.save();
+        await recordAudit(req, { entityType: 'leave_policy', entityId: policy._id, action: 'update', before, after: policy });
+
+        return successResponse(res, policy, 'Leave policy updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave policy ID');
+        }
+        if (error.code === 11000) {
+            return errorResponse(res, 'A policy for this leave type already exists', 400);
+        }
+        return errorResponse(res, 'Error updating leave policy', 400);
+    }
+});
+
+// Delete leave policy (balances already posted stay in the ledger)
+router.delete('/:id', requirePermission('leave.policy.manage'), async (req, res) => {
+    try {
+        const policy = await LeavePolicy.findOneAndDelete({ _id: req.params.id, company: req.user.companyId });
+        if (!policy) {
+            return notFoundResponse(res, 'Leave policy not found');
+        }
+
+        await recordAudit(req, { entityType: 'leave_policy', entityId: policy._id, action: 'delete', before: policy });
+
+        return successResponse(res, null, 'Leave policy deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave policy ID');
+        }
+        return errorResponse(res, 'Error deleting leave policy');
+    }
+});
+
+function pickPolicyFields({ type, entitlementDays, accrual, proRate, carryOver, attachmentRequiredOverDays, effectiveFrom, isActive }) {
+    const fields = {
+        type,
+        entitlementDays,
+        accrual,
+        proRate,
+        carryOver: carryOver && { maxDays: carryOver.maxDays ?? null },
+        attachmentRequiredOverDays,
+        effectiveFrom,
+        isActive
+    };
+    return Object.fromEntries(Object.entries(fields)
+        .filter(([, value]) => value !== undefined));
+}
+
+module.exports = router;
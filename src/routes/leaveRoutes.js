@@ -1,22 +1,138 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Leave = require('../models/Leave');
+const LeaveLedger = require('../models/LeaveLedger');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, unauthorizedResponse } = require('../utils/apiResponse');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission, isManagerOf, canAccessEmployee } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { computeLeaveDuration, toDateKey } = require('../utils/leaveDuration');
+const {
+    getLeaveSettings,
+    getLeaveYear,
+    getBalances,
+    postLedgerEntry,
+    postLeaveDeduction,
+    postLeaveRestoration,
+    postLeaveChargeChange,
+    syncLeaveBalance
+} = require('../utils/leaveLedger');
+const {
+    buildApprovalSteps,
+    getCurrentStep,
+    getApproverAvailability,
+    getStepAuthority,
+    canActOnStep,
+    decideCurrentStep,
+    recordStepDecision,
+    getStepApprovers
+} = require('../utils/leaveApproval');
+const { checkLeaveConflicts } = require('../utils/leaveConflicts');
+const { getVisibleEmployeeIds, getLeaveCalendar } = require('../utils/leaveCalendar');
+const {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_LEAVE,
+    ATTACHMENT_MIME_TYPES,
+    matchesMimeType,
+    isAttachmentRequired,
+    canViewAttachments
+} = require('../utils/leaveAttachments');
+const { saveFile, readFile, removeFile } = require('../storage');
+const { generateSecureToken, hashToken } = require('../utils/auth');
+const { sendMail } = require('../mail');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, unauthorizedResponse, forbiddenResponse } = require('../utils/apiResponse');
 const mongoose = require('mongoose');
 
 // Validation middleware
+const leaveDatesValidation = [
+    body('startDate').isISO8601().withMessage('Invalid start date'),
+    body('endDate').isISO8601().withMessage('Invalid end date')
+        .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+        .withMessage('End date must be on or after the start date'),
+    body(['startHalfDay', 'endHalfDay']).optional().isBoolean().withMessage('Half-day flags must be true or false').toBoolean(),
+    body('hours').optional({ values: 'null' }).isFloat({ gt: 0, max: 24 }).withMessage('Hours must be between 0 and 24').toFloat()
+        .custom((hours, { req }) => toDateKey(req.body.startDate) === toDateKey(req.body.endDate))
+        .withMessage('Hourly leave must start and end on the same day')
+        .custom((hours, { req }) => !req.body.startHalfDay && !req.body.endHalfDay)
+        .withMessage('Hourly leave cannot be combined with half days')
+];
+
 const leaveValidation = [
     body('type').isIn(['annual', 'sick', 'personal', 'other']).withMessage('Invalid leave type'),
-    body('startDate').isISO8601().withMessage('Invalid start date'),
-    body('endDate').isISO8601().withMessage('Invalid end date'),
+    ...leaveDatesValidation,
     body('reason').trim().notEmpty().withMessage('Reason is required'),
     body('comments').optional().trim()
 ];
 
+const cancelValidation = [
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+    body('cancelFrom').optional().isISO8601().withMessage('Invalid cancellation date')
+];
+
+const modifyValidation = [
+    ...leaveDatesValidation,
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+];
+
+const attachmentValidation = [
+    query('fileName').trim().notEmpty().withMessage('File name is required')
+        .isLength({ max: 200 }).withMessage('File name can be at most 200 characters')
+];
+
+const changeDecisionValidation = [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('comments').optional().trim()
+];
+
+const adjustmentValidation = [
+    body('type').isIn(['annual', 'sick', 'personal', 'other']).withMessage('Invalid leave type'),
+    body('days').isFloat({ min: -366, max: 366 }).withMessage('Days must be between -366 and 366').toFloat()
+        .custom(days => days !== 0).withMessage('Days cannot be zero'),
+    body('leaveYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid leave year').toInt(),
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+];
+
+const historyValidation = [
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid leave year'),
+    query('type').optional().isIn(['annual', 'sick', 'personal', 'other']).withMessage('Invalid leave type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const conflictsValidation = [
+    query('leave').optional().isMongoId().withMessage('Invalid leave ID'),
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID'),
+    query('type').if(query('leave').not().exists()).isIn(['annual', 'sick', 'personal', 'other']).withMessage('Invalid leave type'),
+    query('startDate').if(query('leave').not().exists()).isISO8601().withMessage('Invalid start date'),
+    query('endDate').if(query('leave').not().exists()).isISO8601().withMessage('Invalid end date')
+        .custom((endDate, { req }) => new Date(endDate) >= new Date(req.query.startDate))
+        .withMessage('End date must be on or after the start date'),
+    query(['startHalfDay', 'endHalfDay']).optional().isBoolean().withMessage('Half-day flags must be true or false').toBoolean(),
+    query('hours').optional().isFloat({ gt: 0, max: 24 }).withMessage('Hours must be between 0 and 24').toFloat()
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Fields of a pending request its owner may edit
+const EDITABLE_FIELDS = ['type', 'startDate', 'endDate', 'startHalfDay', 'endHalfDay', 'hours', 'reason', 'comments'];
+
+// Longest window the calendar returns at once
+const MAX_CALENDAR_DAYS = 366;
+
+const calendarValidation = [
+    query('from').isISO8601().withMessage('Invalid from date'),
+    query('to').isISO8601().withMessage('Invalid to date')
+        .custom((to, { req }) => new Date(to) >= new Date(req.query.from))
+        .withMessage('The to date must be on or after the from date')
+        .custom((to, { req }) => (new Date(to) - new Date(req.query.from)) / (24 * 60 * 60 * 1000) <= MAX_CALENDAR_DAYS)
+        .withMessage('The calendar can span at most a year'),
+    query('department').optional().isMongoId().withMessage('Invalid department ID'),
+    query('manager').optional().isMongoId().withMessage('Invalid manager ID'),
+    query('status').optional().isIn(['approved', 'pending', 'all']).withMessage('Status must be approved, pending or all')
+];
+
 const leaveStatusValidation = [
     body('status').isIn(['approved', 'rejected', 'canceled']).withMessage('Invalid status'),
     body('comments').optional().trim()
@@ -49,20 +165,21 @@ router.get('/', async (req, res) => {
         const query = { employee: { $in: employeeIds } };
 
         // Apply optional filters from query params
+        const visibleIds = await getVisibleEmployeeIds(req.user, employeeIds);
         if (req.query.employeeIds) {
-            // Ensure requested employeeIds are within the user's company
+            // Ensure requested employeeIds are within the user's company and visible to them
             const requestedIds = req.query.employeeIds.split(',')
-                .filter(id => employeeIds.some(empId => empId.toString() === id));
+                .filter(id => visibleIds.some(empId => empId.toString() === id));
             query.employee = { $in: requestedIds };
         } else if (req.query.employee) {
-            // Ensure requested employee is within the user's company
-            if (employeeIds.some(empId => empId.toString() === req.query.employee)) {
+            // Ensure requested employee is within the user's company and visible to them
+            if (visibleIds.some(empId => empId.toString() === req.query.employee)) {
                 query.employee = req.query.employee;
             } else {
                 // Requested employee not in company, return empty
                 return successResponse(res, [], 'Employee not found in your company');
             }
-        } else if (req.query.view === 'team-leaves' && req.user.role !== 'admin') {
+        } else if (req.query.view === 'team-leaves' && !hasPermission(req.user, 'leave.read')) {
             // For team view (non-admin), find manager's direct reports within the company
             const managerEmployee = await Employee.findOne({ userId: req.user.userId, company: companyId }).select('_id').lean();
             if (managerEmployee) {
@@ -74,8 +191,8 @@ router.get('/', async (req, res) => {
                 // Manager not found in the company?
                 return successResponse(res, [], 'Manager profile not found in your company');
             }
-        } else if (req.user.role !== 'admin') {
-            // Default for non-admin, non-team view: only own leaves
+        } else if (!hasPermission(req.user, 'leave.read')) {
+            // Default without leave.read, non-team view: only own leaves
             let selfEmployeeId = null;
             if (req.user.employeeId) {
                 selfEmployeeId = employeeIds.find(empId => empId.toString() === req.user.employeeId);
@@ -86,7 +203,7 @@ router.get('/', async (req, res) => {
             }
             query.employee = selfEmployeeId;
         }
-        // If admin, the base query { employee: { $in: employeeIds } } already covers all company employees
+        // With leave.read, the base query { employee: { $in: employeeIds } } already covers all company employees
 
         // Filter by status if provided
         if (req.query.status) {
@@ -96,6 +213,7 @@ router.get('/', async (req, res) => {
         const leaves = await Leave.find(query)
             .populate('employee', 'firstName lastName')
             .populate('managerApproval.approvedBy', 'firstName lastName')
+            .populate('approvalSteps.approver approvalSteps.decidedBy', 'firstName lastName')
             .sort({ createdAt: -1 });
 
         return successResponse(res, leaves, 'Leaves retrieved successfully for company');
@@ -119,9 +237,13 @@ router.get('/employee/:employeeId', async (req, res) => {
         if (targetEmployee.company.toString() !== actingUserCompanyId.toString()) {
             return unauthorizedResponse(res, 'Cannot view leaves for employees outside your company');
         }
+        if (!await canAccessEmployee(req.user, req.params.employeeId, { permission: 'leave.read', teamPermission: 'team.read' })) {
+            return forbiddenResponse(res, 'You are not allowed to view this employee\'s leaves');
+        }
         const leaves = await Leave.find({ employee: req.params.employeeId })
             .populate('employee', 'firstName lastName')
             .populate('managerApproval.approvedBy', 'firstName lastName')
+            .populate('approvalSteps.approver approvalSteps.decidedBy', 'firstName lastName')
             .sort({ createdAt: -1 });
         return successResponse(res, leaves, 'Employee leaves retrieved successfully');
     } catch (error) {
@@ -130,6 +252,235 @@ router.get('/employee/:employeeId', async (req, res) => {
     }
 });
 
+// Get approved and pending leaves plus holidays between two dates, grouped by employee
+// (?department= or ?manager= to narrow; only employees whose leaves the user may see)
+router.get('/calendar', calendarValidation, validate, async (req, res) => {
+    try {
+        const statuses = !req.query.status || req.query.status === 'all' ? ['approved', 'pending'] : [req.query.status];
+        const calendar = await getLeaveCalendar(req.user, {
+            from: req.query.from,
+            to: req.query.to,
+            department: req.query.department,
+            manager: req.query.manager,
+            statuses
+        });
+        return successResponse(res, calendar, 'Leave calendar retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching leave calendar:', error);
+        return errorResponse(res, 'Error fetching leave calendar');
+    }
+});
+
+// Create (or replace) the user's secret .ics feed URL; the URL is only shown once
+router.post('/calendar/feed', async (req, res) => {
+    try {
+        const token = generateSecureToken();
+        await User.updateOne({ _id: req.user.userId }, { $set: { calendarFeedToken: hashToken(token) } });
+
+        const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+        return successResponse(res, { url: `${baseUrl}/api/calendar/feed/${token}.ics` }, 'Calendar feed URL created successfully', 201);
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        return errorResponse(res, 'Error creating calendar feed');
+    }
+});
+
+// Revoke the user's .ics feed URL
+router.delete('/calendar/feed', async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.userId }, { $set: { calendarFeedToken: null } });
+        return successResponse(res, null, 'Calendar feed revoked successfully');
+    } catch (error) {
+        console.error('Error revoking calendar feed:', error);
+        return errorResponse(res, 'Error revoking calendar feed');
+    }
+});
+
+// Get pending leaves and change requests whose current approval step the user can decide
+router.get('/approvals', async (req, res) => {
+    try {
+        const companyEmployees = await Employee.find({ company: req.user.companyId }).select('_id').lean();
+        const pending = await Leave.find({
+            employee: { $in: companyEmployees.map(emp => emp._id) },
+            $or: [{ status: 'pending' }, { status: 'approved', 'changeRequests.status': 'pending' }]
+        })
+            .populate('employee', 'firstName lastName')
+            .sort({ startDate: 1 });
+
+        // Load who is away among all the steps' approvers once, instead of per leave.
+        // Steps the user could only decide by a leave.manage override are not waiting for them.
+        const steps = pending.map(leave => getCurrentStep(leave.status === 'pending' ? leave : getOpenChangeRequest(leave)));
+        const approvers = await getApproverAvailability(steps.map(step => step?.approver));
+
+        const leaves = [];
+        for (const [index, leave] of pending.entries()) {
+            if (await getStepAuthority(req.user, leave, steps[index], { approvers }) === 'approver') {
+                leaves.push(leave);
+            }
+        }
+
+        return successResponse(res, leaves, 'Pending approvals retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching pending approvals:', error);
+        return errorResponse(res, 'Error fetching pending approvals');
+    }
+});
+
+// Preview the conflicts of a request (?employee, type, startDate, endDate, startHalfDay, endHalfDay, hours)
+// or of an existing leave (?leave=) without saving anything
+router.get('/conflicts', conflictsValidation, validate, async (req, res) => {
+    try {
+        let leave;
+        if (req.query.leave) {
+            leave = await Leave.findById(req.query.leave);
+            if (!leave || !await Employee.exists({ _id: leave.employee, company: req.user.companyId })) {
+                return notFoundResponse(res, 'Leave request not found');
+            }
+            const canView = await canAccessEmployee(req.user, leave.employee, { permission: 'leave.read', teamPermission: 'team.read' }) ||
+                await canActOnStep(req.user, leave, getCurrentStep(leave));
+            if (!canView) {
+                return forbiddenResponse(res, 'You are not allowed to view this leave');
+            }
+        } else {
+            const employeeId = req.query.employee || req.user.employeeId;
+            if (!employeeId || !await Employee.exists({ _id: employeeId, company: req.user.companyId })) {
+                return notFoundResponse(res, 'Employee not found');
+            }
+            if (!await canAccessEmployee(req.user, employeeId, { permission: 'leave.manage' })) {
+                return forbiddenResponse(res, 'You are not allowed to check leave for other employees');
+            }
+            leave = new Leave({
+                employee: employeeId,
+                type: req.query.type,
+                startDate: req.query.startDate,
+                endDate: req.query.endDate,
+                startHalfDay: req.query.startHalfDay,
+                endHalfDay: req.query.endHalfDay,
+                hours: req.query.hours,
+                reason: 'Conflict check'
+            });
+        }
+
+        const durationError = await applyLeaveDuration(leave);
+        if (durationError) {
+            return errorResponse(res, durationError, 400);
+        }
+        const conflicts = await checkLeaveConflicts(leave);
+
+        return successResponse(res, { duration: leave.duration, ...conflicts }, 'Leave conflicts checked successfully');
+    } catch (error) {
+        console.error('Error checking leave conflicts:', error);
+        return errorResponse(res, 'Error checking leave conflicts');
+    }
+});
+
+// Get an employee's per-type leave balances for a leave year (?year=, defaults to the current one)
+router.get('/balance/:employeeId', async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ _id: req.params.employeeId, company: req.user.companyId }).select('_id').lean();
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+        if (!await canAccessEmployee(req.user, employee._id, { permission: 'leave.read', teamPermission: 'team.read' })) {
+            return forbiddenResponse(res, 'You are not allowed to view this employee\'s balance');
+        }
+
+        const { yearStartMonth } = await getLeaveSettings(req.user.companyId);
+        const leaveYear = parseInt(req.query.year, 10) || getLeaveYear(new Date(), yearStartMonth);
+        const balances = await getBalances(employee._id, leaveYear);
+
+        return successResponse(res, { employee: employee._id, leaveYear, balances }, 'Leave balances retrieved successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid employee ID');
+        }
+        console.error('Error fetching leave balances:', error);
+        return errorResponse(res, 'Error fetching leave balances');
+    }
+});
+
+// Get the ledger entries behind an employee's balances, newest first (?year=, ?type=, ?page=, ?limit=)
+router.get('/balance/:employeeId/history', historyValidation, validate, async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ _id: req.params.employeeId, company: req.user.companyId }).select('_id').lean();
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+        if (!await canAccessEmployee(req.user, employee._id, { permission: 'leave.read', teamPermission: 'team.read' })) {
+            return forbiddenResponse(res, 'You are not allowed to view this employee\'s balance history');
+        }
+
+        const filter = { employee: employee._id };
+        if (req.query.year) filter.leaveYear = parseInt(req.query.year, 10);
+        if (req.query.type) filter.type = req.query.type;
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const [entries, total] = await Promise.all([
+            LeaveLedger.find(filter)
+                .populate('actor', 'firstName lastName email')
+                .populate('leave', 'startDate endDate status')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            LeaveLedger.countDocuments(filter)
+        ]);
+
+        return successResponse(res, {
+            entries,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }, 'Leave balance history retrieved successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid employee ID');
+        }
+        console.error('Error fetching leave balance history:', error);
+        return errorResponse(res, 'Error fetching leave balance history');
+    }
+});
+
+// Manually credit (positive days) or debit (negative days) an employee's balance
+router.post('/balance/:employeeId/adjustments', requirePermission('leave.balance.adjust'), adjustmentValidation, validate, async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ _id: req.params.employeeId, company: req.user.companyId }).select('company').lean();
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+
+        const { yearStartMonth } = await getLeaveSettings(employee.company);
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        let entry;
+        try {
+            entry = await postLedgerEntry({
+                company: employee.company,
+                employee: employee._id,
+                type: req.body.type,
+                leaveYear: req.body.leaveYear || getLeaveYear(new Date(), yearStartMonth),
+                entryType: 'adjustment',
+                days: req.body.days,
+                reason: req.body.reason,
+                actor: req.user.userId
+            }, { session });
+            await syncLeaveBalance(employee._id, { session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        return successResponse(res, entry, 'Leave balance adjusted successfully', 201);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid employee ID');
+        }
+        console.error('Error adjusting leave balance:', error);
+        return errorResponse(res, 'Error adjusting leave balance');
+    }
+});
+
 // Create a new leave request
 router.post('/', leaveValidation, validate, async (req, res) => {
     try {
@@ -138,17 +489,22 @@ router.post('/', leaveValidation, validate, async (req, res) => {
             return errorResponse(res, 'Could not determine your company', 400);
         }
         let employeeIdToUse;
+        let requester;
         if (req.body.employee) {
-            const targetEmployee = await Employee.findById(req.body.employee).select('company').lean();
+            const targetEmployee = await Employee.findById(req.body.employee).select('company reportingManager department').lean();
             if (!targetEmployee) {
                 return notFoundResponse(res, 'Specified employee not found');
             }
             if (targetEmployee.company.toString() !== actingUserCompanyId.toString()) {
                 return unauthorizedResponse(res, 'Cannot create leave for employees outside your company');
             }
+            if (!await canAccessEmployee(req.user, req.body.employee, { permission: 'leave.manage' })) {
+                return forbiddenResponse(res, 'You are not allowed to create leave for other employees');
+            }
             employeeIdToUse = req.body.employee;
+            requester = targetEmployee;
         } else {
-            const selfEmployee = await Employee.findOne({ userId: req.user.userId }).select('_id company').lean();
+            const selfEmployee = await Employee.findOne({ userId: req.user.userId }).select('_id company reportingManager department').lean();
             if (!selfEmployee) {
                 return notFoundResponse(res, 'Your employee profile not found');
             }
@@ -156,19 +512,37 @@ router.post('/', leaveValidation, validate, async (req, res) => {
                 return unauthorizedResponse(res, 'Cannot create leave, company mismatch');
             }
             employeeIdToUse = selfEmployee._id;
+            requester = selfEmployee;
         }
         const leave = new Leave({
             employee: employeeIdToUse,
             startDate: req.body.startDate,
             endDate: req.body.endDate,
+            startHalfDay: req.body.startHalfDay,
+            endHalfDay: req.body.endHalfDay,
+            hours: req.body.hours,
             type: req.body.type,
             reason: req.body.reason,
             comments: req.body.comments,
             status: 'pending'
         });
+        const durationError = await applyLeaveDuration(leave);
+        if (durationError) {
+            return errorResponse(res, durationError, 400);
+        }
+        const conflictError = await applyLeaveConflicts(leave);
+        if (conflictError) {
+            return errorResponse(res, conflictError.message, 400, conflictError.conflicts);
+        }
+        leave.approvalSteps = await buildApprovalSteps(leave, requester);
         await leave.save();
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'create', after: leave, company: actingUserCompanyId });
+        notifyLeaveApprovers(leave);
         const populatedLeave = await Leave.findById(leave._id).populate('employee', 'firstName lastName');
-        return successResponse(res, populatedLeave, 'Leave request created successfully', 201);
+        const message = await isAttachmentRequired(leave, requester.company)
+            ? 'Leave request created successfully; attach a supporting document before it can be approved'
+            : 'Leave request created successfully';
+        return successResponse(res, populatedLeave, message, 201);
     } catch (error) {
         console.error("Error creating leave:", error);
         return errorResponse(res, 'Error creating leave request');
@@ -185,7 +559,7 @@ router.patch('/:id/status', leaveStatusValidation, validate, async (req, res) =>
         const { status, comments } = req.body;
         const leave = await Leave.findById(req.params.id).populate({
             path: 'employee',
-            select: 'company'
+            select: 'company reportingManager department'
         });
         if (!leave) {
             return notFoundResponse(res, 'Leave request not found');
@@ -193,20 +567,71 @@ router.patch('/:id/status', leaveStatusValidation, validate, async (req, res) =>
         if (!leave.employee || leave.employee.company.toString() !== actingUserCompanyId.toString()) {
             return unauthorizedResponse(res, 'Cannot modify leaves outside your company');
         }
-        if (req.user.role !== 'admin') {
-            return unauthorizedResponse(res, 'Admin access required to update leave status');
-        }
+        const before = leave.toObject({ depopulate: true });
         const originalStatus = leave.status;
-        leave.status = status;
-        leave.statusUpdateDate = new Date();
-        leave.statusComments = comments;
-        await leave.save();
-        const isNewlyApproved = originalStatus !== 'approved' && status === 'approved';
-        const isApprovalRevoked = originalStatus === 'approved' && (status === 'rejected' || status === 'canceled');
-        if (isNewlyApproved) {
-            await updateEmployeeLeaveBalance(leave);
-        } else if (isApprovalRevoked) {
-            await restoreLeaveBalance(leave);
+
+        if (originalStatus === 'pending' && status !== 'canceled') {
+            // Pending requests move through their approval chain one step at a time
+            if (leave.duration?.days == null) {
+                // Leaves from before durations were stored get one when decided
+                const durationError = await applyLeaveDuration(leave);
+                if (durationError) {
+                    return errorResponse(res, durationError, 400);
+                }
+            }
+            if (leave.approvalSteps.length === 0) {
+                leave.approvalSteps = await buildApprovalSteps(leave, leave.employee);
+            }
+            const authority = await getStepAuthority(req.user, leave, getCurrentStep(leave));
+            if (!authority) {
+                return forbiddenResponse(res, 'Only the approver of the current step can decide this leave');
+            }
+            if (status === 'approved' && leave.attachments.length === 0 &&
+                await isAttachmentRequired(leave, leave.employee.company)) {
+                return errorResponse(res, 'This leave needs a supporting document before it can be approved', 400);
+            }
+            recordStepDecision(leave, req.user, status, comments, { override: authority === 'override' });
+        } else {
+            if (status === 'approved') {
+                return errorResponse(res, 'Only pending leaves can be approved', 400);
+            }
+            if (!await canDecideLeave(req.user, leave)) {
+                return forbiddenResponse(res, 'You are not allowed to update the status of this leave');
+            }
+            leave.status = status;
+        }
+        if (leave.status !== originalStatus) {
+            leave.statusUpdateDate = new Date();
+            leave.statusComments = comments;
+        }
+
+        // The status change and the balance entries it causes are written together
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            const isNewlyApproved = originalStatus !== 'approved' && leave.status === 'approved';
+            const isApprovalRevoked = originalStatus === 'approved' && (leave.status === 'rejected' || leave.status === 'canceled');
+            await leave.save({ session });
+            if (isNewlyApproved) {
+                await chargeLeave(leave, { actor: req.user.userId, session });
+            } else if (isApprovalRevoked) {
+                await refundLeave(leave, { actor: req.user.userId, session });
+            }
+            await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'status_change', before, after: leave, company: actingUserCompanyId, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        if (leave.status === 'pending') {
+            notifyLeaveApprovers(leave);
+            return successResponse(res, leave, 'Approval recorded, waiting for the next approver');
+        }
+        if (originalStatus !== leave.status && (leave.status === 'approved' || leave.status === 'rejected')) {
+            notifyLeaveDecision(leave, comments);
         }
         return successResponse(res, leave, 'Leave status updated successfully');
     } catch (error) {
@@ -232,10 +657,28 @@ router.delete('/:id', async (req, res) => {
         if (!leave.employee || leave.employee.company.toString() !== actingUserCompanyId.toString()) {
             return unauthorizedResponse(res, 'Cannot delete leaves outside your company');
         }
-        if (leave.status === 'approved') {
-            await restoreLeaveBalance(leave);
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to delete this leave');
+        }
+        if (leave.status === 'approved' && !hasPermission(req.user, 'leave.manage')) {
+            return errorResponse(res, 'Approved leave can only be canceled through a cancellation request', 400);
         }
-        await Leave.deleteOne({ _id: req.params.id });
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            if (leave.status === 'approved') {
+                await refundLeave(leave, { actor: req.user.userId, reason: 'Approved leave deleted', session });
+            }
+            await Leave.deleteOne({ _id: req.params.id }, { session });
+            await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'delete', before: leave, company: actingUserCompanyId, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        removeAttachmentFiles(leave.attachments);
         return successResponse(res, null, 'Leave request deleted successfully');
     } catch (error) {
         console.error(`Error deleting leave ${req.params.id}:`, error);
@@ -251,10 +694,13 @@ router.put('/:id', leaveValidation, validate, async (req, res) => {
             return errorResponse(res, 'Could not determine your company', 400);
         }
         const { id } = req.params;
-        const updateData = req.body;
+        // Only the request itself can be edited; the duration is always computed and the
+        // status only changes through the approval chain
+        const updateData = Object.fromEntries(Object.entries(req.body)
+            .filter(([field]) => EDITABLE_FIELDS.includes(field)));
         const leave = await Leave.findById(id).populate({
             path: 'employee',
-            select: 'company'
+            select: 'company reportingManager department'
         });
         if (!leave) {
             return notFoundResponse(res, 'Leave request not found');
@@ -262,20 +708,34 @@ router.put('/:id', leaveValidation, validate, async (req, res) => {
         if (!leave.employee || leave.employee.company.toString() !== actingUserCompanyId.toString()) {
             return unauthorizedResponse(res, 'Cannot modify leaves outside your company');
         }
-        const originalStatus = leave.status;
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to modify this leave');
+        }
+        if (leave.status !== 'pending') {
+            return errorResponse(res, leave.status === 'approved'
+                ? 'Approved leave can only be changed through a modification request'
+                : 'Only pending leave requests can be edited', 400);
+        }
+        const before = leave.toObject({ depopulate: true });
         Object.assign(leave, updateData);
-        if (updateData.managerApproval?.status === 'approved') {
-            console.log(`Manager approved leave ${id}, setting main status to approved.`);
-            leave.status = 'approved';
+        const isChargeChanged = ['type', 'startDate', 'endDate', 'startHalfDay', 'endHalfDay', 'hours'].some(field => leave.isModified(field));
+        if (isChargeChanged) {
+            const durationError = await applyLeaveDuration(leave);
+            if (durationError) {
+                return errorResponse(res, durationError, 400);
+            }
+            const conflictError = await applyLeaveConflicts(leave);
+            if (conflictError) {
+                return errorResponse(res, conflictError.message, 400, conflictError.conflicts);
+            }
+            // A changed request goes through its (possibly different) chain again
+            leave.approvalSteps = await buildApprovalSteps(leave, leave.employee);
+            leave.managerApproval = { status: 'pending' };
         }
         await leave.save();
-        const isNewlyApproved = originalStatus !== 'approved' && leave.status === 'approved';
-        const isApprovalRevoked = originalStatus === 'approved' &&
-            (leave.status === 'rejected' || leave.status === 'canceled');
-        if (isNewlyApproved) {
-            await updateEmployeeLeaveBalance(leave);
-        } else if (isApprovalRevoked) {
-            await restoreLeaveBalance(leave);
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave, company: actingUserCompanyId });
+        if (isChargeChanged) {
+            notifyLeaveApprovers(leave);
         }
         return successResponse(res, leave, 'Leave request updated successfully');
     } catch (error) {
@@ -284,37 +744,527 @@ router.put('/:id', leaveValidation, validate, async (req, res) => {
     }
 });
 
-// Helper function to update employee leave balance
-async function updateEmployeeLeaveBalance(leave) {
+// Cancel a leave. Pending requests are canceled at once; approved leave needs a
+// cancellation request that goes through approval. Leave that has started can be
+// canceled from today (or a later cancelFrom day) on; the days taken stay charged.
+router.post('/:id/cancel', cancelValidation, validate, async (req, res) => {
     try {
-        const employee = await Employee.findById(leave.employee);
-        if (!employee || !employee.leaveBalance) return;
-        const startDate = new Date(leave.startDate);
-        const endDate = new Date(leave.endDate);
-        const diffTime = Math.abs(endDate - startDate);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-        employee.leaveBalance.used += diffDays;
-        employee.leaveBalance.remaining = employee.leaveBalance.total - employee.leaveBalance.used;
-        await employee.save();
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        if (!leave) {
+            return notFoundResponse(res, 'Leave request not found');
+        }
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to cancel this leave');
+        }
+        const before = leave.toObject({ depopulate: true });
+
+        if (leave.status === 'pending') {
+            leave.status = 'canceled';
+            leave.statusUpdateDate = new Date();
+            leave.statusComments = req.body.reason;
+            await leave.save();
+            await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'status_change', before, after: leave });
+            return successResponse(res, leave, 'Leave request canceled successfully');
+        }
+        if (leave.status !== 'approved') {
+            return errorResponse(res, 'Only pending or approved leave can be canceled', 400);
+        }
+        if (getOpenChangeRequest(leave)) {
+            return errorResponse(res, 'This leave already has an open change request', 400);
+        }
+
+        const today = toDateKey(new Date());
+        const startKey = toDateKey(leave.startDate);
+        const cancelFrom = req.body.cancelFrom
+            ? toDateKey(req.body.cancelFrom)
+            : [startKey, today].sort()[1];
+        if (cancelFrom < startKey || cancelFrom > toDateKey(leave.endDate)) {
+            return errorResponse(res, 'The cancellation date must fall within the leave', 400);
+        }
+        if (cancelFrom < today) {
+            return errorResponse(res, 'Days already taken cannot be canceled', 400);
+        }
+
+        leave.changeRequests.push({
+            kind: 'cancel',
+            cancelFrom: cancelFrom === startKey ? null : new Date(cancelFrom),
+            reason: req.body.reason,
+            requestedBy: req.user.employeeId,
+            approvalSteps: await buildApprovalSteps(leave, leave.employee)
+        });
+        await leave.save();
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave });
+        notifyLeaveApprovers(leave, getOpenChangeRequest(leave));
+
+        return successResponse(res, leave, 'Cancellation requested successfully', 201);
     } catch (error) {
-        console.error(`Error updating leave balance for employee ${leave.employee}: ${error.message}`);
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error canceling leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error canceling leave');
     }
+});
+
+// Request new dates for an approved leave (goes through approval again). Once the
+// leave has started its start can't move and it can't end before today.
+router.post('/:id/modify', modifyValidation, validate, async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        if (!leave) {
+            return notFoundResponse(res, 'Leave request not found');
+        }
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to modify this leave');
+        }
+        if (leave.status !== 'approved') {
+            return errorResponse(res, 'Only approved leave needs a modification request; edit pending requests directly', 400);
+        }
+        if (getOpenChangeRequest(leave)) {
+            return errorResponse(res, 'This leave already has an open change request', 400);
+        }
+
+        const { startDate, endDate, startHalfDay = false, endHalfDay = false, hours = null, reason } = req.body;
+        const today = toDateKey(new Date());
+        if (toDateKey(leave.startDate) <= today) {
+            if (toDateKey(startDate) !== toDateKey(leave.startDate) || !!startHalfDay !== !!leave.startHalfDay) {
+                return errorResponse(res, 'The start of leave that has already begun cannot be changed', 400);
+            }
+            if (toDateKey(endDate) < today) {
+                return errorResponse(res, 'Days already taken cannot be canceled; the leave cannot end before today', 400);
+            }
+        }
+
+        // Check the new dates as if they were the leave's own (its current charge counts as available)
+        const proposed = new Leave({ ...leave.toObject({ depopulate: true }), startDate, endDate, startHalfDay, endHalfDay, hours });
+        const durationError = await applyLeaveDuration(proposed);
+        if (durationError) {
+            return errorResponse(res, durationError, 400);
+        }
+        const conflictError = await applyLeaveConflicts(proposed);
+        if (conflictError) {
+            return errorResponse(res, conflictError.message, 400, conflictError.conflicts);
+        }
+
+        const before = leave.toObject({ depopulate: true });
+        leave.changeRequests.push({
+            kind: 'modify',
+            startDate, endDate, startHalfDay, endHalfDay, hours,
+            reason,
+            requestedBy: req.user.employeeId,
+            approvalSteps: await buildApprovalSteps(proposed, leave.employee)
+        });
+        await leave.save();
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave });
+        notifyLeaveApprovers(leave, getOpenChangeRequest(leave));
+
+        return successResponse(res, leave, 'Modification requested successfully', 201);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error requesting modification of leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error requesting leave modification');
+    }
+});
+
+// Decide the current step of a leave's open cancellation or modification request.
+// When the last step approves, the change is applied and only the difference in
+// charged days is posted to the ledger.
+router.patch('/:id/change-request', changeDecisionValidation, validate, async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        if (!leave) {
+            return notFoundResponse(res, 'Leave request not found');
+        }
+        const change = getOpenChangeRequest(leave);
+        if (!change) {
+            return notFoundResponse(res, 'This leave has no open change request');
+        }
+        const authority = await getStepAuthority(req.user, leave, getCurrentStep(change));
+        if (!authority) {
+            return forbiddenResponse(res, 'Only the approver of the current step can decide this request');
+        }
+
+        const before = leave.toObject({ depopulate: true });
+        const { status, comments } = req.body;
+        decideCurrentStep(change, req.user, status, comments, { override: authority === 'override' });
+        const isFinal = status === 'rejected' || !getCurrentStep(change);
+        if (isFinal) {
+            change.status = status;
+            change.decidedAt = new Date();
+        }
+        if (isFinal && status === 'approved') {
+            const applyError = await applyChangeRequest(leave, change);
+            if (applyError) {
+                return errorResponse(res, applyError.message, 400, applyError.conflicts);
+            }
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await leave.save({ session });
+            if (isFinal && status === 'approved') {
+                const reason = change.kind === 'cancel' ? `Cancellation approved: ${change.reason}` : `Modification approved: ${change.reason}`;
+                if (leave.status === 'canceled') {
+                    await refundLeave(leave, { actor: req.user.userId, reason, session });
+                } else {
+                    await rechargeLeave(leave, { actor: req.user.userId, reason, session });
+                }
+            }
+            await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: isFinal && status === 'approved' ? 'status_change' : 'update', before, after: leave, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        if (!isFinal) {
+            notifyLeaveApprovers(leave, change);
+            return successResponse(res, leave, 'Approval recorded, waiting for the next approver');
+        }
+        notifyChangeDecision(leave, change, comments);
+        return successResponse(res, leave, `Change request ${status} successfully`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error deciding change request of leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error deciding change request');
+    }
+});
+
+// Withdraw the open change request of a leave
+router.delete('/:id/change-request', async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        if (!leave) {
+            return notFoundResponse(res, 'Leave request not found');
+        }
+        const change = getOpenChangeRequest(leave);
+        if (!change) {
+            return notFoundResponse(res, 'This leave has no open change request');
+        }
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to withdraw this request');
+        }
+
+        const before = leave.toObject({ depopulate: true });
+        change.status = 'withdrawn';
+        change.decidedAt = new Date();
+        await leave.save();
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave });
+
+        return successResponse(res, leave, 'Change request withdrawn successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error withdrawing change request of leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error withdrawing change request');
+    }
+});
+
+// Upload a supporting document (e.g. a medical certificate). The request body is the
+// file itself, sent with its own Content-Type; ?fileName= names it.
+router.post('/:id/attachments', attachmentValidation, validate, readAttachment, async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        if (!leave) {
+            return notFoundResponse(res, 'Leave request not found');
+        }
+        if (!isOwnLeave(req.user, leave) && !hasPermission(req.user, 'leave.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to add attachments to this leave');
+        }
+        if (leave.status !== 'pending' && leave.status !== 'approved') {
+            return errorResponse(res, 'Attachments can only be added to pending or approved leave', 400);
+        }
+        if (leave.attachments.length >= MAX_ATTACHMENTS_PER_LEAVE) {
+            return errorResponse(res, `A leave can have at most ${MAX_ATTACHMENTS_PER_LEAVE} attachments`, 400);
+        }
+
+        const mimeType = req.is(ATTACHMENT_MIME_TYPES);
+        if (!matchesMimeType(req.body, mimeType)) {
+            return errorResponse(res, `The file content is not a valid ${mimeType} file`, 400);
+        }
+
+        const before = leave.toObject({ depopulate: true });
+        const key = await saveFile(`leaves/${leave._id}`, req.body, { contentType: mimeType });
+        leave.attachments.push({
+            key,
+            fileName: req.query.fileName,
+            mimeType,
+            size: req.body.length,
+            uploadedBy: req.user.employeeId
+        });
+        try {
+            await leave.save();
+        } catch (error) {
+            removeAttachmentFiles([{ key }]);
+            throw error;
+        }
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave });
+
+        return successResponse(res, leave.attachments[leave.attachments.length - 1], 'Attachment uploaded successfully', 201);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error uploading attachment for leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error uploading attachment');
+    }
+});
+
+// Download an attachment (the employee, their approvers and HR)
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        const attachment = leave?.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return notFoundResponse(res, 'Attachment not found');
+        }
+        if (!await canViewAttachments(req.user, leave)) {
+            return forbiddenResponse(res, 'You are not allowed to view the attachments of this leave');
+        }
+
+        const data = await readFile(attachment.key);
+        const asciiName = attachment.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        res.set('Content-Type', attachment.mimeType);
+        res.set('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+        res.set('Cache-Control', 'private, no-store');
+        return res.send(data);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error downloading attachment ${req.params.attachmentId} of leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error downloading attachment');
+    }
+});
+
+// Remove an attachment. The employee can remove their own until the leave is decided.
+router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+        const leave = await findCompanyLeave(req.params.id, req.user.companyId);
+        const attachment = leave?.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return notFoundResponse(res, 'Attachment not found');
+        }
+        if (!hasPermission(req.user, 'leave.manage') && !(isOwnLeave(req.user, leave) && leave.status === 'pending')) {
+            return forbiddenResponse(res, 'You are not allowed to remove this attachment');
+        }
+
+        const before = leave.toObject({ depopulate: true });
+        attachment.deleteOne();
+        await leave.save();
+        await recordAudit(req, { entityType: 'leave', entityId: leave._id, action: 'update', before, after: leave });
+        removeAttachmentFiles([attachment]);
+
+        return successResponse(res, null, 'Attachment removed successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid leave ID');
+        }
+        console.error(`Error removing attachment ${req.params.attachmentId} of leave ${req.params.id}:`, error);
+        return errorResponse(res, 'Error removing attachment');
+    }
+});
+
+// Read an uploaded file from the raw request body, within the size and type limits
+function readAttachment(req, res, next) {
+    express.raw({ type: ATTACHMENT_MIME_TYPES, limit: MAX_ATTACHMENT_BYTES })(req, res, (error) => {
+        if (error?.type === 'entity.too.large') {
+            return errorResponse(res, `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`, 400);
+        }
+        if (error) {
+            return next(error);
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return errorResponse(res, `Attachments must be one of: ${ATTACHMENT_MIME_TYPES.join(', ')}`, 400);
+        }
+        next();
+    });
+}
+
+// Delete stored files that no leave refers to any more
+function removeAttachmentFiles(attachments) {
+    attachments.forEach(({ key }) => removeFile(key).catch(error =>
+        console.error(`Error removing stored file ${key}: ${error.message}`)));
+}
+
+// Whether the leave belongs to the acting user
+function isOwnLeave(user, leave) {
+    const employeeId = leave.employee?._id || leave.employee;
+    return !!user.employeeId && employeeId?.toString() === user.employeeId.toString();
+}
+
+// Approvers: anyone with leave.approve, or the employee's manager with team.leave.approve
+async function canDecideLeave(user, leave) {
+    if (hasPermission(user, 'leave.approve')) return true;
+    return hasPermission(user, 'team.leave.approve') && await isManagerOf(user, leave.employee?._id || leave.employee);
+}
+
+// Compute and store the leave's working-time duration; returns an error message if it can't be taken
+async function applyLeaveDuration(leave) {
+    const { days, hours } = await computeLeaveDuration(leave);
+    if (days === 0) {
+        return 'The requested dates contain no working days';
+    }
+    if (leave.hours && leave.hours > hours) {
+        return 'Hourly leave cannot exceed a working day';
+    }
+    leave.duration = { days, hours };
+    return null;
+}
+
+// Check a leave for overlaps, balance and coverage and keep its coverage warnings;
+// returns { message, conflicts } if it can't be taken
+async function applyLeaveConflicts(leave) {
+    const conflicts = await checkLeaveConflicts(leave);
+    if (conflicts.errors.length > 0) {
+        return { message: conflicts.errors.join('; '), conflicts };
+    }
+    leave.coverageWarnings = conflicts.enforcement === 'warn' ? conflicts.coverage : [];
+    return null;
 }
 
-// Helper function to restore employee leave balance
-async function restoreLeaveBalance(leave) {
+// Post the deduction for an approved leave and refresh the employee's balance summary
+async function chargeLeave(leave, { actor, reason, session }) {
+    await postLeaveDeduction(leave, { actor, reason, session });
+    await syncLeaveBalance(leave.employee, { session });
+}
+
+// Give back whatever a leave still has deducted and refresh the employee's balance summary
+async function refundLeave(leave, { actor, reason, session }) {
+    await postLeaveRestoration(leave, { actor, reason, session });
+    await syncLeaveBalance(leave.employee, { session });
+}
+
+// Post the difference between what a changed approved leave has deducted and what it takes now
+async function rechargeLeave(leave, { actor, reason, session }) {
+    await postLeaveChargeChange(leave, { actor, reason, session });
+    await syncLeaveBalance(leave.employee, { session });
+}
+
+// A leave of the company with its employee's approval fields populated
+async function findCompanyLeave(leaveId, companyId) {
+    const leave = await Leave.findById(leaveId).populate({
+        path: 'employee',
+        select: 'company reportingManager department'
+    });
+    return leave?.employee && leave.employee.company.toString() === companyId?.toString() ? leave : null;
+}
+
+// The change request of a leave still waiting for approval, if any
+function getOpenChangeRequest(leave) {
+    return leave.changeRequests.find(change => change.status === 'pending') || null;
+}
+
+// Apply an approved change request to its leave; returns { message, conflicts } if it no longer fits
+async function applyChangeRequest(leave, change) {
+    if (change.kind === 'cancel' && !change.cancelFrom) {
+        leave.status = 'canceled';
+        leave.statusUpdateDate = new Date();
+        leave.statusComments = change.reason;
+        return null;
+    }
+
+    if (change.kind === 'cancel') {
+        leave.endDate = new Date(new Date(change.cancelFrom).getTime() - MS_PER_DAY);
+        leave.endHalfDay = false;
+    } else {
+        Object.assign(leave, {
+            startDate: change.startDate,
+            endDate: change.endDate,
+            startHalfDay: change.startHalfDay,
+            endHalfDay: change.endHalfDay,
+            hours: change.hours
+        });
+    }
+
+    const durationError = await applyLeaveDuration(leave);
+    if (durationError && change.kind === 'cancel') {
+        // No working days are left before the cancellation date
+        leave.status = 'canceled';
+        leave.statusUpdateDate = new Date();
+        leave.statusComments = change.reason;
+        return null;
+    }
+    if (durationError) {
+        return { message: durationError };
+    }
+    if (change.kind === 'cancel') {
+        return null;
+    }
+    if (leave.attachments.length === 0 && await isAttachmentRequired(leave, leave.employee.company)) {
+        return { message: 'The changed leave needs a supporting document before it can be approved' };
+    }
+    return applyLeaveConflicts(leave);
+}
+
+// Email whoever decides the current approval step of the leave (or of its change request)
+async function notifyLeaveApprovers(leave, change = null) {
+    try {
+        const employeeId = leave.employee?._id || leave.employee;
+        const employee = await Employee.findById(employeeId).select('firstName lastName company').lean();
+        if (!employee) return;
+        const approvers = await getStepApprovers(getCurrentStep(change || leave), employee.company);
+        approvers
+            .filter(approver => approver.email && approver._id.toString() !== employeeId.toString())
+            .forEach(approver => sendMail(change ? 'leaveChangeRequested' : 'leaveSubmitted', {
+                to: approver.email,
+                company: employee.company,
+                data: {
+                    approverName: approver.firstName,
+                    employeeName: `${employee.firstName} ${employee.lastName}`,
+                    leave: leave.toObject({ depopulate: true }),
+                    change: change?.toObject()
+                }
+            }));
+    } catch (error) {
+        console.error(`Error notifying approvers about leave ${leave._id}: ${error.message}`);
+    }
+}
+
+// Email the employee about an approval or rejection
+async function notifyLeaveDecision(leave, comments) {
     try {
-        const employee = await Employee.findById(leave.employee);
-        if (!employee || !employee.leaveBalance) return;
-        const startDate = new Date(leave.startDate);
-        const endDate = new Date(leave.endDate);
-        const diffTime = Math.abs(endDate - startDate);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-        employee.leaveBalance.used = Math.max(0, employee.leaveBalance.used - diffDays);
-        employee.leaveBalance.remaining = employee.leaveBalance.total - employee.leaveBalance.used;
-        await employee.save();
+        const employee = await Employee.findById(leave.employee).select('firstName email company').lean();
+        if (!employee?.email) return;
+        sendMail(leave.status === 'approved' ? 'leaveApproved' : 'leaveRejected', {
+            to: employee.email,
+            company: employee.company,
+            data: {
+                firstName: employee.firstName,
+                leave: leave.toObject(),
+                comments
+            }
+        });
+    } catch (error) {
+        console.error(`Error notifying employee about leave ${leave._id}: ${error.message}`);
+    }
+}
+
+// Email the employee about the outcome of their change request
+async function notifyChangeDecision(leave, change, comments) {
+    try {
+        const employee = await Employee.findById(leave.employee?._id || leave.employee).select('firstName email company').lean();
+        if (!employee?.email) return;
+        sendMail('leaveChangeDecided', {
+            to: employee.email,
+            company: employee.company,
+            data: {
+                firstName: employee.firstName,
+                leave: leave.toObject({ depopulate: true }),
+                change: change.toObject(),
+                comments
+            }
+        });
     } catch (error) {
-        console.error(`Error restoring leave balance for employee ${leave.employee}: ${error.message}`);
+        console.error(`Error notifying employee about change request of leave ${leave._id}: ${error.message}`);
     }
 }
 
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS, MANAGER_PERMISSIONS, isValidPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const roleValidation = [
+    body('name').trim().notEmpty().withMessage('Role name is required')
+        .not().isIn(Object.keys(ROLE_PERMISSIONS)).withMessage('Name is reserved for a built-in role'),
+    body('description').optional().trim(),
+    body('permissions').isArray().withMessage('Permissions must be a list'),
+    body('permissions.*').custom(isValidPermission).withMessage('Unknown permission')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the current user's effective permissions
+router.get('/me', (req, res) => {
+    return successResponse(res, {
+        role: req.user.role,
+        customRole: req.user.customRole,
+        isManager: req.user.isManager,
+        permissions: req.user.permissions
+    }, 'Permissions retrieved successfully');
+});
+
+// Get the permission catalogue, built-in roles and the company's custom roles
+router.get('/', requirePermission('role.manage'), async (req, res) => {
+    try {
+        const customRoles = await Role.find({ company: req.user.companyId }).sort({ name: 1 });
+
+        return successResponse(res, {
+            permissions: PERMISSIONS,
+            builtInRoles: ROLE_PERMISSIONS,
+            managerPermissions: MANAGER_PERMISSIONS,
+            customRoles
+        }, 'Roles retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error fetching roles');
+    }
+});
+
+// Create custom role
+router.post('/', requirePermission('role.manage'), roleValidation, validate, async (req, res) => {
+    try {
+        const role = new Role({
+            company: req.user.companyId,
+            name: req.body.name,
+            description: req.body.description,
+            permissions: [...new Set(req.body.permissions)]
+        });
+        await role.save();
+        await recordAudit(req, { entityType: 'role', entityId: role._id, action: 'create', after: role });
+
+        return successResponse(res, role, 'Role created successfully', 201);
+    } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'Role name already exists', 400);
+        }
+        return errorResponse(res, 'Error creating role', 400);
+    }
+});
+
+// Update custom role
+router.put('/:id', requirePermission('role.manage'), roleValidation, validate, async (req, res) => {
+    try {
+        const before = await Role.findOne({ _id: req.params.id, company: req.user.companyId }).lean();
+        if (!before) {
+            return notFoundResponse(res, 'Role not found');
+        }
+
+        const role = await Role.findOneAndUpdate(
+            { _id: req.params.id, company: req.user.companyId },
+            {
+                name: req.body.name,
+                description: req.body.description,
+                permissions: [...new Set(req.body.permissions)]
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!role) {
+            return notFoundResponse(res, 'Role not found');
+        }
+
+        await recordAudit(req, { entityType: 'role', entityId: role._id, action: 'update', before, after: role });
+
+        return successResponse(res, role, 'Role updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid role ID');
+        }
+        if (error.code === 11000) {
+            return errorResponse(res, 'Role name already exists', 400);
+        }
+        return errorResponse(res, 'Error updating role', 400);
+    }
+});
+
+// Delete custom role (users holding it keep only their built-in role)
+router.delete('/:id', requirePermission('role.manage'), async (req, res) => {
+    try {
+        const role = await Role.findOneAndDelete({ _id: req.params.id, company: req.user.companyId });
+
+        if (!role) {
+            return notFoundResponse(res, 'Role not found');
+        }
+
+        await User.updateMany({ customRole: role._id }, { $set: { customRole: null } });
+        await recordAudit(req, { entityType: 'role', entityId: role._id, action: 'delete', before: role });
+
+        return successResponse(res, null, 'Role deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid role ID');
+        }
+        return errorResponse(res, 'Error deleting role');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Shift = require('../models/Shift');
+const ShiftSwap = require('../models/ShiftSwap');
+const ShiftTemplate = require('../models/ShiftTemplate');
+const Employee = require('../models/Employee');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { canManageShifts, getRosterVisibility } = require('../utils/shifts');
+const { toDateKey } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+const { sendMail } = require('../mail');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+const MAX_ROSTER_DAYS = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation middleware
+const rosterValidation = [
+    query(['from', 'to']).isISO8601().withMessage('A valid from and to date are required'),
+    query(['employee', 'department']).optional().isMongoId().withMessage('Invalid ID'),
+    query('status').optional().isIn(Shift.schema.path('status').enumValues).withMessage('Invalid status')
+];
+
+const assignValidation = [
+    body('shifts').isArray({ min: 1, max: 500 }).withMessage('Assign 1 to 500 shifts at a time'),
+    body('shifts.*.employee').isMongoId().withMessage('Invalid employee ID'),
+    body('shifts.*.date').isISO8601().withMessage('Invalid date'),
+    body('shifts.*.template').optional({ values: 'null' }).isMongoId().withMessage('Invalid shift template ID'),
+    body(['shifts.*.startTime', 'shifts.*.endTime']).optional().matches(TIME_PATTERN).withMessage('Times must be in HH:MM format'),
+    body('shifts.*.breakMinutes').optional().isInt({ min: 0, max: 12 * 60 }).withMessage('Break must be between 0 and 720 minutes').toInt(),
+    body('shifts.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes are too long')
+];
+
+const publishValidation = [
+    body(['from', 'to']).isISO8601().withMessage('A valid from and to date are required'),
+    body('employees').optional().isArray().withMessage('Employees must be a list'),
+    body('employees.*').isMongoId().withMessage('Invalid employee ID')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the roster for a date range: published shifts of everyone, plus the drafts the user plans
+router.get('/', rosterValidation, validate, async (req, res) => {
+    try {
+        const range = getDateRange(req.query.from, req.query.to);
+        if (range.error) {
+            return errorResponse(res, range.error, 400);
+        }
+
+        const conditions = [await getRosterVisibility(req.user)];
+        if (req.query.employee) {
+            conditions.push({ employee: req.query.employee });
+        }
+        if (req.query.department) {
+            const members = await Employee.find({ company: req.user.companyId, department: req.query.department }).select('_id').lean();
+            conditions.push({ employee: { $in: members.map(member => member._id) } });
+        }
+        if (req.query.status) {
+            conditions.push({ status: req.query.status });
+        }
+
+        const shifts = await Shift.find({ company: req.user.companyId, date: { $gte: range.from, $lte: range.to }, $and: conditions })
+            .populate('employee', 'firstName lastName department')
+            .populate('template', 'name')
+            .sort({ date: 1, startTime: 1 });
+        return successResponse(res, shifts, 'Roster retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching roster:', error);
+        return errorResponse(res, 'Error fetching roster');
+    }
+});
+
+// Assign shifts (one per employee and day) from a template or with their own times.
+// New and changed shifts are drafts until the roster is published.
+router.post('/', requirePermission('shift.manage', 'team.shift.manage'), assignValidation, validate, async (req, res) => {
+    try {
+        const items = req.body.shifts;
+        const [employees, templates] = await Promise.all([
+            Employee.find({ _id: { $in: items.map(item => item.employee) }, company: req.user.companyId, status: { $ne: 'inactive' } })
+                .select('_id')
+                .lean(),
+            ShiftTemplate.find({ _id: { $in: items.map(item => item.template).filter(Boolean) }, company: req.user.companyId }).lean()
+        ]);
+        const employeeIds = new Set(employees.map(emp => emp._id.toString()));
+        const templatesById = new Map(templates.map(template => [template._id.toString(), template]));
+
+        const errors = [];
+        const assignments = [];
+        const seen = new Set();
+        for (const [index, item] of items.entries()) {
+            const label = `Shift ${index + 1}`;
+            const template = item.template ? templatesById.get(item.template) : null;
+            const date = new Date(toDateKey(item.date));
+            const startTime = item.startTime || template?.startTime;
+            const endTime = item.endTime || template?.endTime;
+            const key = `${item.employee}:${toDateKey(date)}`;
+
+            if (!employeeIds.has(item.employee)) {
+                errors.push(`${label}: employee not found`);
+            } else if (!await canManageShifts(req.user, item.employee)) {
+                errors.push(`${label}: you are not allowed to plan this employee's shifts`);
+            } else if (item.template && (!template || !template.isActive)) {
+                errors.push(`${label}: shift template not found or inactive`);
+            } else if (!startTime || !endTime) {
+                errors.push(`${label}: a template or a start and end time is required`);
+            } else if (startTime === endTime) {
+                errors.push(`${label}: a shift can't start and end at the same time`);
+            } else if (seen.has(key)) {
+                errors.push(`${label}: the employee already has a shift on ${toDateKey(date)} in this request`);
+            } else {
+                seen.add(key);
+                assignments.push({
+                    employee: item.employee,
+                    date,
+                    template: template?._id || null,
+                    startTime,
+                    endTime,
+                    breakMinutes: item.breakMinutes ?? template?.breakMinutes ?? 0,
+                    notes: item.notes || ''
+                });
+            }
+        }
+        if (errors.length > 0) {
+            return errorResponse(res, 'Some shifts could not be assigned', 400, errors);
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        const shifts = [];
+        try {
+            for (const assignment of assignments) {
+                const existing = await Shift.findOne({ employee: assignment.employee, date: assignment.date }).session(session);
+                const shift = existing || new Shift({ company: req.user.companyId, employee: assignment.employee, date: assignment.date });
+                const before = existing ? existing.toObject() : null;
+
+                Object.assign(shift, assignment, { status: 'draft', publishedAt: null, assignedBy: req.user.employeeId });
+                await shift.save({ session });
+                if (existing) {
+                    await cancelOpenSwaps([shift._id], 'The shift was changed on the roster', session);
+                }
+                await recordAudit(req, { entityType: 'shift', entityId: shift._id, action: before ? 'update' : 'create', before, after: shift, session });
+                shifts.push(shift);
+            }
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        return successResponse(res, shifts, 'Shifts assigned; publish the roster to notify employees', 201);
+    } catch (error) {
+        console.error('Error assigning shifts:', error);
+        return errorResponse(res, 'Error assigning shifts');
+    }
+});
+
+// Publish the draft shifts of a date range (optionally of some employees) and email each employee theirs
+router.post('/publish', requirePermission('shift.manage', 'team.shift.manage'), publishValidation, validate, async (req, res) => {
+    try {
+        const range = getDateRange(req.body.from, req.body.to);
+        if (range.error) {
+            return errorResponse(res, range.error, 400);
+        }
+
+        const conditions = [];
+        if (req.body.employees?.length) {
+            conditions.push({ employee: { $in: req.body.employees } });
+        }
+        if (!hasPermission(req.user, 'shift.manage')) {
+            const reports = await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean();
+            conditions.push({ employee: { $in: reports.map(emp => emp._id) } });
+        }
+
+        const drafts = await Shift.find({
+            company: req.user.companyId,
+            status: 'draft',
+            date: { $gte: range.from, $lte: range.to },
+            ...(conditions.length > 0 && { $and: conditions })
+        }).sort({ date: 1, startTime: 1 });
+        if (drafts.length === 0) {
+            return errorResponse(res, 'There are no unpublished shifts in this period', 400);
+        }
+
+        const publishedAt = new Date();
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            for (const shift of drafts) {
+                const before = shift.toObject();
+                shift.status = 'published';
+                shift.publishedAt = publishedAt;
+                await shift.save({ session });
+                await recordAudit(req, { entityType: 'shift', entityId: shift._id, action: 'status_change', before, after: shift, session });
+            }
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        const employeeCount = await notifyRosterPublished(drafts);
+        return successResponse(res, { published: drafts.length, employees: employeeCount }, 'Roster published successfully');
+    } catch (error) {
+        console.error('Error publishing roster:', error);
+        return errorResponse(res, 'Error publishing roster');
+    }
+});
+
+// Remove a shift from the roster (open swap requests for it are cancelled, and the employee
+// is told if the shift was already published)
+router.delete('/:id', requirePermission('shift.manage', 'team.shift.manage'), async (req, res) => {
+    try {
+        const shift = await Shift.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!shift) {
+            return notFoundResponse(res, 'Shift not found');
+        }
+        if (!await canManageShifts(req.user, shift.employee)) {
+            return forbiddenResponse(res, 'You are not allowed to plan this employee\'s shifts');
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await shift.deleteOne({ session });
+            await cancelOpenSwaps([shift._id], 'The shift was removed from the roster', session);
+            await recordAudit(req, { entityType: 'shift', entityId: shift._id, action: 'delete', before: shift, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        if (shift.status === 'published') {
+            notifyShiftRemoved(shift);
+        }
+
+        return successResponse(res, null, 'Shift deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift ID');
+        }
+        console.error(`Error deleting shift ${req.params.id}:`, error);
+        return errorResponse(res, 'Error deleting shift');
+    }
+});
+
+// First and last day of a roster range, or why the range is not allowed
+function getDateRange(fromValue, toValue) {
+    const from = new Date(toDateKey(fromValue));
+    const to = new Date(toDateKey(toValue));
+    if (from > to) {
+        return { error: 'The from date must not be after the to date' };
+    }
+    if (to - from > MAX_ROSTER_DAYS * MS_PER_DAY) {
+        return { error: `A roster range can cover at most ${MAX_ROSTER_DAYS} days` };
+    }
+    return { from, to };
+}
+
+// Cancel swap requests that are still open for shifts that changed
+async function cancelOpenSwaps(shiftIds, comments, session = null) {
+    await ShiftSwap.updateMany(
+        { $or: [{ shift: { $in: shiftIds } }, { colleagueShift: { $in: shiftIds } }], status: { $in: ['pending', 'accepted'] } },
+        { $set: { status: 'cancelled', comments } },
+        { session }
+    );
+}
+
+// Email every employee the shifts just published for them; returns how many employees had shifts
+async function notifyRosterPublished(shifts) {
+    const byEmployee = new Map();
+    shifts.forEach(shift => {
+        const key = shift.employee.toString();
+        byEmployee.set(key, [...(byEmployee.get(key) || []), shift]);
+    });
+
+    try {
+        const employees = await Employee.find({ _id: { $in: [...byEmployee.keys()] } }).select('firstName email company').lean();
+        employees
+            .filter(employee => employee.email)
+            .forEach(employee => sendMail('rosterPublished', {
+                to: employee.email,
+                company: employee.company,
+                data: { firstName: employee.firstName, shifts: byEmployee.get(employee._id.toString()) }
+            }));
+    } catch (error) {
+        console.error(`Error notifying employees about the published roster: ${error.message}`);
+    }
+    return byEmployee.size;
+}
+
+// Tell an employee that one of their published shifts was taken off the roster
+async function notifyShiftRemoved(shift) {
+    try {
+        const employee = await Employee.findById(shift.employee).select('firstName email company').lean();
+        if (employee?.email) {
+            sendMail('shiftRemoved', {
+                to: employee.email,
+                company: employee.company,
+                data: { firstName: employee.firstName, shift }
+            });
+        }
+    } catch (error) {
+        console.error(`Error notifying employee about the removed shift: ${error.message}`);
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,395 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const ShiftSwap = require('../models/ShiftSwap');
+const Shift = require('../models/Shift');
+const Employee = require('../models/Employee');
+const { authenticateToken } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { getShiftWindow, canManageShifts } = require('../utils/shifts');
+const { getEmployeeTimeZone } = require('../utils/timeTracking');
+const { toDateKey } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+const { sendMail } = require('../mail');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+const OPEN_STATUSES = ['pending', 'accepted'];
+// Fields that move between two shifts on the same day when they are traded
+const SHIFT_TIME_FIELDS = ['template', 'startTime', 'endTime', 'breakMinutes', 'notes'];
+
+// Validation middleware
+const swapValidation = [
+    body('shift').isMongoId().withMessage('Invalid shift ID'),
+    body('colleague').isMongoId().withMessage('Invalid colleague ID'),
+    body('colleagueShift').optional({ values: 'null' }).isMongoId().withMessage('Invalid shift ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason is too long')
+];
+
+const listValidation = [
+    query('status').optional().isIn(ShiftSwap.schema.path('status').enumValues).withMessage('Invalid status')
+];
+
+const responseValidation = [
+    body('accept').isBoolean().withMessage('Accept must be true or false').toBoolean()
+];
+
+const decisionValidation = [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('comments').if(body('status').equals('rejected')).trim().notEmpty()
+        .withMessage('Comments are required when rejecting a shift swap'),
+    body('comments').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// List the user's own swap requests, made or received
+router.get('/', listValidation, validate, async (req, res) => {
+    try {
+        const filter = {
+            company: req.user.companyId,
+            $or: [{ requester: req.user.employeeId }, { colleague: req.user.employeeId }]
+        };
+        if (req.query.status) filter.status = req.query.status;
+
+        const swaps = await ShiftSwap.find(filter)
+            .populate('requester colleague', 'firstName lastName')
+            .populate('shift colleagueShift', 'date startTime endTime')
+            .sort({ createdAt: -1 })
+            .limit(200);
+        return successResponse(res, swaps, 'Shift swaps retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching shift swaps:', error);
+        return errorResponse(res, 'Error fetching shift swaps');
+    }
+});
+
+// Accepted swaps waiting for the user's approval
+router.get('/approvals', async (req, res) => {
+    try {
+        if (!hasPermission(req.user, 'shift.manage') && !hasPermission(req.user, 'team.shift.manage')) {
+            return forbiddenResponse(res, 'You are not allowed to approve shift swaps');
+        }
+
+        const filter = {
+            company: req.user.companyId,
+            status: 'accepted',
+            requester: { $ne: req.user.employeeId },
+            colleague: { $ne: req.user.employeeId }
+        };
+        if (!hasPermission(req.user, 'shift.manage')) {
+            const reports = (await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean()).map(emp => emp._id);
+            filter.$and = [{ requester: { $in: reports } }, { colleague: { $in: reports } }];
+        }
+
+        const swaps = await ShiftSwap.find(filter)
+            .populate('requester colleague', 'firstName lastName')
+            .populate('shift colleagueShift', 'date startTime endTime')
+            .sort({ respondedAt: 1 });
+        return successResponse(res, swaps, 'Shift swaps awaiting approval retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching shift swap approvals:', error);
+        return errorResponse(res, 'Error fetching shift swap approvals');
+    }
+});
+
+// Ask a colleague to take one of the user's published shifts, optionally in exchange for one of theirs
+router.post('/', swapValidation, validate, async (req, res) => {
+    try {
+        const [requester, colleague] = await Promise.all([
+            req.user.employeeId && Employee.findById(req.user.employeeId).select('firstName lastName company timezone'),
+            Employee.findOne({ _id: req.body.colleague, company: req.user.companyId, status: 'active' })
+                .select('firstName lastName email company timezone')
+        ]);
+        if (!requester) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+        if (!colleague || colleague._id.equals(requester._id)) {
+            return notFoundResponse(res, 'Colleague not found');
+        }
+
+        const [shift, colleagueShift] = await Promise.all([
+            Shift.findOne({ _id: req.body.shift, employee: requester._id, status: 'published' }),
+            req.body.colleagueShift
+                ? Shift.findOne({ _id: req.body.colleagueShift, employee: colleague._id, status: 'published' })
+                : null
+        ]);
+        if (!shift) {
+            return notFoundResponse(res, 'Shift not found on your published roster');
+        }
+        if (req.body.colleagueShift && !colleagueShift) {
+            return notFoundResponse(res, 'Shift not found on your colleague\'s published roster');
+        }
+
+        const swapError = await checkSwap({ shift, colleagueShift, requester, colleague });
+        if (swapError) {
+            return errorResponse(res, swapError, 400);
+        }
+        const shiftIds = [shift._id, colleagueShift?._id].filter(Boolean);
+        const openSwap = await ShiftSwap.exists({
+            $or: [{ shift: { $in: shiftIds } }, { colleagueShift: { $in: shiftIds } }],
+            status: { $in: OPEN_STATUSES }
+        });
+        if (openSwap) {
+            return errorResponse(res, 'There is already an open swap request for this shift', 400);
+        }
+
+        const swap = new ShiftSwap({
+            company: req.user.companyId,
+            requester: requester._id,
+            shift: shift._id,
+            colleague: colleague._id,
+            colleagueShift: colleagueShift?._id || null,
+            reason: req.body.reason || ''
+        });
+        await swap.save();
+        await recordAudit(req, { entityType: 'shift_swap', entityId: swap._id, action: 'create', after: swap });
+
+        notifySwapRequested({ reason: swap.reason, shift, colleagueShift }, requester, colleague);
+        return successResponse(res, swap, 'Shift swap requested successfully', 201);
+    } catch (error) {
+        console.error('Error requesting shift swap:', error);
+        return errorResponse(res, 'Error requesting shift swap');
+    }
+});
+
+// Accept or decline a swap request as the colleague; accepted swaps go to a manager for approval
+router.patch('/:id/response', responseValidation, validate, async (req, res) => {
+    try {
+        const swap = await ShiftSwap.findOne({ _id: req.params.id, company: req.user.companyId, colleague: req.user.employeeId })
+            .populate('shift colleagueShift', 'date startTime endTime');
+        if (!swap) {
+            return notFoundResponse(res, 'Shift swap not found');
+        }
+        if (swap.status !== 'pending') {
+            return errorResponse(res, 'Only pending swap requests can be accepted or declined', 400);
+        }
+
+        const before = swap.toObject();
+        swap.status = req.body.accept ? 'accepted' : 'declined';
+        swap.respondedAt = new Date();
+        await swap.save();
+        await recordAudit(req, { entityType: 'shift_swap', entityId: swap._id, action: 'status_change', before, after: swap });
+
+        if (swap.status === 'accepted') {
+            notifySwapAccepted(swap);
+        } else {
+            notifySwapDecided(swap, [swap.requester]);
+        }
+        return successResponse(res, swap, `Shift swap ${swap.status}`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift swap ID');
+        }
+        console.error(`Error responding to shift swap ${req.params.id}:`, error);
+        return errorResponse(res, 'Error responding to shift swap');
+    }
+});
+
+// Approve (and carry out) or reject an accepted swap. The approver must plan both
+// employees' shifts: anyone with shift.manage, or the manager of both.
+router.patch('/:id/status', decisionValidation, validate, async (req, res) => {
+    try {
+        const swap = await ShiftSwap.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!swap) {
+            return notFoundResponse(res, 'Shift swap not found');
+        }
+        const involved = [swap.requester, swap.colleague].some(id => id.toString() === req.user.employeeId?.toString());
+        if (involved || !await canManageShifts(req.user, swap.requester) || !await canManageShifts(req.user, swap.colleague)) {
+            return forbiddenResponse(res, 'You are not allowed to decide this shift swap');
+        }
+        if (swap.status !== 'accepted') {
+            return errorResponse(res, 'Only swaps the colleague has accepted can be approved or rejected', 400);
+        }
+
+        const { status, comments } = req.body;
+        const [shift, colleagueShift, requester, colleague] = await Promise.all([
+            Shift.findOne({ _id: swap.shift, employee: swap.requester, status: 'published' }),
+            swap.colleagueShift ? Shift.findOne({ _id: swap.colleagueShift, employee: swap.colleague, status: 'published' }) : null,
+            Employee.findById(swap.requester).select('company timezone'),
+            Employee.findById(swap.colleague).select('company timezone')
+        ]);
+        if (status === 'approved') {
+            // The roster may have changed since the swap was requested
+            if (!shift || (swap.colleagueShift && !colleagueShift)) {
+                return errorResponse(res, 'The shifts of this swap are no longer on the published roster', 400);
+            }
+            const swapError = await checkSwap({ shift, colleagueShift, requester, colleague });
+            if (swapError) {
+                return errorResponse(res, swapError, 400);
+            }
+        }
+        // What the swap was, for the notification, before the shifts change
+        const summary = {
+            shift: shift && shift.toObject(),
+            colleagueShift: colleagueShift && colleagueShift.toObject()
+        };
+        const before = swap.toObject();
+        Object.assign(swap, { status, comments: comments || '', decidedBy: req.user.employeeId, decidedAt: new Date() });
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            if (status === 'approved') {
+                const shiftBefore = shift.toObject();
+                const colleagueShiftBefore = colleagueShift?.toObject();
+                if (colleagueShift && toDateKey(shift.date) === toDateKey(colleagueShift.date)) {
+                    // Same day: trade the times, so neither employee is left with two shifts on it
+                    SHIFT_TIME_FIELDS.forEach(field => {
+                        [shift[field], colleagueShift[field]] = [colleagueShift[field], shift[field]];
+                    });
+                } else {
+                    shift.employee = swap.colleague;
+                    if (colleagueShift) colleagueShift.employee = swap.requester;
+                }
+                await shift.save({ session });
+                await recordAudit(req, { entityType: 'shift', entityId: shift._id, action: 'update', before: shiftBefore, after: shift, session });
+                if (colleagueShift) {
+                    await colleagueShift.save({ session });
+                    await recordAudit(req, { entityType: 'shift', entityId: colleagueShift._id, action: 'update', before: colleagueShiftBefore, after: colleagueShift, session });
+                }
+            }
+            await swap.save({ session });
+            await recordAudit(req, { entityType: 'shift_swap', entityId: swap._id, action: 'status_change', before, after: swap, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        notifySwapDecided({ ...swap.toObject(), ...summary }, [swap.requester, swap.colleague]);
+        return successResponse(res, swap, `Shift swap ${status} successfully`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift swap ID');
+        }
+        console.error(`Error deciding shift swap ${req.params.id}:`, error);
+        return errorResponse(res, 'Error updating shift swap');
+    }
+});
+
+// Cancel own swap request while it is still open
+router.delete('/:id', async (req, res) => {
+    try {
+        const swap = await ShiftSwap.findOne({ _id: req.params.id, company: req.user.companyId, requester: req.user.employeeId });
+        if (!swap) {
+            return notFoundResponse(res, 'Shift swap not found');
+        }
+        if (!OPEN_STATUSES.includes(swap.status)) {
+            return errorResponse(res, 'Only open swap requests can be cancelled', 400);
+        }
+
+        const before = swap.toObject();
+        swap.status = 'cancelled';
+        await swap.save();
+        await recordAudit(req, { entityType: 'shift_swap', entityId: swap._id, action: 'status_change', before, after: swap });
+
+        return successResponse(res, swap, 'Shift swap cancelled successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift swap ID');
+        }
+        console.error(`Error cancelling shift swap ${req.params.id}:`, error);
+        return errorResponse(res, 'Error cancelling shift swap');
+    }
+});
+
+// Why the shifts can't be swapped, if they can't: both must still be ahead, and
+// nobody may end up with two shifts on one day
+async function checkSwap({ shift, colleagueShift, requester, colleague }) {
+    const now = new Date();
+    for (const [candidate, owner] of [[shift, requester], [colleagueShift, colleague]]) {
+        if (candidate && getShiftWindow(candidate, await getEmployeeTimeZone(owner)).start <= now) {
+            return 'Only shifts that haven\'t started yet can be swapped';
+        }
+    }
+
+    const sameDay = colleagueShift && toDateKey(shift.date) === toDateKey(colleagueShift.date);
+    if (sameDay) return null;
+
+    const [colleagueBusy, requesterBusy] = await Promise.all([
+        Shift.exists({ employee: colleague._id, date: shift.date }),
+        colleagueShift ? Shift.exists({ employee: requester._id, date: colleagueShift.date }) : null
+    ]);
+    if (colleagueBusy) {
+        return `${colleague.firstName || 'Your colleague'} already has a shift on ${toDateKey(shift.date)}`;
+    }
+    if (requesterBusy) {
+        return `${requester.firstName || 'The requester'} already has a shift on ${toDateKey(colleagueShift.date)}`;
+    }
+    return null;
+}
+
+// Email the colleague that a swap is waiting for their answer
+async function notifySwapRequested(swap, requester, colleague) {
+    try {
+        if (!colleague.email) return;
+        sendMail('shiftSwapRequested', {
+            to: colleague.email,
+            company: colleague.company,
+            data: { firstName: colleague.firstName, requesterName: `${requester.firstName} ${requester.lastName}`, swap }
+        });
+    } catch (error) {
+        console.error(`Error notifying colleague about a shift swap: ${error.message}`);
+    }
+}
+
+// Email the requester's manager (or admin and HR when there is none) that an accepted swap needs approval
+async function notifySwapAccepted(swap) {
+    try {
+        const [requester, colleague] = await Promise.all([
+            Employee.findById(swap.requester).select('firstName lastName company reportingManager').lean(),
+            Employee.findById(swap.colleague).select('firstName lastName').lean()
+        ]);
+        const approvers = requester.reportingManager
+            ? await Employee.find({ _id: requester.reportingManager }).select('firstName email').lean()
+            : await Employee.find({ company: requester.company, role: { $in: ['admin', 'hr'] }, status: { $ne: 'inactive' } })
+                .select('firstName email')
+                .lean();
+        approvers
+            .filter(approver => approver.email)
+            .forEach(approver => sendMail('shiftSwapAccepted', {
+                to: approver.email,
+                company: requester.company,
+                data: {
+                    approverName: approver.firstName,
+                    requesterName: `${requester.firstName} ${requester.lastName}`,
+                    colleagueName: `${colleague.firstName} ${colleague.lastName}`,
+                    swap
+                }
+            }));
+    } catch (error) {
+        console.error(`Error notifying approvers about shift swap ${swap._id}: ${error.message}`);
+    }
+}
+
+// Email the outcome of a swap to the employees involved
+async function notifySwapDecided(swap, employeeIds) {
+    try {
+        if (!swap.shift) return;
+        const employees = await Employee.find({ _id: { $in: employeeIds } }).select('firstName email company').lean();
+        employees
+            .filter(employee => employee.email)
+            .forEach(employee => sendMail('shiftSwapDecided', {
+                to: employee.email,
+                company: employee.company,
+                data: { firstName: employee.firstName, swap, status: swap.status, comments: swap.comments }
+            }));
+    } catch (error) {
+        console.error(`Error notifying employees about shift swap ${swap._id}: ${error.message}`);
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ShiftTemplate = require('../models/ShiftTemplate');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const templateValidation = [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body(['startTime', 'endTime']).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be in HH:MM format'),
+    body('breakMinutes').optional().isInt({ min: 0, max: 12 * 60 }).withMessage('Break must be between 0 and 720 minutes').toInt(),
+    body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get the company's shift templates
+router.get('/', requirePermission('shift.manage', 'team.shift.manage'), async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId };
+        if (req.query.active === 'true') filter.isActive = true;
+
+        const templates = await ShiftTemplate.find(filter).sort({ startTime: 1, name: 1 });
+        return successResponse(res, templates, 'Shift templates retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching shift templates:', error);
+        return errorResponse(res, 'Error fetching shift templates');
+    }
+});
+
+// Create shift template
+router.post('/', requirePermission('shift.manage'), templateValidation, validate, async (req, res) => {
+    try {
+        const template = new ShiftTemplate({ ...pickTemplateFields(req.body), company: req.user.companyId });
+        await template.save();
+        await recordAudit(req, { entityType: 'shift_template', entityId: template._id, action: 'create', after: template });
+
+        return successResponse(res, template, 'Shift template created successfully', 201);
+    } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'A shift template with this name already exists', 400);
+        }
+        if (error.name === 'ValidationError') {
+            return errorResponse(res, 'Validation error', 400, error.errors);
+        }
+        console.error('Error creating shift template:', error);
+        return errorResponse(res, 'Error creating shift template');
+    }
+});
+
+// Update shift template (shifts already on the roster keep their times)
+router.put('/:id', requirePermission('shift.manage'), templateValidation, validate, async (req, res) => {
+    try {
+        const template = await ShiftTemplate.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!template) {
+            return notFoundResponse(res, 'Shift template not found');
+        }
+
+        const before = template.toObject();
+        Object.assign(template, pickTemplateFields(req.body));
+        await template.save();
+        await recordAudit(req, { entityType: 'shift_template', entityId: template._id, action: 'update', before, after: template });
+
+        return successResponse(res, template, 'Shift template updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift template ID');
+        }
+        if (error.code === 11000) {
+            return errorResponse(res, 'A shift template with this name already exists', 400);
+        }
+        if (error.name === 'ValidationError') {
+            return errorResponse(res, 'Validation error', 400, error.errors);
+        }
+        console.error(`Error updating shift template ${req.params.id}:`, error);
+        return errorResponse(res, 'Error updating shift template');
+    }
+});
+
+// Delete shift template (shifts already on the roster keep their times)
+router.delete('/:id', requirePermission('shift.manage'), async (req, res) => {
+    try {
+        const template = await ShiftTemplate.findOneAndDelete({ _id: req.params.id, company: req.user.companyId });
+        if (!template) {
+            return notFoundResponse(res, 'Shift template not found');
+        }
+
+        await recordAudit(req, { entityType: 'shift_template', entityId: template._id, action: 'delete', before: template });
+
+        return successResponse(res, null, 'Shift template deleted successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid shift template ID');
+        }
+        console.error(`Error deleting shift template ${req.params.id}:`, error);
+        return errorResponse(res, 'Error deleting shift template');
+    }
+});
+
+function pickTemplateFields({ name, startTime, endTime, breakMinutes, isActive }) {
+    return Object.fromEntries(Object.entries({ name, startTime, endTime, breakMinutes, isActive })
+        .filter(([, value]) => value !== undefined));
+}
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const TimeCorrection = require('../models/TimeCorrection');
+const TimeEntry = require('../models/TimeEntry');
+const Employee = require('../models/Employee');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission, canAccessEmployee } = require('../utils/permissions');
+const { getLockingTimesheet, refreshTimesheetTotals, canApproveTime } = require('../utils/timesheets');
+const { getEmployeeTimeZone, validateDaySegments, correctEntry } = require('../utils/timeTracking');
+const { toDateKey } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+const { sendMail } = require('../mail');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const segmentsValidation = [
+    body('date').isISO8601().withMessage('Invalid date'),
+    body('segments').isArray({ min: 1, max: 20 }).withMessage('A correction needs 1 to 20 segments'),
+    body('segments.*.type').isIn(['work', 'break']).withMessage('Segment type must be work or break'),
+    body(['segments.*.start', 'segments.*.end']).isISO8601().withMessage('Segments need a start and an end time'),
+    body('segments.*.location').optional().trim().isLength({ max: 100 }).withMessage('Location is too long'),
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+];
+
+const directValidation = [
+    body('employee').isMongoId().withMessage('Invalid employee ID'),
+    ...segmentsValidation
+];
+
+const listValidation = [
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID'),
+    query('status').optional().isIn(TimeCorrection.schema.path('status').enumValues).withMessage('Invalid status')
+];
+
+const decisionValidation = [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('comments').if(body('status').equals('rejected')).trim().notEmpty()
+        .withMessage('Comments are required when rejecting a correction'),
+    body('comments').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// List correction requests: own, direct reports' with team.time.read, everyone's with time.read
+router.get('/', listValidation, validate, async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId };
+        if (req.query.employee) {
+            const allowed = await canAccessEmployee(req.user, req.query.employee, { permission: 'time.read', teamPermission: 'team.time.read' });
+            if (!allowed) {
+                return forbiddenResponse(res, 'You are not allowed to view this employee\'s time corrections');
+            }
+            filter.employee = req.query.employee;
+        } else if (!hasPermission(req.user, 'time.read')) {
+            const reports = hasPermission(req.user, 'team.time.read')
+                ? await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean()
+                : [];
+            filter.employee = { $in: [req.user.employeeId, ...reports.map(emp => emp._id)].filter(Boolean) };
+        }
+        if (req.query.status) filter.status = req.query.status;
+
+        const corrections = await TimeCorrection.find(filter)
+            .populate('employee', 'firstName lastName')
+            .populate('decidedBy', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .limit(200);
+        return successResponse(res, corrections, 'Time corrections retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching time corrections:', error);
+        return errorResponse(res, 'Error fetching time corrections');
+    }
+});
+
+// Pending correction requests the user can decide
+router.get('/approvals', requirePermission('time.approve', 'team.time.approve'), async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId, status: 'pending', employee: { $ne: req.user.employeeId } };
+        if (!hasPermission(req.user, 'time.approve')) {
+            const reports = await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean();
+            filter.employee = { $in: reports.map(emp => emp._id) };
+        }
+
+        const corrections = await TimeCorrection.find(filter)
+            .populate('employee', 'firstName lastName')
+            .populate('timeEntry')
+            .sort({ date: 1 });
+        return successResponse(res, corrections, 'Time corrections awaiting approval retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching time correction approvals:', error);
+        return errorResponse(res, 'Error fetching time correction approvals');
+    }
+});
+
+// Request a correction of one of the user's own days: the segments replace the
+// day's recorded segments once the manager approves
+router.post('/', segmentsValidation, validate, async (req, res) => {
+    try {
+        const employee = req.user.employeeId && await Employee.findById(req.user.employeeId)
+            .select('firstName lastName company reportingManager timezone');
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+
+        const date = new Date(toDateKey(req.body.date));
+        const segmentError = await checkCorrection(employee, date, req.body.segments);
+        if (segmentError) {
+            return errorResponse(res, segmentError, 400);
+        }
+        if (await TimeCorrection.exists({ employee: employee._id, date, status: 'pending' })) {
+            return errorResponse(res, 'There is already a pending correction for this day', 400);
+        }
+
+        const timeEntry = await TimeEntry.findOne({ employee: employee._id, date }).select('_id').lean();
+        const correction = new TimeCorrection({
+            employee: employee._id,
+            company: employee.company,
+            date,
+            timeEntry: timeEntry?._id || null,
+            segments: req.body.segments,
+            reason: req.body.reason
+        });
+        await correction.save();
+        await recordAudit(req, { entityType: 'time_correction', entityId: correction._id, action: 'create', after: correction });
+
+        notifyCorrectionRequested(correction, employee);
+        return successResponse(res, correction, 'Time correction requested successfully', 201);
+    } catch (error) {
+        console.error('Error requesting time correction:', error);
+        return errorResponse(res, 'Error requesting time correction');
+    }
+});
+
+// Approve (and apply) or reject a correction request
+router.patch('/:id/status', decisionValidation, validate, async (req, res) => {
+    try {
+        const correction = await TimeCorrection.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!correction) {
+            return notFoundResponse(res, 'Time correction not found');
+        }
+        if (!await canApproveTime(req.user, correction.employee)) {
+            return forbiddenResponse(res, 'You are not allowed to decide this correction');
+        }
+        if (correction.status !== 'pending') {
+            return errorResponse(res, 'Only pending corrections can be approved or rejected', 400);
+        }
+
+        const { status, comments } = req.body;
+        const employee = await Employee.findById(correction.employee).select('company workSchedule timezone region').lean();
+        if (status === 'approved') {
+            // The day may have been locked or changed since the request was made
+            const segmentError = await checkCorrection(employee, correction.date, correction.segments);
+            if (segmentError) {
+                return errorResponse(res, segmentError, 400);
+            }
+        }
+        const before = correction.toObject();
+        Object.assign(correction, { status, comments: comments || '', decidedBy: req.user.employeeId, decidedAt: new Date() });
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            if (status === 'approved') {
+                const timeEntry = await TimeEntry.findOne({ employee: correction.employee, date: correction.date }).session(session) ||
+                    new TimeEntry({ employee: correction.employee, date: correction.date });
+                const entryBefore = timeEntry.isNew ? null : timeEntry.toObject();
+                await correctEntry(timeEntry, correction.segments, {
+                    source: 'request',
+                    correction: correction._id,
+                    actor: req.user.employeeId,
+                    reason: correction.reason,
+                    employee
+                });
+                await timeEntry.save({ session });
+                await refreshTimesheetTotals(correction.employee, correction.date, { session });
+                correction.timeEntry = timeEntry._id;
+                await recordAudit(req, { entityType: 'time_entry', entityId: timeEntry._id, action: entryBefore ? 'update' : 'create', before: entryBefore, after: timeEntry, session });
+            }
+            await correction.save({ session });
+            await recordAudit(req, { entityType: 'time_correction', entityId: correction._id, action: 'status_change', before, after: correction, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        notifyCorrectionDecided(correction);
+        return successResponse(res, correction, `Time correction ${status} successfully`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid time correction ID');
+        }
+        console.error(`Error deciding time correction ${req.params.id}:`, error);
+        return errorResponse(res, 'Error updating time correction');
+    }
+});
+
+// Withdraw own pending correction request
+router.delete('/:id', async (req, res) => {
+    try {
+        const correction = await TimeCorrection.findOne({ _id: req.params.id, employee: req.user.employeeId });
+        if (!correction) {
+            return notFoundResponse(res, 'Time correction not found');
+        }
+        if (correction.status !== 'pending') {
+            return errorResponse(res, 'Only pending corrections can be withdrawn', 400);
+        }
+
+        const before = correction.toObject();
+        correction.status = 'withdrawn';
+        await correction.save();
+        await recordAudit(req, { entityType: 'time_correction', entityId: correction._id, action: 'status_change', before, after: correction });
+
+        return successResponse(res, correction, 'Time correction withdrawn successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid time correction ID');
+        }
+        console.error(`Error withdrawing time correction ${req.params.id}:`, error);
+        return errorResponse(res, 'Error withdrawing time correction');
+    }
+});
+
+// Correct another employee's day directly, without a request. The entry is flagged as
+// admin-corrected; this also works on weeks whose timesheet is locked.
+router.post('/direct', requirePermission('time.manage'), directValidation, validate, async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ _id: req.body.employee, company: req.user.companyId })
+            .select('company workSchedule timezone region')
+            .lean();
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+        // Nobody approves their own time: own days go through a correction request
+        if (employee._id.equals(req.user.employeeId)) {
+            return forbiddenResponse(res, 'You cannot correct your own time directly; request a time correction instead');
+        }
+
+        const date = new Date(toDateKey(req.body.date));
+        const segmentError = validateDaySegments(req.body.segments, toDateKey(date), await getEmployeeTimeZone(employee));
+        if (segmentError) {
+            return errorResponse(res, segmentError, 400);
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        let timeEntry;
+        try {
+            timeEntry = await TimeEntry.findOne({ employee: employee._id, date }).session(session) ||
+                new TimeEntry({ employee: employee._id, date });
+            const before = timeEntry.isNew ? null : timeEntry.toObject();
+            await correctEntry(timeEntry, req.body.segments, {
+                source: 'admin',
+                actor: req.user.employeeId,
+                reason: req.body.reason,
+                employee
+            });
+            await timeEntry.save({ session });
+            await refreshTimesheetTotals(employee._id, date, { session });
+            await recordAudit(req, { entityType: 'time_entry', entityId: timeEntry._id, action: before ? 'update' : 'create', before, after: timeEntry, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        return successResponse(res, timeEntry, 'Time entry corrected successfully');
+    } catch (error) {
+        console.error('Error correcting time entry:', error);
+        return errorResponse(res, 'Error correcting time entry');
+    }
+});
+
+// Why a correction can't be made for this day, if it can't
+async function checkCorrection(employee, date, segments) {
+    const timeZone = await getEmployeeTimeZone(employee);
+    const timesheet = await getLockingTimesheet(employee._id, date);
+    if (timesheet) {
+        return `This week's timesheet is ${timesheet.status} and locked`;
+    }
+    return validateDaySegments(segments, toDateKey(date), timeZone);
+}
+
+// Email the employee's manager that a correction is waiting for approval
+async function notifyCorrectionRequested(correction, employee) {
+    try {
+        if (!employee.reportingManager) return;
+        const manager = await Employee.findById(employee.reportingManager).select('firstName email').lean();
+        if (!manager?.email) return;
+        sendMail('timeCorrectionRequested', {
+            to: manager.email,
+            company: employee.company,
+            data: {
+                approverName: manager.firstName,
+                employeeName: `${employee.firstName} ${employee.lastName}`,
+                date: correction.date,
+                reason: correction.reason
+            }
+        });
+    } catch (error) {
+        console.error(`Error notifying manager about time correction ${correction._id}: ${error.message}`);
+    }
+}
+
+// Email the employee the outcome of their correction request
+async function notifyCorrectionDecided(correction) {
+    try {
+        const employee = await Employee.findById(correction.employee).select('firstName email company').lean();
+        if (!employee?.email) return;
+        sendMail('timeCorrectionDecided', {
+            to: employee.email,
+            company: employee.company,
+            data: {
+                firstName: employee.firstName,
+                date: correction.date,
+                status: correction.status,
+                comments: correction.comments
+            }
+        });
+    } catch (error) {
+        console.error(`Error notifying employee about time correction ${correction._id}: ${error.message}`);
+    }
+}
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const TimeEntry = require('../models/TimeEntry');
 const Employee = require('../models/Employee');
 const { authenticateToken } = require('../middleware/auth');
+const { hasPermission, canAccessEmployee } = require('../utils/permissions');
+const { getLockingTimesheet } = require('../utils/timesheets');
+const { getEmployeeTimeZone, getLocalDay, getOpenSegment, applyTimeTotals } = require('../utils/timeTracking');
+const { findActiveEntry } = require('../utils/attendance');
+const { summarizeEmployeesTime } = require('../utils/overtime');
+const { checkClockInShift } = require('../utils/shifts');
+const { toDateKey } = require('../utils/leaveDuration');
+const { getLocalDateKey, formatLocalTime } = require('../utils/timezones');
+
+const MAX_SUMMARY_DAYS = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const summaryValidation = [
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+    next();
+};
 
 // Authenticate all routes
 router.use(authenticateToken);
@@ -18,21 +42,8 @@ router.get('/today', async (req, res) => {
             return res.status(404).json({ message: 'Employee not found' });
         }
 
-        // Get start of today and end of today in user's timezone
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-
-        // Find time entry for today
-        const timeEntry = await TimeEntry.findOne({
-            employee: employee._id,
-            date: {
-                $gte: today,
-                $lt: tomorrow
-            }
-        });
+        // Today's entry in the employee's timezone, or last night's shift if it is still running
+        const { entry: timeEntry } = await findActiveEntry(employee, await getEmployeeTimeZone(employee));
 
         if (!timeEntry) {
             return res.json(null); // No entry found for today
@@ -45,7 +56,7 @@ router.get('/today', async (req, res) => {
     }
 });
 
-// Clock in
+// Clock in (starts a work segment; a day can have several, e.g. split shifts)
 router.post('/clock-in', async (req, res) => {
     try {
         // Get the current employee from the user ID
@@ -55,40 +66,41 @@ router.post('/clock-in', async (req, res) => {
             return res.status(404).json({ message: 'Employee not found' });
         }
 
-        // Get today's date (without time)
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Today's date in the employee's timezone
+        const timeZone = await getEmployeeTimeZone(employee);
+        const today = getLocalDay(timeZone);
 
-        // Check if there's already an entry for today
-        let timeEntry = await TimeEntry.findOne({
-            employee: employee._id,
-            date: {
-                $gte: today,
-                $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-            }
-        });
+        // Submitted and approved weeks can't change
+        const timesheet = await getLockingTimesheet(employee._id, today);
+        if (timesheet) {
+            return res.status(400).json({ message: `This week's timesheet is ${timesheet.status} and locked` });
+        }
 
-        if (timeEntry) {
-            // Already clocked in for today
-            if (timeEntry.clockIn.time) {
-                return res.status(400).json({ message: 'Already clocked in for today' });
-            }
+        // Check if there's already an entry for today (or a shift still running from yesterday)
+        const { entry, forgotten } = await findActiveEntry(employee, timeZone);
+        if (forgotten) {
+            return res.status(400).json({ message: forgottenClockOutMessage(forgotten, timeZone) });
+        }
+        let timeEntry = entry;
 
-            // Update existing entry with clock in time
-            timeEntry.clockIn.time = new Date();
-            timeEntry.clockIn.location = req.body.location || 'Office';
-        } else {
+        const openSegment = timeEntry && getOpenSegment(timeEntry);
+        if (openSegment) {
+            return res.status(400).json({ message: openSegment.type === 'break' ? 'You are on a break; end it instead' : 'Already clocked in' });
+        }
+
+        // With a roster, clocking in has to fit the employee's published shift
+        const shiftError = await checkClockInShift(employee, timeZone);
+        if (shiftError) {
+            return res.status(400).json({ message: shiftError });
+        }
+
+        if (!timeEntry) {
             // Create new time entry
-            timeEntry = new TimeEntry({
-                employee: employee._id,
-                date: today,
-                clockIn: {
-                    time: new Date(),
-                    location: req.body.location || 'Office'
-                }
-            });
+            timeEntry = new TimeEntry({ employee: employee._id, date: today });
         }
 
+        timeEntry.segments.push({ type: 'work', start: new Date(), location: req.body.location || 'Office' });
+        await applyTimeTotals(timeEntry, employee);
         await timeEntry.save();
 
         res.status(201).json(timeEntry);
@@ -98,7 +110,7 @@ router.post('/clock-in', async (req, res) => {
     }
 });
 
-// Clock out
+// Clock out (ends the running work segment, or the break if on one)
 router.post('/clock-out', async (req, res) => {
     try {
         // Get the current employee from the user ID
@@ -108,39 +120,36 @@ router.post('/clock-out', async (req, res) => {
             return res.status(404).json({ message: 'Employee not found' });
         }
 
-        // Get today's date (without time)
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        // Find today's time entry
-        const timeEntry = await TimeEntry.findOne({
-            employee: employee._id,
-            date: {
-                $gte: today,
-                $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-            }
-        });
+        // Find the running entry, which is yesterday's when a night shift ends after midnight
+        const timeZone = await getEmployeeTimeZone(employee);
+        const { entry: timeEntry, forgotten } = await findActiveEntry(employee, timeZone);
+        if (forgotten) {
+            return res.status(400).json({ message: forgottenClockOutMessage(forgotten, timeZone) });
+        }
 
         if (!timeEntry) {
             return res.status(404).json({ message: 'No clock-in record found for today' });
         }
 
-        if (!timeEntry.clockIn.time) {
-            return res.status(400).json({ message: 'Must clock in before clocking out' });
+        const openSegment = getOpenSegment(timeEntry);
+        if (!openSegment) {
+            return res.status(400).json({ message: timeEntry.clockIn.time ? 'Already clocked out' : 'Must clock in before clocking out' });
         }
 
-        if (timeEntry.clockOut.time) {
-            return res.status(400).json({ message: 'Already clocked out for today' });
+        const timesheet = await getLockingTimesheet(employee._id, timeEntry.date);
+        if (timesheet) {
+            return res.status(400).json({ message: `This week's timesheet is ${timesheet.status} and locked` });
         }
 
         // Update with clock out time
-        timeEntry.clockOut.time = new Date();
+        openSegment.end = new Date();
         timeEntry.clockOut.location = req.body.location || 'Office';
 
         if (req.body.notes) {
             timeEntry.notes = req.body.notes;
         }
 
+        await applyTimeTotals(timeEntry, employee);
         await timeEntry.save();
 
         res.json(timeEntry);
@@ -150,6 +159,143 @@ router.post('/clock-out', async (req, res) => {
     }
 });
 
+// Start a break (ends the running work segment)
+router.post('/break/start', async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ userId: req.user.userId });
+
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const timeZone = await getEmployeeTimeZone(employee);
+        const { entry: timeEntry, forgotten } = await findActiveEntry(employee, timeZone);
+        if (forgotten) {
+            return res.status(400).json({ message: forgottenClockOutMessage(forgotten, timeZone) });
+        }
+        const openSegment = timeEntry && getOpenSegment(timeEntry);
+
+        if (!openSegment) {
+            return res.status(400).json({ message: 'Must be clocked in to start a break' });
+        }
+
+        if (openSegment.type === 'break') {
+            return res.status(400).json({ message: 'Already on a break' });
+        }
+
+        const timesheet = await getLockingTimesheet(employee._id, timeEntry.date);
+        if (timesheet) {
+            return res.status(400).json({ message: `This week's timesheet is ${timesheet.status} and locked` });
+        }
+
+        const now = new Date();
+        openSegment.end = now;
+        timeEntry.segments.push({ type: 'break', start: now, location: openSegment.location });
+
+        await applyTimeTotals(timeEntry, employee);
+        await timeEntry.save();
+
+        res.json(timeEntry);
+    } catch (error) {
+        console.error('Error starting break:', error);
+        res.status(500).json({ message: 'Error starting break' });
+    }
+});
+
+// End a break (resumes work)
+router.post('/break/end', async (req, res) => {
+    try {
+        const employee = await Employee.findOne({ userId: req.user.userId });
+
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const timeZone = await getEmployeeTimeZone(employee);
+        const { entry: timeEntry, forgotten } = await findActiveEntry(employee, timeZone);
+        if (forgotten) {
+            return res.status(400).json({ message: forgottenClockOutMessage(forgotten, timeZone) });
+        }
+        const openSegment = timeEntry && getOpenSegment(timeEntry);
+
+        if (!openSegment || openSegment.type !== 'break') {
+            return res.status(400).json({ message: 'Not on a break' });
+        }
+
+        const timesheet = await getLockingTimesheet(employee._id, timeEntry.date);
+        if (timesheet) {
+            return res.status(400).json({ message: `This week's timesheet is ${timesheet.status} and locked` });
+        }
+
+        const now = new Date();
+        openSegment.end = now;
+        timeEntry.segments.push({ type: 'work', start: now, location: req.body.location || openSegment.location });
+
+        await applyTimeTotals(timeEntry, employee);
+        await timeEntry.save();
+
+        res.json(timeEntry);
+    } catch (error) {
+        console.error('Error ending break:', error);
+        res.status(500).json({ message: 'Error ending break' });
+    }
+});
+
+// Regular and overtime hours per day and per week for a date range, by the company's overtime rules
+router.get('/summary', summaryValidation, validate, async (req, res) => {
+    try {
+        const from = new Date(req.query.from);
+        const to = new Date(req.query.to);
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ message: 'A valid from and to date are required' });
+        }
+        if (to - from > MAX_SUMMARY_DAYS * MS_PER_DAY) {
+            return res.status(400).json({ message: `A summary can cover at most ${MAX_SUMMARY_DAYS} days` });
+        }
+
+        const filter = { company: req.user.companyId };
+        if (req.query.employee) {
+            const allowed = await canAccessEmployee(req.user, req.query.employee, {
+                permission: 'time.read',
+                teamPermission: 'team.time.read'
+            });
+            if (!allowed) {
+                return res.status(403).json({ message: 'You are not allowed to view this employee\'s time entries' });
+            }
+            filter._id = req.query.employee;
+        } else if (hasPermission(req.user, 'team.time.read') && req.user.employeeId && !hasPermission(req.user, 'time.read')) {
+            // Managers see their own time and their direct reports'
+            filter.$or = [{ userId: req.user.userId }, { reportingManager: req.user.employeeId }];
+        } else if (!hasPermission(req.user, 'time.read')) {
+            // Without time.read, only summarize the current user's time
+            filter.userId = req.user.userId;
+        }
+        if (!req.query.employee) {
+            // Listings leave out former employees and pending invitations
+            Object.assign(filter, { status: 'active', enrollmentStatus: { $ne: 'pending' } });
+        }
+
+        const employees = await Employee.find(filter)
+            .select('firstName lastName company workSchedule region')
+            .sort({ firstName: 1, lastName: 1 })
+            .lean();
+        if (req.query.employee && employees.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const byEmployee = await summarizeEmployeesTime(employees, from, to);
+        const summaries = employees.map(employee => ({
+            employee: { _id: employee._id, firstName: employee.firstName, lastName: employee.lastName },
+            ...byEmployee.get(employee._id.toString())
+        }));
+
+        res.json({ from: toDateKey(from), to: toDateKey(to), employees: summaries });
+    } catch (error) {
+        console.error('Error fetching time summary:', error);
+        res.status(500).json({ message: 'Error fetching time summary' });
+    }
+});
+
 // Get time entries (with filtering)
 router.get('/', async (req, res) => {
     try {
@@ -157,10 +303,24 @@ router.get('/', async (req, res) => {
 
         // Filter by employee ID if provided
         if (req.query.employee) {
+            if (!await Employee.exists({ _id: req.query.employee, company: req.user.companyId })) {
+                return res.status(404).json({ message: 'Employee not found' });
+            }
+            const allowed = await canAccessEmployee(req.user, req.query.employee, {
+                permission: 'time.read',
+                teamPermission: 'team.time.read'
+            });
+            if (!allowed) {
+                return res.status(403).json({ message: 'You are not allowed to view this employee\'s time entries' });
+            }
             query.employee = req.query.employee;
         } else {
-            // If not admin or HR, only show the current user's entries
-            if (req.user.role !== 'admin' && req.user.role !== 'hr') {
+            if (hasPermission(req.user, 'time.read')) {
+                // Everyone in the user's company
+                const companyEmployees = await Employee.find({ company: req.user.companyId }).select('_id').lean();
+                query.employee = { $in: companyEmployees.map(emp => emp._id) };
+            } else {
+                // Without time.read, only show the current user's entries
                 const employee = await Employee.findOne({ userId: req.user.userId });
 
                 if (!employee) {
@@ -235,4 +395,10 @@ router.get('/team', async (req, res) => {
     }
 });
 
+// A clock-in left open past the end of the shift has to be fixed with a time correction first
+function forgottenClockOutMessage(segment, timeZone) {
+    return `You did not clock out after clocking in at ${formatLocalTime(segment.start, timeZone)} on ` +
+        `${getLocalDateKey(segment.start, timeZone)}; request a time correction for that day first`;
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,328 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Timesheet = require('../models/Timesheet');
+const TimeEntry = require('../models/TimeEntry');
+const Employee = require('../models/Employee');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission, canAccessEmployee } = require('../utils/permissions');
+const { getWeekStart, getWeekEnd, getWeekEntries, canApproveTime, sumHours } = require('../utils/timesheets');
+const { getEmployeeTimeZone, getLocalDay } = require('../utils/timeTracking');
+const { toDateKey } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+const { sendMail } = require('../mail');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Validation middleware
+const listValidation = [
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID'),
+    query('status').optional().isIn(Timesheet.schema.path('status').enumValues).withMessage('Invalid timesheet status'),
+    query(['from', 'to']).optional().isISO8601().withMessage('Invalid date')
+];
+
+const weekValidation = [
+    query('week').optional().isISO8601().withMessage('Invalid week date'),
+    query('employee').optional().isMongoId().withMessage('Invalid employee ID')
+];
+
+const submitValidation = [
+    body('week').isISO8601().withMessage('Invalid week date')
+];
+
+const decisionValidation = [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('comments').if(body('status').equals('rejected')).trim().notEmpty()
+        .withMessage('Comments are required when rejecting a timesheet'),
+    body('comments').optional().trim()
+];
+
+const bulkApproveValidation = [
+    body('week').isISO8601().withMessage('Invalid week date'),
+    body('employees').optional().isArray().withMessage('Employees must be a list of IDs'),
+    body('employees.*').isMongoId().withMessage('Invalid employee ID'),
+    body('comments').optional().trim()
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// List timesheets: own, direct reports' with team.time.read, everyone's with time.read
+router.get('/', listValidation, validate, async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId };
+        if (req.query.employee) {
+            const allowed = await canAccessEmployee(req.user, req.query.employee, { permission: 'time.read', teamPermission: 'team.time.read' });
+            if (!allowed) {
+                return forbiddenResponse(res, 'You are not allowed to view this employee\'s timesheets');
+            }
+            filter.employee = req.query.employee;
+        } else if (!hasPermission(req.user, 'time.read')) {
+            const reports = hasPermission(req.user, 'team.time.read')
+                ? await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean()
+                : [];
+            filter.employee = { $in: [req.user.employeeId, ...reports.map(emp => emp._id)].filter(Boolean) };
+        }
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.from || req.query.to) {
+            filter.weekStart = {};
+            if (req.query.from) filter.weekStart.$gte = getWeekStart(req.query.from);
+            if (req.query.to) filter.weekStart.$lte = getWeekStart(req.query.to);
+        }
+
+        const timesheets = await Timesheet.find(filter)
+            .populate('employee', 'firstName lastName')
+            .populate('decidedBy', 'firstName lastName')
+            .sort({ weekStart: -1 })
+            .limit(200);
+        return successResponse(res, timesheets, 'Timesheets retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching timesheets:', error);
+        return errorResponse(res, 'Error fetching timesheets');
+    }
+});
+
+// Submitted timesheets the user can decide
+router.get('/approvals', requirePermission('time.approve', 'team.time.approve'), async (req, res) => {
+    try {
+        const filter = { company: req.user.companyId, status: 'submitted', employee: { $ne: req.user.employeeId } };
+        if (!hasPermission(req.user, 'time.approve')) {
+            const reports = await Employee.find({ reportingManager: req.user.employeeId }).select('_id').lean();
+            filter.employee = { $in: reports.map(emp => emp._id) };
+        }
+
+        const timesheets = await Timesheet.find(filter)
+            .populate('employee', 'firstName lastName')
+            .sort({ weekStart: 1 });
+        return successResponse(res, timesheets, 'Timesheets awaiting approval retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching timesheet approvals:', error);
+        return errorResponse(res, 'Error fetching timesheet approvals');
+    }
+});
+
+// One week of an employee (default: own, current week) with its entries, whether submitted or not
+router.get('/week', weekValidation, validate, async (req, res) => {
+    try {
+        const employeeId = req.query.employee || req.user.employeeId;
+        const employee = employeeId && await Employee.findOne({ _id: employeeId, company: req.user.companyId }).select('company timezone').lean();
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+        const allowed = await canAccessEmployee(req.user, employeeId, { permission: 'time.read', teamPermission: 'team.time.read' });
+        if (!allowed) {
+            return forbiddenResponse(res, 'You are not allowed to view this employee\'s timesheets');
+        }
+
+        const weekStart = getWeekStart(req.query.week || getLocalDay(await getEmployeeTimeZone(employee)));
+        const [timesheet, entries] = await Promise.all([
+            Timesheet.findOne({ employee: employeeId, weekStart }).populate('decidedBy', 'firstName lastName'),
+            getWeekEntries(employeeId, weekStart)
+        ]);
+
+        return successResponse(res, {
+            weekStart: toDateKey(weekStart),
+            weekEnd: toDateKey(new Date(getWeekEnd(weekStart).getTime() - 1)),
+            timesheet,
+            entries,
+            totalHours: sumHours(entries)
+        }, 'Timesheet retrieved successfully');
+    } catch (error) {
+        console.error('Error fetching timesheet week:', error);
+        return errorResponse(res, 'Error fetching timesheet');
+    }
+});
+
+// Submit own week for approval; its entries are locked until it is rejected
+router.post('/submit', submitValidation, validate, async (req, res) => {
+    try {
+        const employee = req.user.employeeId && await Employee.findById(req.user.employeeId).select('firstName lastName reportingManager company timezone');
+        if (!employee) {
+            return notFoundResponse(res, 'Employee not found');
+        }
+
+        const weekStart = getWeekStart(req.body.week);
+        if (weekStart > getLocalDay(await getEmployeeTimeZone(employee))) {
+            return errorResponse(res, 'A week can only be submitted once it has started', 400);
+        }
+        const entries = await getWeekEntries(employee._id, weekStart);
+        if (entries.length === 0) {
+            return errorResponse(res, 'There are no time entries in this week', 400);
+        }
+        if (entries.some(entry => entry.clockIn.time && !entry.clockOut.time)) {
+            return errorResponse(res, 'Clock out (or correct missing clock-outs) before submitting the week', 400);
+        }
+
+        let timesheet = await Timesheet.findOne({ employee: employee._id, weekStart });
+        if (timesheet && timesheet.status !== 'rejected') {
+            return errorResponse(res, `This week's timesheet is already ${timesheet.status}`, 400);
+        }
+        const before = timesheet ? timesheet.toObject() : null;
+        timesheet = timesheet || new Timesheet({ employee: employee._id, company: employee.company, weekStart });
+        Object.assign(timesheet, {
+            status: 'submitted',
+            totalHours: sumHours(entries),
+            entryCount: entries.length,
+            submittedAt: new Date(),
+            decidedBy: null,
+            decidedAt: null,
+            comments: ''
+        });
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await timesheet.save({ session });
+            await TimeEntry.updateMany({ _id: { $in: entries.map(entry => entry._id) } }, { status: 'pending' }, { session });
+            await recordAudit(req, { entityType: 'timesheet', entityId: timesheet._id, action: before ? 'status_change' : 'create', before, after: timesheet, session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        notifyTimesheetSubmitted(timesheet, employee);
+        return successResponse(res, timesheet, 'Timesheet submitted successfully', 201);
+    } catch (error) {
+        if (error.code === 11000) {
+            return errorResponse(res, 'This week\'s timesheet is already submitted', 400);
+        }
+        console.error('Error submitting timesheet:', error);
+        return errorResponse(res, 'Error submitting timesheet');
+    }
+});
+
+// Approve or reject a submitted timesheet (the employee's manager, or anyone with time.approve)
+router.patch('/:id/status', decisionValidation, validate, async (req, res) => {
+    try {
+        const timesheet = await Timesheet.findOne({ _id: req.params.id, company: req.user.companyId });
+        if (!timesheet) {
+            return notFoundResponse(res, 'Timesheet not found');
+        }
+        if (!await canApproveTime(req.user, timesheet.employee)) {
+            return forbiddenResponse(res, 'You are not allowed to decide this timesheet');
+        }
+        if (timesheet.status !== 'submitted') {
+            return errorResponse(res, 'Only submitted timesheets can be approved or rejected', 400);
+        }
+
+        await decideTimesheets(req, [timesheet], req.body.status, req.body.comments);
+
+        notifyTimesheetDecided(timesheet);
+        return successResponse(res, timesheet, `Timesheet ${timesheet.status} successfully`);
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid timesheet ID');
+        }
+        console.error(`Error deciding timesheet ${req.params.id}:`, error);
+        return errorResponse(res, 'Error updating timesheet status');
+    }
+});
+
+// Approve every submitted timesheet the user can decide for a week: the whole company's
+// with time.approve, otherwise the direct reports' (optionally only the listed employees)
+router.post('/bulk-approve', requirePermission('time.approve', 'team.time.approve'), bulkApproveValidation, validate, async (req, res) => {
+    try {
+        const employeeFilter = { company: req.user.companyId };
+        if (!hasPermission(req.user, 'time.approve')) {
+            employeeFilter.reportingManager = req.user.employeeId;
+        }
+        if (req.body.employees) employeeFilter._id = { $in: req.body.employees };
+        const employees = await Employee.find(employeeFilter).select('_id').lean();
+
+        const timesheets = await Timesheet.find({
+            employee: { $in: employees.map(emp => emp._id), $ne: req.user.employeeId },
+            weekStart: getWeekStart(req.body.week),
+            status: 'submitted'
+        });
+        if (timesheets.length === 0) {
+            return errorResponse(res, 'No submitted timesheets you can approve for this week', 400);
+        }
+
+        await decideTimesheets(req, timesheets, 'approved', req.body.comments);
+
+        timesheets.forEach(notifyTimesheetDecided);
+        return successResponse(res, timesheets, `${timesheets.length} timesheet(s) approved successfully`);
+    } catch (error) {
+        console.error('Error bulk approving timesheets:', error);
+        return errorResponse(res, 'Error approving timesheets');
+    }
+});
+
+// Record the decision on the timesheets and their entries in one transaction
+async function decideTimesheets(req, timesheets, status, comments = '') {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        for (const timesheet of timesheets) {
+            const before = timesheet.toObject();
+            Object.assign(timesheet, { status, comments: comments || '', decidedBy: req.user.employeeId, decidedAt: new Date() });
+            await timesheet.save({ session });
+            await TimeEntry.updateMany({
+                employee: timesheet.employee,
+                date: { $gte: timesheet.weekStart, $lt: getWeekEnd(timesheet.weekStart) }
+            }, { status }, { session });
+            await recordAudit(req, { entityType: 'timesheet', entityId: timesheet._id, action: 'status_change', before, after: timesheet, session });
+        }
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+}
+
+// Email the employee's manager that a week is waiting for approval
+async function notifyTimesheetSubmitted(timesheet, employee) {
+    try {
+        if (!employee.reportingManager) return;
+        const manager = await Employee.findById(employee.reportingManager).select('firstName email').lean();
+        if (!manager?.email) return;
+        sendMail('timesheetSubmitted', {
+            to: manager.email,
+            company: employee.company,
+            data: {
+                approverName: manager.firstName,
+                employeeName: `${employee.firstName} ${employee.lastName}`,
+                weekStart: timesheet.weekStart,
+                totalHours: timesheet.totalHours
+            }
+        });
+    } catch (error) {
+        console.error(`Error notifying manager about timesheet ${timesheet._id}: ${error.message}`);
+    }
+}
+
+// Email the employee the outcome of their timesheet
+async function notifyTimesheetDecided(timesheet) {
+    try {
+        const employee = await Employee.findById(timesheet.employee).select('firstName email company').lean();
+        if (!employee?.email) return;
+        sendMail('timesheetDecided', {
+            to: employee.email,
+            company: employee.company,
+            data: {
+                firstName: employee.firstName,
+                weekStart: timesheet.weekStart,
+                status: timesheet.status,
+                comments: timesheet.comments
+            }
+        });
+    } catch (error) {
+        console.error(`Error notifying employee about timesheet ${timesheet._id}: ${error.message}`);
+    }
+}
+
+module.exports = router;
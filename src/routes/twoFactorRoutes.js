@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const { authenticateToken } = require('../middleware/auth');
+const { hashToken } = require('../utils/auth');
+const { revokeAllSessions } = require('../utils/session');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
+const { checkLoginAllowed, recordFailedLogin } = require('../utils/accountLockout');
+const { completeLogin, verifyTwoFactorToken, isTwoFactorTokenCurrent, consumeTwoFactorToken, resolveUserRole,
+    isTwoFactorEnforced } = require('../utils/login');
+const totp = require('../utils/totp');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse, unauthorizedResponse } = require('../utils/apiResponse');
+
+// Validation middleware
+const codeValidation = [
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+];
+
+const verifyValidation = [
+    body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+    body('code').optional().trim(),
+    body('recoveryCode').optional().trim(),
+    body().custom(value => !!(value.code || value.recoveryCode)).withMessage('A verification code or recovery code is required')
+];
+
+const disableValidation = [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Enrollment is open to signed-in users, and to users whose login was held back
+// because their company requires two-factor (they hold a setup token instead)
+const authenticateEnrollment = (req, res, next) => {
+    if (!req.body.twoFactorToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const decoded = verifyTwoFactorToken(req.body.twoFactorToken, 'two_factor_setup');
+    if (!decoded) {
+        return unauthorizedResponse(res, 'Invalid or expired two-factor token');
+    }
+    req.user = { userId: decoded.userId };
+    req.twoFactorSetup = true;
+    next();
+};
+
+// Start enrollment: generate a secret and provisioning URI for the authenticator app
+router.post('/setup', authenticateEnrollment, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+        if (user.twoFactor?.enabled) {
+            return errorResponse(res, 'Two-factor authentication is already enabled', 400);
+        }
+
+        const company = await Company.findById(user.company).select('name').lean();
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+        await user.save();
+
+        return successResponse(res, {
+            secret,
+            otpauthUrl: totp.buildOtpAuthUrl({
+                secret,
+                accountName: user.email,
+                issuer: company?.name || 'QuantumSphere'
+            })
+        }, 'Scan the code with your authenticator app, then confirm it');
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        return errorResponse(res, 'Error starting two-factor setup');
+    }
+});
+
+// Confirm enrollment with a code from the app; returns one-time recovery codes
+router.post('/enable', authenticateEnrollment, codeValidation, validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            return errorResponse(res, 'Start two-factor setup first', 400);
+        }
+
+        const secret = totp.decryptSecret(user.twoFactor.pendingSecret);
+        const step = totp.verifyCode(secret, req.body.code);
+        if (step === null) {
+            return errorResponse(res, 'Invalid verification code', 400);
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: undefined,
+            recoveryCodes: recoveryCodes.map(hashToken),
+            lastUsedStep: step,
+            enabledAt: new Date()
+        };
+        await user.save();
+
+        // A user enrolling from a held-back login is signed in now
+        const login = req.twoFactorSetup ? await completeLogin(user, req) : {};
+
+        return successResponse(res, { recoveryCodes, ...login }, 'Two-factor authentication enabled');
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        return errorResponse(res, 'Error enabling two-factor authentication');
+    }
+});
+
+// Second login step: exchange the challenge token and a code for a session
+router.post('/verify', verifyValidation, validate, async (req, res) => {
+    try {
+        const decoded = verifyTwoFactorToken(req.body.twoFactorToken, 'two_factor_login');
+        if (!decoded) {
+            return unauthorizedResponse(res, 'Invalid or expired two-factor token');
+        }
+
+        // Each challenge token works once, and a newer password login replaces it
+        const user = await User.findById(decoded.userId);
+        if (!user || !user.twoFactor?.enabled || !isTwoFactorTokenCurrent(user, decoded)) {
+            return unauthorizedResponse(res, 'Invalid or expired two-factor token');
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const loginCheck = await checkLoginAllowed(user);
+        if (!loginCheck.allowed) {
+            return errorResponse(res, loginCheck.message, loginCheck.statusCode,
+                loginCheck.retryAfter ? { retryAfter: loginCheck.retryAfter } : null);
+        }
+
+        if (!await consumeSecondFactor(user, req.body)) {
+            await recordFailedLogin(user, await getPasswordPolicy(user.company));
+            return unauthorizedResponse(res, 'Invalid verification code');
+        }
+        if (!await consumeTwoFactorToken(decoded)) {
+            return unauthorizedResponse(res, 'Invalid or expired two-factor token');
+        }
+
+        const login = await completeLogin(user, req);
+        return successResponse(res, login, login.passwordChangeRequired ? 'Password change required' : 'Login successful');
+    } catch (error) {
+        console.error('Two-factor verify error:', error);
+        return errorResponse(res, 'Error verifying two-factor code');
+    }
+});
+
+// Replace the recovery codes (invalidates the old ones)
+router.post('/recovery-codes', authenticateToken, codeValidation, validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user?.twoFactor?.enabled) {
+            return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+        }
+        if (!await consumeSecondFactor(user, { code: req.body.code })) {
+            return errorResponse(res, 'Invalid verification code', 400);
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+        await user.save();
+
+        return successResponse(res, { recoveryCodes }, 'Recovery codes regenerated');
+    } catch (error) {
+        return errorResponse(res, 'Error regenerating recovery codes');
+    }
+});
+
+// Turn two-factor off (not allowed where the company enforces it for the user's role)
+router.post('/disable', authenticateToken, disableValidation, validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user?.twoFactor?.enabled) {
+            return errorResponse(res, 'Two-factor authentication is not enabled', 400);
+        }
+
+        const { role } = await resolveUserRole(user);
+        if (await isTwoFactorEnforced(user, role)) {
+            return errorResponse(res, 'Your company requires two-factor authentication for your role', 403);
+        }
+
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+        if (!isMatch || !await consumeSecondFactor(user, { code: req.body.code })) {
+            return errorResponse(res, 'Invalid password or verification code', 400);
+        }
+
+        user.twoFactor = { enabled: false, recoveryCodes: [], lastUsedStep: -1 };
+        await user.save();
+        await revokeAllSessions(user._id, 'logout_all');
+
+        return successResponse(res, null, 'Two-factor authentication disabled');
+    } catch (error) {
+        return errorResponse(res, 'Error disabling two-factor authentication');
+    }
+});
+
+// Check a TOTP code or burn a recovery code. Saves the user when a factor is used.
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+        const hash = hashToken(recoveryCode.trim().toLowerCase());
+        const index = user.twoFactor.recoveryCodes.indexOf(hash);
+        if (index === -1) return false;
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        await user.save();
+        return true;
+    }
+
+    const secret = totp.decryptSecret(user.twoFactor.secret);
+    const step = totp.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+    if (step === null) return false;
+
+    // Remember the step so the same code can't be replayed
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+}
+
+module.exports = router;
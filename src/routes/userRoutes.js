@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const Role = require('../models/Role');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { unlockUser } = require('../utils/accountLockout');
+const { revokeAllSessions } = require('../utils/session');
+const { resolveUserRole } = require('../utils/login');
+const { ROLE_PERMISSIONS } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse, validationErrorResponse } = require('../utils/apiResponse');
+const mongoose = require('mongoose');
+
+// Built-in roles by seniority; nobody may suspend or reset the account of a more senior role
+const ROLE_RANK = { employee: 0, hr: 1, admin: 2 };
+
+// Fields admins may see about a user's account
+const USER_FIELDS = 'email role customRole status employeeId lastLogin failedLoginAttempts lastFailedLoginAt suspension passwordChangedAt twoFactor.enabled twoFactor.enabledAt createdAt';
+
+const roleAssignmentValidation = [
+    body('role').optional().isIn(Object.keys(ROLE_PERMISSIONS)).withMessage('Invalid role'),
+    body('customRole').optional({ nullable: true }).isMongoId().withMessage('Invalid custom role ID')
+];
+
+const suspendValidation = [
+    body('until').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid suspension end date')
+];
+
+// Validation result middleware
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return validationErrorResponse(res, errors.array());
+    }
+    next();
+};
+
+// Use JWT auth
+router.use(authenticateToken);
+
+// Get users of the admin's company (filter with ?status=suspended&reason=lockout)
+router.get('/', requirePermission('user.manage'), async (req, res) => {
+    try {
+        const query = { company: req.user.companyId };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (req.query.reason) {
+            query['suspension.reason'] = req.query.reason;
+        }
+
+        const users = await User.find(query)
+            .select(USER_FIELDS)
+            .populate('employeeId', 'firstName lastName')
+            .populate('customRole', 'name')
+            .sort({ email: 1 });
+
+        return successResponse(res, users, 'Users retrieved successfully');
+    } catch (error) {
+        return errorResponse(res, 'Error retrieving users');
+    }
+});
+
+// Unlock a locked or suspended user
+router.post('/:id/unlock', requirePermission('user.manage'), async (req, res) => {
+    try {
+        const user = await findCompanyUser(req);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+
+        const before = user.toObject();
+        await unlockUser(user);
+        await recordAudit(req, { entityType: 'user', entityId: user._id, action: 'update', before, after: user });
+
+        return successResponse(res, pickUser(user), 'User unlocked successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid user ID');
+        }
+        return errorResponse(res, 'Error unlocking user');
+    }
+});
+
+// Suspend a user, optionally until a given date, and sign out their sessions
+router.post('/:id/suspend', requirePermission('user.manage'), suspendValidation, validate, async (req, res) => {
+    try {
+        if (req.params.id === req.user.userId) {
+            return errorResponse(res, 'You cannot suspend your own account', 400);
+        }
+
+        const user = await findCompanyUser(req);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+
+        if (!await outranksOrEquals(req.user, user)) {
+            return forbiddenResponse(res, 'You cannot suspend a user with a more senior role');
+        }
+
+        const before = user.toObject();
+        user.status = 'suspended';
+        user.suspension = {
+            reason: 'admin',
+            until: req.body.until ? new Date(req.body.until) : null,
+            suspendedAt: new Date(),
+            suspendedBy: req.user.userId
+        };
+        await user.save();
+        await revokeAllSessions(user._id, 'admin');
+        await recordAudit(req, { entityType: 'user', entityId: user._id, action: 'update', before, after: user });
+
+        return successResponse(res, pickUser(user), 'User suspended successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid user ID');
+        }
+        return errorResponse(res, 'Error suspending user');
+    }
+});
+
+// Reset another user's two-factor enrollment (e.g. lost device); they must enroll again
+router.post('/:id/2fa/reset', requirePermission('user.manage'), async (req, res) => {
+    try {
+        const user = await findCompanyUser(req);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+
+        if (!await outranksOrEquals(req.user, user)) {
+            return forbiddenResponse(res, 'You cannot reset two-factor authentication for a user with a more senior role');
+        }
+
+        const before = user.toObject();
+        user.twoFactor = { enabled: false, recoveryCodes: [], lastUsedStep: -1 };
+        await user.save();
+        await revokeAllSessions(user._id, 'admin');
+        await recordAudit(req, { entityType: 'user', entityId: user._id, action: 'update', before, after: user });
+
+        return successResponse(res, pickUser(user), 'Two-factor authentication reset successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid user ID');
+        }
+        return errorResponse(res, 'Error resetting two-factor authentication');
+    }
+});
+
+// Change a user's built-in role and/or custom role
+router.put('/:id/role', requirePermission('role.manage'), roleAssignmentValidation, validate, async (req, res) => {
+    try {
+        if (req.params.id === req.user.userId) {
+            return errorResponse(res, 'You cannot change your own role', 400);
+        }
+
+        const user = await findCompanyUser(req);
+        if (!user) {
+            return notFoundResponse(res, 'User not found');
+        }
+
+        const { role, customRole } = req.body;
+        if (customRole && !await Role.exists({ _id: customRole, company: req.user.companyId })) {
+            return notFoundResponse(res, 'Custom role not found');
+        }
+
+        if (role && role !== 'admin' && user.role === 'admin') {
+            const otherAdmins = await User.countDocuments({ company: req.user.companyId, role: 'admin', _id: { $ne: user._id } });
+            if (otherAdmins === 0) {
+                return errorResponse(res, 'The company must keep at least one admin', 400);
+            }
+        }
+
+        const before = user.toObject();
+        if (role) {
+            user.role = role;
+            // The employee record carries the role too; keep them in step
+            await Employee.updateOne({ userId: user._id }, { $set: { role } });
+        }
+        if (customRole !== undefined) {
+            user.customRole = customRole || null;
+        }
+        await user.save();
+        await recordAudit(req, { entityType: 'user', entityId: user._id, action: 'update', before, after: user });
+
+        return successResponse(res, pickUser(user), 'User role updated successfully');
+    } catch (error) {
+        if (error instanceof mongoose.Error.CastError) {
+            return notFoundResponse(res, 'Invalid user ID');
+        }
+        return errorResponse(res, 'Error updating user role');
+    }
+});
+
+function findCompanyUser(req) {
+    return User.findOne({ _id: req.params.id, company: req.user.companyId });
+}
+
+// Whether the caller's role is at least as senior as the target user's
+async function outranksOrEquals(caller, user) {
+    const { role } = await resolveUserRole(user);
+    return (ROLE_RANK[caller.role] ?? 0) >= (ROLE_RANK[role] ?? 0);
+}
+
+function pickUser(user) {
+    const { password, passwordHistory, passwordResetToken, passwordResetExpires, twoFactor, ...rest } = user.toObject();
+    return { ...rest, twoFactorEnabled: !!twoFactor?.enabled };
+}
+
+module.exports = router;
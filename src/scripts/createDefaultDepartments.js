@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Department = require('../models/Department');
+const Company = require('../models/Company');
 require('dotenv').config();
 
 const defaultDepartments = [
@@ -30,19 +31,32 @@ const defaultDepartments = [
     }
 ];
 
-async function createDefaultDepartments() {
+// Seed the default departments for a single company. Safe to run repeatedly:
+// departments that already exist for the company are left untouched.
+async function createDefaultDepartments(companyId, { session } = {}) {
+    const departments = [];
+
+    for (const dept of defaultDepartments) {
+        let department = await Department.findOne({ company: companyId, name: dept.name }).session(session || null);
+        if (!department) {
+            department = new Department({ ...dept, company: companyId });
+            await department.save({ session });
+        }
+        departments.push(department);
+    }
+
+    return departments;
+}
+
+async function createDefaultDepartmentsForAllCompanies() {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('Connected to MongoDB');
 
-        for (const dept of defaultDepartments) {
-            const existingDept = await Department.findOne({ name: dept.name });
-            if (!existingDept) {
-                await Department.create(dept);
-                console.log(`Created department: ${dept.name}`);
-            } else {
-                console.log(`Department already exists: ${dept.name}`);
-            }
+        const companies = await Company.find();
+        for (const company of companies) {
+            await createDefaultDepartments(company._id);
+            console.log(`Default departments ensured for company: ${company.name}`);
         }
 
         console.log('Default departments created successfully');
@@ -54,4 +68,11 @@ async function createDefaultDepartments() {
     }
 }
 
-createDefaultDepartments(); 
\ No newline at end of file
+if (require.main === module) {
+    createDefaultDepartmentsForAllCompanies();
+}
+
+module.exports = {
+    defaultDepartments,
+    createDefaultDepartments
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const Company = require('../models/Company');
+const { createDefaultDepartments } = require('./createDefaultDepartments');
+require('dotenv').config();
+
+// Departments used to be one global collection with a unique name. This script
+// gives every company its own copy of the departments its employees use, points
+// those employees at the copy, removes the old shared rows and seeds the default
+// departments for every company.
+async function migrateDepartmentsToCompanies() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        // The old global unique index on name would block per-company copies
+        const indexes = await Department.collection.indexes();
+        if (indexes.some(index => index.name === 'name_1')) {
+            await Department.collection.dropIndex('name_1');
+            console.log('Dropped global unique index on department name');
+        }
+        await Department.syncIndexes();
+
+        const legacyDepartments = await Department.find({ company: { $exists: false } }).lean();
+        console.log(`Found ${legacyDepartments.length} shared departments`);
+
+        for (const legacy of legacyDepartments) {
+            const companyIds = await Employee.distinct('company', { department: legacy._id });
+
+            for (const companyId of companyIds) {
+                let department = await Department.findOne({ company: companyId, name: legacy.name });
+                if (!department) {
+                    const { _id, manager, ...fields } = legacy;
+                    department = await Department.create({
+                        ...fields,
+                        company: companyId,
+                        manager: manager && await Employee.exists({ _id: manager, company: companyId }) ? manager : undefined
+                    });
+                }
+
+                await Employee.updateMany(
+                    { company: companyId, department: legacy._id },
+                    { $set: { department: department._id } }
+                );
+                console.log(`Moved ${legacy.name} employees to company ${companyId}`);
+            }
+
+            await Department.deleteOne({ _id: legacy._id });
+        }
+
+        // Employees whose department was set to their company id at registration
+        const companies = await Company.find();
+        for (const company of companies) {
+            const departments = await createDefaultDepartments(company._id);
+            const fallback = departments.find(dept => dept.name === 'Information Technology') || departments[0];
+            const result = await Employee.updateMany(
+                { company: company._id, department: company._id },
+                { $set: { department: fallback._id } }
+            );
+            if (result.modifiedCount) {
+                console.log(`Fixed ${result.modifiedCount} employees of ${company.name} pointing at the company id`);
+            }
+        }
+
+        console.log('Department migration completed successfully');
+    } catch (error) {
+        console.error('Error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+migrateDepartmentsToCompanies();
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const LeaveLedger = require('../models/LeaveLedger');
+const {
+    getLeaveSettings,
+    getLeaveYearRange,
+    getLeaveYear,
+    postOpeningBalance,
+    postLeaveDeduction,
+    syncLeaveBalance
+} = require('../utils/leaveLedger');
+require('dotenv').config();
+
+// Leave balances used to be a total/used pair on the employee, changed in place.
+// For every employee without ledger entries this posts the old total as an opening
+// balance and a deduction for each approved leave of the current leave year, so
+// the balance (and restoring a canceled leave) is worked out from the ledger.
+async function migrateLeaveBalancesToLedger() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const employees = await Employee.find().select('company leaveBalance').lean();
+        let migrated = 0;
+
+        for (const employee of employees) {
+            if (await LeaveLedger.exists({ employee: employee._id })) continue;
+
+            const { yearStartMonth } = await getLeaveSettings(employee.company);
+            const { start } = getLeaveYearRange(getLeaveYear(new Date(), yearStartMonth), yearStartMonth);
+
+            await postOpeningBalance(employee, employee.leaveBalance?.total || 0);
+            const leaves = await Leave.find({ employee: employee._id, status: 'approved', endDate: { $gte: start } });
+            for (const leave of leaves) {
+                await postLeaveDeduction(leave, { reason: 'Approved before the leave ledger' });
+            }
+            await syncLeaveBalance(employee._id);
+
+            migrated++;
+            console.log(`Migrated employee ${employee._id}: ${leaves.length} approved leaves`);
+        }
+
+        console.log(`Migration complete: ${migrated} of ${employees.length} employees migrated`);
+    } catch (error) {
+        console.error('Migration failed:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+migrateLeaveBalancesToLedger();
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { runAttendanceChecks } = require('../utils/attendance');
+require('dotenv').config();
+
+// Flag late arrivals, missed clock-outs and absences up to now (or the time given
+// as the first argument, e.g. `node src/scripts/runAttendanceChecks.js 2026-10-19T23:00:00Z`)
+async function run() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const asOf = process.argv[2] ? new Date(process.argv[2]) : new Date();
+        const { employees, lateArrivals, missedClockOuts, autoClosed, absences } = await runAttendanceChecks({ asOf });
+        console.log(`Attendance checks as of ${asOf.toISOString()} for ${employees} employees: ${lateArrivals} late arrivals, ` +
+            `${missedClockOuts} missed clock-outs (${autoClosed} closed automatically), ${absences} absences`);
+    } catch (error) {
+        console.error('Error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+run();
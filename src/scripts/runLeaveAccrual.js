@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { runLeaveAccrual } = require('../utils/leaveAccrual');
+require('dotenv').config();
+
+// Post leave grants, accruals, carry-overs and expiries up to now (or the date given
+// as the first argument, e.g. `node src/scripts/runLeaveAccrual.js 2026-12-31`)
+async function run() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const asOf = process.argv[2] ? new Date(process.argv[2]) : new Date();
+        const { employees, entries } = await runLeaveAccrual({ asOf });
+        console.log(`Leave accrual as of ${asOf.toISOString()}: ${entries} ledger entries posted for ${employees} employees`);
+    } catch (error) {
+        console.error('Error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+run();
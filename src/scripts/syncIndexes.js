@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+// Rebuild indexes whose definition changed in the schemas (e.g. the Employee
+// userId index becoming sparse so invited employees can exist without a user).
+async function syncIndexes() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const modelsDir = path.join(__dirname, '..', 'models');
+        fs.readdirSync(modelsDir)
+            .filter(file => file.endsWith('.js'))
+            .forEach(file => require(path.join(modelsDir, file)));
+
+        for (const name of mongoose.modelNames()) {
+            const dropped = await mongoose.model(name).syncIndexes();
+            console.log(`${name}: indexes synced${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+        }
+
+        console.log('Indexes synced successfully');
+    } catch (error) {
+        console.error('Error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+syncIndexes();
@@ -5,6 +5,9 @@ const dotenv = require('dotenv');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const { errorResponse, unauthorizedResponse } = require('./utils/apiResponse');
+const { requestId } = require('./middleware/requestId');
+const { startJobs } = require('./jobs');
+const { initStorage } = require('./storage');
 
 // Load environment variables
 dotenv.config();
@@ -33,14 +36,16 @@ app.use(cors({
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Content-Disposition']
 }));
+app.use(requestId);
 app.use(express.json());
 app.use(morgan('dev'));
 
 // Request logging middleware
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path} [${req.requestId}]`);
     next();
 });
 
@@ -84,6 +89,7 @@ mongoose.connect(process.env.MONGODB_URI, {
     .then(() => {
         console.log('Connected to MongoDB Atlas successfully');
         console.log('Database:', mongoose.connection.name);
+        startJobs();
     })
     .catch(err => {
         console.error('MongoDB connection error:', err);
@@ -103,6 +109,7 @@ if (!process.env.JWT_SECRET) {
 
 // Import routes and middleware
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
 const employeeRoutes = require('./routes/employeeRoutes');
 const leaveRoutes = require('./routes/leaveRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
@@ -110,18 +117,47 @@ const departmentRoutes = require('./routes/departmentRoutes');
 const companyRoutes = require('./routes/companyRoutes');
 const { authenticateToken } = require('./middleware/auth');
 const timeEntryRoutes = require('./routes/timeEntryRoutes');
+const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const companyHolidayRoutes = require('./routes/companyHolidayRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const leavePolicyRoutes = require('./routes/leavePolicyRoutes');
+const leaveApprovalChainRoutes = require('./routes/leaveApprovalChainRoutes');
+const calendarFeedRoutes = require('./routes/calendarFeedRoutes');
+const timesheetRoutes = require('./routes/timesheetRoutes');
+const timeCorrectionRoutes = require('./routes/timeCorrectionRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const shiftTemplateRoutes = require('./routes/shiftTemplateRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const shiftSwapRoutes = require('./routes/shiftSwapRoutes');
 
 // Public routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/companies', companyRoutes);
+app.use('/api/calendar', calendarFeedRoutes);  // Authorized by the feed token in the URL
 
 // Protected routes
+app.use('/api/companies/:id/holidays', authenticateToken, companyHolidayRoutes);
 app.use('/api/employees', authenticateToken, employeeRoutes);
 app.use('/api/companies', authenticateToken, companyRoutes);
 app.use('/api/leaves', authenticateToken, leaveRoutes);
 app.use('/api/dashboard', authenticateToken, dashboardRoutes);
 app.use('/api/departments', authenticateToken, departmentRoutes);
 app.use('/api/time-entries', authenticateToken, timeEntryRoutes);
+app.use('/api/timesheets', authenticateToken, timesheetRoutes);
+app.use('/api/time-corrections', authenticateToken, timeCorrectionRoutes);
+app.use('/api/attendance', authenticateToken, attendanceRoutes);
+app.use('/api/shift-templates', authenticateToken, shiftTemplateRoutes);
+app.use('/api/shifts', authenticateToken, shiftRoutes);
+app.use('/api/shift-swaps', authenticateToken, shiftSwapRoutes);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/roles', authenticateToken, roleRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/holidays', authenticateToken, holidayRoutes);
+app.use('/api/leave-policies', authenticateToken, leavePolicyRoutes);
+app.use('/api/leave-approval-chains', authenticateToken, leaveApprovalChainRoutes);
 
 // 404 middleware
 app.use((req, res) => {
@@ -135,7 +171,20 @@ app.use((req, res) => {
             '/api/leaves/*',
             '/api/dashboard/*',
             '/api/departments/*',
-            '/api/time-entries/*'
+            '/api/time-entries/*',
+            '/api/timesheets/*',
+            '/api/time-corrections/*',
+            '/api/attendance/*',
+            '/api/shift-templates/*',
+            '/api/shifts/*',
+            '/api/shift-swaps/*',
+            '/api/users/*',
+            '/api/roles/*',
+            '/api/audit',
+            '/api/holidays',
+            '/api/leave-policies/*',
+            '/api/leave-approval-chains/*',
+            '/api/calendar/feed/:token.ics'
         ]
     });
 });
@@ -159,6 +208,9 @@ app.use((err, req, res, next) => {
     return errorResponse(res, 'Internal server error', 500);
 });
 
+// Set up file storage before accepting requests, so bad configuration stops the server here
+console.log(`Storing files in ${initStorage()}`);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
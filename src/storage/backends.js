@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Files kept on local disk under STORAGE_DIR, by default the uploads folder of the project
+const createLocalBackend = () => {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        location: `local disk in ${root}`,
+        put: async (key, data) => {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data);
+        },
+        get: async (key) => fs.promises.readFile(resolve(key)),
+        remove: async (key) => fs.promises.rm(resolve(key), { force: true })
+    };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Objects in an S3-compatible bucket (AWS S3, or a local stand-in such as MinIO),
+ * addressed path-style and signed with AWS Signature Version 4
+ */
+const createS3Backend = () => {
+    const endpoint = new URL(process.env.S3_ENDPOINT || 'https://s3.amazonaws.com');
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const send = async (method, key, { body = Buffer.alloc(0), contentType } = {}) => {
+        const objectPath = `${endpoint.pathname.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const day = amzDate.slice(0, 8);
+        const headers = {
+            host: endpoint.host,
+            'x-amz-content-sha256': sha256(body),
+            'x-amz-date': amzDate,
+            ...(contentType ? { 'content-type': contentType } : {})
+        };
+
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalRequest = [
+            method,
+            objectPath,
+            '',
+            ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+            '',
+            signedHeaders,
+            headers['x-amz-content-sha256']
+        ].join('\n');
+        const scope = `${day}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        // fetch sets the host header itself
+        const requestHeaders = Object.fromEntries(Object.entries(headers).filter(([name]) => name !== 'host'));
+        const response = await fetch(`${endpoint.origin}${objectPath}`, {
+            method,
+            headers: {
+                ...requestHeaders,
+                authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            body: method === 'PUT' ? body : undefined
+        });
+        if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+            throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+        }
+        return response;
+    };
+
+    return {
+        location: `bucket ${bucket} at ${endpoint.origin}`,
+        put: async (key, data, { contentType } = {}) => {
+            await send('PUT', key, { body: data, contentType });
+        },
+        get: async (key) => Buffer.from(await (await send('GET', key)).arrayBuffer()),
+        remove: async (key) => {
+            await send('DELETE', key);
+        }
+    };
+};
+
+// Keeps files in memory, for local development and tests
+const createMemoryBackend = () => {
+    const files = new Map();
+
+    return {
+        location: 'memory',
+        put: async (key, data) => {
+            files.set(key, Buffer.from(data));
+        },
+        get: async (key) => {
+            if (!files.has(key)) {
+                throw new Error(`File not found: ${key}`);
+            }
+            return files.get(key);
+        },
+        remove: async (key) => {
+            files.delete(key);
+        }
+    };
+};
+
+const backendFactories = {
+    local: createLocalBackend,
+    s3: createS3Backend,
+    memory: createMemoryBackend
+};
+
+/**
+ * Create the storage backend named by STORAGE_BACKEND (local, s3 or memory)
+ * @returns {Object} Object with a location description and async put(key, data, { contentType }), get(key) and remove(key)
+ */
+const createBackend = (name = process.env.STORAGE_BACKEND || 'local') => {
+    const factory = backendFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+    return factory();
+};
+
+module.exports = {
+    createBackend
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { createBackend } = require('./backends');
+
+let backend = null;
+
+const getBackend = () => {
+    if (!backend) {
+        backend = createBackend();
+    }
+    return backend;
+};
+
+// Create the backend up front, so bad storage configuration fails at startup; returns where files are stored
+const initStorage = () => getBackend().location;
+
+/**
+ * Store a file under a new key in the given folder
+ * @param {string} folder - Key prefix, e.g. leaves/<leaveId>
+ * @param {Buffer} data - File content
+ * @param {Object} options - { contentType }
+ * @returns {Promise<string>} Storage key of the file
+ */
+const saveFile = async (folder, data, { contentType } = {}) => {
+    const key = `${folder}/${crypto.randomBytes(16).toString('hex')}`;
+    await getBackend().put(key, data, { contentType });
+    return key;
+};
+
+const readFile = (key) => getBackend().get(key);
+
+const removeFile = (key) => getBackend().remove(key);
+
+module.exports = {
+    initStorage,
+    saveFile,
+    readFile,
+    removeFile
+};
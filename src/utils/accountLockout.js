@@ -0,0 +1,108 @@
+const User = require('../models/User');
+
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_PATHS = ['status', 'suspension', 'failedLoginAttempts', 'lastFailedLoginAt', 'nextLoginAllowedAt'];
+
+/**
+ * Decide whether a user may attempt to log in right now.
+ * Lockouts and suspensions whose end date has passed are lifted as a side effect.
+ * @returns {Promise<Object>} { allowed, statusCode, message, retryAfter }
+ */
+const checkLoginAllowed = async (user) => {
+    if (user.status === 'suspended') {
+        const { reason, until } = user.suspension || {};
+        if (until && until <= new Date()) {
+            await unlockUser(user);
+        } else if (reason === 'lockout') {
+            return {
+                allowed: false,
+                statusCode: 423,
+                message: 'Account is temporarily locked due to too many failed login attempts',
+                retryAfter: until ? Math.ceil((until - Date.now()) / 1000) : null
+            };
+        } else {
+            return { allowed: false, statusCode: 403, message: 'Account has been suspended' };
+        }
+    }
+
+    if (user.status === 'inactive') {
+        return { allowed: false, statusCode: 403, message: 'Account is inactive' };
+    }
+
+    if (user.nextLoginAllowedAt && user.nextLoginAllowedAt > new Date()) {
+        return {
+            allowed: false,
+            statusCode: 429,
+            message: 'Too many failed login attempts. Please wait before trying again',
+            retryAfter: Math.ceil((user.nextLoginAllowedAt - Date.now()) / 1000)
+        };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Record a failed login: delay the next attempt exponentially, and suspend
+ * the account once the policy's attempt limit is reached. The counter is
+ * incremented atomically, so parallel attempts all count.
+ */
+const recordFailedLogin = async (user, policy) => {
+    const updated = await updateLockoutFields(user, {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: new Date() }
+    });
+    const attempts = updated.failedLoginAttempts;
+
+    if (policy.maxFailedAttempts > 0 && attempts >= policy.maxFailedAttempts) {
+        return updateLockoutFields(user, {
+            $set: {
+                status: 'suspended',
+                suspension: {
+                    reason: 'lockout',
+                    until: new Date(Date.now() + policy.lockoutMinutes * 60 * 1000),
+                    suspendedAt: new Date(),
+                    suspendedBy: null
+                },
+                nextLoginAllowedAt: null
+            }
+        });
+    }
+    if (attempts > 1) {
+        // $max so a slower request with a lower count can't shorten the delay
+        const delaySeconds = Math.min(2 ** (attempts - 1), MAX_DELAY_SECONDS);
+        return updateLockoutFields(user, { $max: { nextLoginAllowedAt: new Date(Date.now() + delaySeconds * 1000) } });
+    }
+    return updated;
+};
+
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.nextLoginAllowedAt) return;
+    await updateLockoutFields(user, { $set: { failedLoginAttempts: 0, nextLoginAllowedAt: null } });
+};
+
+// Reactivate a suspended user (expired lockout or admin unlock)
+const unlockUser = async (user) => {
+    await updateLockoutFields(user, {
+        $set: { status: 'active', failedLoginAttempts: 0, nextLoginAllowedAt: null },
+        $unset: { suspension: 1 }
+    });
+    return user;
+};
+
+// Apply an update to the lockout fields in one atomic write, and mirror the result on the
+// loaded document without marking it modified, so a later save() doesn't write stale values back
+async function updateLockoutFields(user, update) {
+    const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+    for (const path of LOCKOUT_PATHS) {
+        user.set(path, updated.get(path));
+        user.unmarkModified(path);
+    }
+    return updated;
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockUser
+};
@@ -0,0 +1,256 @@
+const AttendanceException = require('../models/AttendanceException');
+const Company = require('../models/Company');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const TimeEntry = require('../models/TimeEntry');
+const { toDateKey, minutesOfDay, getHoursPerDay } = require('./leaveDuration');
+const { getHolidayDates } = require('./holidays');
+const { getLocalDateKey, zonedTimeToUtc } = require('./timezones');
+const { getSegments, getOpenSegment, correctEntry } = require('./timeTracking');
+const { getLockingTimesheet, refreshTimesheetTotals } = require('./timesheets');
+const { getShiftWindow, getPublishedShifts } = require('./shifts');
+const { sendMail } = require('../mail');
+
+const DEFAULT_ATTENDANCE_SETTINGS = {
+    lateGraceMinutes: 10,
+    missedClockOutGraceMinutes: 60,
+    missedClockOutAction: 'flag',
+    detectAbsences: true
+};
+
+// Days checked on each run, so a run missed while the server was down is caught up
+const LOOKBACK_DAYS = 3;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Company attendance settings (grace periods, missed clock-out policy) with defaults filled in
+const getAttendanceSettings = async (companyId) => {
+    const company = await Company.findById(companyId).select('attendanceSettings').lean();
+    const settings = company?.attendanceSettings || {};
+    return Object.fromEntries(Object.entries(DEFAULT_ATTENDANCE_SETTINGS)
+        .map(([key, fallback]) => [key, settings[key] ?? fallback]));
+};
+
+// Scheduled start and end of a day: its published shift, else the employee's work schedule
+const getScheduledWindow = (employee, day, shift, timeZone) => {
+    if (shift) return getShiftWindow(shift, timeZone);
+    const schedule = employee.workSchedule || {};
+    const dayKey = toDateKey(day);
+    const startMinutes = minutesOfDay(schedule.startTime) ?? 9 * 60;
+    return {
+        start: zonedTimeToUtc(dayKey, startMinutes, timeZone),
+        end: zonedTimeToUtc(dayKey, startMinutes + Math.round(getHoursPerDay(schedule) * 60), timeZone)
+    };
+};
+
+// When running work should have ended: with the shift when it started during a scheduled
+// day, or a shift's length after it started when that was later or on a rest day
+const getExpectedEnd = (segment, { start, end }, isScheduled) => {
+    return isScheduled && segment.start < end ? end : new Date(segment.start.getTime() + (end - start));
+};
+
+/**
+ * The entry an employee is working on: the one with a running segment, which may
+ * be yesterday's for a shift that went past midnight, else today's entry. A segment
+ * still open past its expected end and the missed clock-out grace was forgotten: it
+ * no longer counts as running and is left for a time correction. When today's entry
+ * holds one, it is returned as `forgotten` so punches on that entry can be refused.
+ * @param {Object} employee - Employee with _id, company and workSchedule
+ * @param {string} timeZone - The employee's timezone
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { entry, forgotten } - TimeEntry document (or null) and forgotten segment (or null)
+ */
+const findActiveEntry = async (employee, timeZone, now = new Date()) => {
+    const today = new Date(getLocalDateKey(now, timeZone));
+    const yesterday = new Date(today.getTime() - MS_PER_DAY);
+    const [entries, shifts, settings] = await Promise.all([
+        TimeEntry.find({ employee: employee._id, date: { $gte: yesterday, $lt: new Date(today.getTime() + MS_PER_DAY) } })
+            .sort({ date: -1 }),
+        getPublishedShifts(employee._id, yesterday, today),
+        getAttendanceSettings(employee.company)
+    ]);
+    const workingDays = employee.workSchedule?.workingDays?.length ? employee.workSchedule.workingDays : DEFAULT_WORKING_DAYS;
+
+    // Holidays and leave aside, which only make the expected end later
+    const isForgotten = (entry, segment) => {
+        const shift = shifts.find(candidate => toDateKey(candidate.date) === toDateKey(entry.date));
+        const isScheduled = !!shift || workingDays.includes(DAY_NAMES[entry.date.getUTCDay()]);
+        const expectedEnd = getExpectedEnd(segment, getScheduledWindow(employee, entry.date, shift, timeZone), isScheduled);
+        return now - expectedEnd > settings.missedClockOutGraceMinutes * MS_PER_MINUTE;
+    };
+
+    const running = entries.find(entry => {
+        const openSegment = getOpenSegment(entry);
+        return openSegment && !isForgotten(entry, openSegment);
+    });
+    if (running) {
+        return { entry: running, forgotten: null };
+    }
+    const todays = entries.find(entry => entry.date >= today) || null;
+    return { entry: todays, forgotten: (todays && getOpenSegment(todays)) || null };
+};
+
+// Store an exception unless the same one was found before; true when it is new
+const recordException = async (fields) => {
+    const { employee, date, type } = fields;
+    try {
+        const result = await AttendanceException.updateOne({ employee, date, type }, { $setOnInsert: fields }, { upsert: true });
+        return result.upsertedCount > 0;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Compare one employee's last few days with their published shifts, or their work
+ * schedule on days without one: late first clock-ins, work still running past the
+ * end of the shift (closed at the shift's end when the company asks for it) and
+ * scheduled days with no entry, leave or holiday. A rostered shift counts even on a holiday.
+ * @param {Object} employee - Employee with company, workSchedule, timezone, region, joinDate, email
+ * @param {Object} options - { settings, timeZone, asOf }
+ * @returns {Promise<Object>} { lateArrivals, missedClockOuts, autoClosed, absences }
+ */
+const checkEmployeeAttendance = async (employee, { settings, timeZone, asOf }) => {
+    const result = { lateArrivals: 0, missedClockOuts: 0, autoClosed: 0, absences: 0 };
+    const schedule = employee.workSchedule || {};
+    const workingDays = schedule.workingDays?.length ? schedule.workingDays : DEFAULT_WORKING_DAYS;
+
+    const today = new Date(getLocalDateKey(asOf, timeZone));
+    const first = new Date(today.getTime() - (LOOKBACK_DAYS - 1) * MS_PER_DAY);
+    const [entries, leaves, holidays, shifts] = await Promise.all([
+        TimeEntry.find({ employee: employee._id, date: { $gte: first, $lt: new Date(today.getTime() + MS_PER_DAY) } }),
+        Leave.find({ employee: employee._id, status: 'approved', startDate: { $lte: today }, endDate: { $gte: first } })
+            .select('startDate endDate')
+            .lean(),
+        getHolidayDates(employee.company, first, today, employee.region),
+        getPublishedShifts(employee._id, first, today)
+    ]);
+    const holidayKeys = new Set(holidays.map(toDateKey));
+    const joinKey = employee.joinDate ? toDateKey(employee.joinDate) : null;
+
+    for (let day = first; day <= today; day = new Date(day.getTime() + MS_PER_DAY)) {
+        const dayKey = toDateKey(day);
+        const shift = shifts.find(candidate => toDateKey(candidate.date) === dayKey);
+        const window = getScheduledWindow(employee, day, shift, timeZone);
+        const { start: scheduledStart, end: scheduledEnd } = window;
+        const entry = entries.find(candidate => toDateKey(candidate.date) === dayKey);
+        const isScheduled = (shift || (workingDays.includes(DAY_NAMES[day.getUTCDay()]) && !holidayKeys.has(dayKey))) &&
+            !(joinKey && dayKey < joinKey) &&
+            !leaves.some(leave => toDateKey(leave.startDate) <= dayKey && dayKey <= toDateKey(leave.endDate));
+
+        // Work still running well after it should have ended
+        const openSegment = entry && getOpenSegment(entry);
+        const expectedEnd = openSegment && getExpectedEnd(openSegment, window, isScheduled);
+        if (openSegment && asOf - expectedEnd > settings.missedClockOutGraceMinutes * MS_PER_MINUTE) {
+            let autoClosedAt = null;
+            if (settings.missedClockOutAction === 'close_at_shift_end' && !await getLockingTimesheet(employee._id, entry.date)) {
+                autoClosedAt = expectedEnd;
+                const segments = getSegments(entry).map(({ type, start, end, location }) => ({ type, start, end: end || autoClosedAt, location }));
+                await correctEntry(entry, segments, {
+                    source: 'auto',
+                    actor: null,
+                    reason: 'Clock-out missing; closed automatically at the end of the shift',
+                    employee
+                });
+                await entry.save();
+                await refreshTimesheetTotals(employee._id, entry.date);
+                result.autoClosed++;
+            }
+            const isNew = await recordException({
+                company: employee.company,
+                employee: employee._id,
+                date: day,
+                type: 'missed_clock_out',
+                timeEntry: entry._id,
+                scheduledAt: expectedEnd,
+                autoClosedAt
+            });
+            if (isNew) {
+                result.missedClockOuts++;
+                if (employee.email) {
+                    sendMail('missedClockOut', {
+                        to: employee.email,
+                        company: employee.company,
+                        data: { firstName: employee.firstName, date: day, clockInTime: openSegment.start, timeZone }
+                    });
+                }
+            }
+        }
+
+        if (!isScheduled) continue;
+
+        const firstWork = entry && getSegments(entry).filter(segment => segment.type === 'work')
+            .sort((a, b) => a.start - b.start)[0];
+        if (firstWork && firstWork.start - scheduledStart > settings.lateGraceMinutes * MS_PER_MINUTE) {
+            const isNew = await recordException({
+                company: employee.company,
+                employee: employee._id,
+                date: day,
+                type: 'late_arrival',
+                timeEntry: entry._id,
+                scheduledAt: scheduledStart,
+                actualAt: firstWork.start,
+                minutesLate: Math.round((firstWork.start - scheduledStart) / MS_PER_MINUTE)
+            });
+            if (isNew) result.lateArrivals++;
+        }
+
+        if (!firstWork && settings.detectAbsences && asOf > scheduledEnd) {
+            const isNew = await recordException({
+                company: employee.company,
+                employee: employee._id,
+                date: day,
+                type: 'absence',
+                scheduledAt: scheduledStart
+            });
+            if (isNew) result.absences++;
+        }
+    }
+    return result;
+};
+
+/**
+ * Run the attendance checks for every active employee of one company (or of all active companies)
+ * @param {Object} options - { companyId, asOf }
+ * @returns {Promise<Object>} { employees, lateArrivals, missedClockOuts, autoClosed, absences }
+ */
+const runAttendanceChecks = async ({ companyId = null, asOf = new Date() } = {}) => {
+    const companies = await Company.find({ status: 'active', ...(companyId && { _id: companyId }) })
+        .select('timezone')
+        .lean();
+
+    const totals = { employees: 0, lateArrivals: 0, missedClockOuts: 0, autoClosed: 0, absences: 0 };
+    for (const company of companies) {
+        const settings = await getAttendanceSettings(company._id);
+        const employees = await Employee.find({ company: company._id, status: 'active', enrollmentStatus: { $ne: 'pending' } })
+            .select('company firstName email workSchedule timezone region joinDate')
+            .lean();
+
+        for (const employee of employees) {
+            try {
+                const result = await checkEmployeeAttendance(employee, {
+                    settings,
+                    timeZone: employee.timezone || company.timezone || 'UTC',
+                    asOf
+                });
+                Object.keys(result).forEach(key => { totals[key] += result[key]; });
+            } catch (error) {
+                console.error(`Attendance checks failed for employee ${employee._id}:`, error);
+            }
+            totals.employees++;
+        }
+    }
+    return totals;
+};
+
+module.exports = {
+    DEFAULT_ATTENDANCE_SETTINGS,
+    getAttendanceSettings,
+    findActiveEntry,
+    checkEmployeeAttendance,
+    runAttendanceChecks
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Company = require('../models/Company');
+
+// Redacted unless the company configures its own list
+const DEFAULT_REDACTED_FIELDS = ['password', 'salary'];
+
+// Credentials are redacted whatever the company configures
+const ALWAYS_REDACTED_FIELDS = ['password', 'token', 'secret', 'recoveryCodes'];
+
+// Bookkeeping fields that are not worth recording as changes
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+// Plain, comparable copy of a value (documents, ids and dates become JSON-friendly)
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof mongoose.Document) return normalize(value.toObject({ depopulate: true }));
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (Array.isArray(value)) return value.map(normalize);
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !IGNORED_FIELDS.includes(key))
+            .map(([key, item]) => [key, normalize(item)]));
+    }
+    return value;
+}
+
+// Dotted path -> value for every leaf of a document. Arrays are compared as a whole.
+function flatten(value, prefix = '', out = {}) {
+    for (const [key, item] of Object.entries(value || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+            flatten(item, path, out);
+        } else {
+            out[path] = item;
+        }
+    }
+    return out;
+}
+
+function isRedacted(field, redactFields) {
+    const segments = field.toLowerCase().split('.');
+    return [...ALWAYS_REDACTED_FIELDS, ...redactFields]
+        .map(name => name.toLowerCase())
+        .some(name => segments.some(segment => segment.includes(name)));
+}
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object|null} before - Record before the change (null on create)
+ * @param {Object|null} after - Record after the change (null on delete)
+ * @param {string[]} redactFields - Field names whose values are replaced with [REDACTED]
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffChanges = (before, after, redactFields = DEFAULT_REDACTED_FIELDS) => {
+    const oldValues = flatten(normalize(before));
+    const newValues = flatten(normalize(after));
+    const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+
+    return fields
+        .filter(field => JSON.stringify(oldValues[field] ?? null) !== JSON.stringify(newValues[field] ?? null))
+        .map(field => {
+            const change = { field, before: oldValues[field] ?? null, after: newValues[field] ?? null };
+            if (isRedacted(field, redactFields)) {
+                // Keep whether a value was set or cleared, never the value itself
+                change.before = change.before === null ? null : REDACTED;
+                change.after = change.after === null ? null : REDACTED;
+            }
+            return change;
+        });
+};
+
+// Fields the company wants redacted in its audit trail
+const getRedactedFields = async (companyId, session = null) => {
+    const company = await Company.findById(companyId).select('auditSettings').session(session).lean();
+    return company?.auditSettings?.redactFields || DEFAULT_REDACTED_FIELDS;
+};
+
+/**
+ * Append an audit entry for a mutation. Updates that change nothing are skipped.
+ * Inside a transaction a failed write aborts the caller; otherwise it is only logged,
+ * since the change it describes has already happened.
+ * @param {Object} req - Express request (actor, request id and IP are taken from it)
+ * @param {Object} entry - { entityType, entityId, action, before, after, company, actor, session }
+ * @returns {Promise<Object|null>} The audit entry, or null if nothing was written
+ */
+const recordAudit = async (req, { entityType, entityId, action, before = null, after = null, company, actor, session = null }) => {
+    try {
+        const companyId = company || req.user?.companyId;
+        const changes = diffChanges(before, after, await getRedactedFields(companyId, session));
+        if (action === 'update' && changes.length === 0) {
+            return null;
+        }
+
+        const [entry] = await AuditLog.create([{
+            company: companyId,
+            actor: actor !== undefined ? actor : req.user?.userId || null,
+            entityType,
+            entityId,
+            action,
+            changes,
+            requestId: req.requestId,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        }], { session });
+        return entry;
+    } catch (error) {
+        if (session) {
+            throw error;
+        }
+        console.error(`Error writing audit entry for ${entityType} ${entityId}:`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    DEFAULT_REDACTED_FIELDS,
+    diffChanges,
+    recordAudit
+};
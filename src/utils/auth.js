@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
@@ -23,8 +24,20 @@ const verifyPassword = async (password, hash) => {
     return await bcrypt.compare(password, hash);
 };
 
+// Random token for links sent to users (invites, password resets)
+const generateSecureToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are only ever stored hashed so a database leak can't be replayed
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
     generateCorporateEmail,
     generateToken,
-    verifyPassword
+    verifyPassword,
+    generateSecureToken,
+    hashToken
 };
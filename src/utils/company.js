@@ -0,0 +1,19 @@
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+
+/**
+ * Resolve the company a user belongs to
+ * @param {string} userId - User ID from the auth token
+ * @returns {Promise<Object|undefined>} Company ObjectId, if one could be found
+ */
+const getCompanyIdFromUser = async (userId) => {
+    const user = await User.findById(userId).select('company').lean();
+    if (user?.company) return user.company;
+    // Fallback: Check Employee record if User doesn't have company directly
+    const employee = await Employee.findOne({ userId }).select('company').lean();
+    return employee?.company;
+};
+
+module.exports = {
+    getCompanyIdFromUser
+};
@@ -0,0 +1,76 @@
+/**
+ * Quote a value for CSV. Cells that a spreadsheet would run as a formula are
+ * prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {string[]} headers - Header row
+ * @param {Array<Array>} rows - Data rows, in header order
+ * @returns {string} CSV text
+ */
+const toCsv = (headers, rows) => {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ * @param {string} text - CSV document
+ * @returns {string[][]} Rows of cells; blank lines are skipped
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsv,
+    parseCsv
+};
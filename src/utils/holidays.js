@@ -0,0 +1,211 @@
+const Holiday = require('../models/Holiday');
+const { parseEvents } = require('./ical');
+const { parseCsv } = require('./csv');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Date of the nth (or, with week -1, the last) weekday of a month
+const nthWeekdayOfMonth = (year, month, weekday, week) => {
+    if (week === -1) {
+        const last = utcDate(year, month + 1, 0);
+        return new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * MS_PER_DAY);
+    }
+    const first = utcDate(year, month, 1);
+    const date = new Date(first.getTime() + (((weekday - first.getUTCDay() + 7) % 7) + (week - 1) * 7) * MS_PER_DAY);
+    return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+// Date a recurring holiday falls on in a given year, or null if it doesn't occur
+const occurrenceInYear = (holiday, year) => {
+    const start = new Date(holiday.date);
+    const { rule, month, day, weekday, week, untilYear } = holiday.recurrence;
+    if (year < start.getUTCFullYear() || (untilYear && year > untilYear)) return null;
+
+    if (rule === 'fixed_date') {
+        const targetMonth = month || start.getUTCMonth() + 1;
+        const targetDay = day || start.getUTCDate();
+        const date = utcDate(year, targetMonth, targetDay);
+        // 29 February only exists in leap years
+        return date.getUTCMonth() === targetMonth - 1 ? date : null;
+    }
+    if (rule === 'nth_weekday') {
+        return nthWeekdayOfMonth(year, month || start.getUTCMonth() + 1, weekday, week);
+    }
+    return null;
+};
+
+/**
+ * Days a holiday falls on within a range
+ * @param {Object} holiday - Holiday document
+ * @param {Date|string} from - First day
+ * @param {Date|string} to - Last day
+ * @returns {Date[]}
+ */
+const expandHoliday = (holiday, from, to) => {
+    const first = new Date(toDateKey(from));
+    const last = new Date(toDateKey(to));
+
+    if (!holiday.recurrence?.rule || holiday.recurrence.rule === 'none') {
+        const date = new Date(holiday.date);
+        return date >= first && date <= last ? [date] : [];
+    }
+
+    const dates = [];
+    for (let year = first.getUTCFullYear(); year <= last.getUTCFullYear(); year++) {
+        const date = occurrenceInYear(holiday, year);
+        if (date && date >= first && date <= last && date >= new Date(holiday.date)) {
+            dates.push(date);
+        }
+    }
+    return dates;
+};
+
+/**
+ * Holiday occurrences of a company in a range, sorted by date
+ * @param {string} companyId - Company ID
+ * @param {Date|string} from - First day
+ * @param {Date|string} to - Last day
+ * @param {Object} options - { region }: company-wide holidays plus this region's;
+ *   undefined returns every region, null only company-wide ones
+ * @returns {Promise<Array<{date: string, name: string, region: string|null, holiday: string, recurring: boolean}>>}
+ */
+const getHolidayOccurrences = async (companyId, from, to, { region } = {}) => {
+    const query = {
+        company: companyId,
+        date: { $lte: new Date(toDateKey(to)) },
+        $or: [
+            { date: { $gte: new Date(toDateKey(from)) } },
+            { 'recurrence.rule': { $in: ['fixed_date', 'nth_weekday'] } }
+        ]
+    };
+    if (region !== undefined) {
+        query.region = { $in: region ? [null, region] : [null] };
+    }
+
+    const holidays = await Holiday.find(query).lean();
+    return holidays
+        .flatMap(holiday => expandHoliday(holiday, from, to).map(date => ({
+            date: toDateKey(date),
+            name: holiday.name,
+            region: holiday.region,
+            holiday: holiday._id,
+            recurring: holiday.recurrence?.rule !== 'none'
+        })))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Holiday dates an employee observes in a range
+ * @param {string} companyId - Company ID
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @param {string|null} region - Employee region
+ * @returns {Promise<Date[]>}
+ */
+const getHolidayDates = async (companyId, from, to, region = null) => {
+    const occurrences = await getHolidayOccurrences(companyId, from, to, { region });
+    return [...new Set(occurrences.map(occurrence => occurrence.date))].map(key => new Date(key));
+};
+
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Recurrence of a holiday from an iCalendar RRULE (only yearly rules map onto holidays)
+const recurrenceFromRule = (rrule, start) => {
+    if (!rrule || rrule.FREQ !== 'YEARLY') return { rule: 'none' };
+
+    const untilYear = rrule.UNTIL ? Number(rrule.UNTIL.slice(0, 4)) : undefined;
+    const month = rrule.BYMONTH ? Number(rrule.BYMONTH.split(',')[0]) : Number(start.slice(5, 7));
+    const byDay = /^([+-]?\d)?([A-Z]{2})$/.exec((rrule.BYDAY || '').split(',')[0]);
+    if (byDay) {
+        const week = Number(byDay[1] || rrule.BYSETPOS || 1);
+        return { rule: 'nth_weekday', month, weekday: ICAL_WEEKDAYS.indexOf(byDay[2]), week, untilYear };
+    }
+    const day = rrule.BYMONTHDAY ? Number(rrule.BYMONTHDAY.split(',')[0]) : Number(start.slice(8, 10));
+    return { rule: 'fixed_date', month, day, untilYear };
+};
+
+/**
+ * Holidays described by an iCalendar file. Multi-day one-off events become one holiday per day.
+ * @param {string} text - .ics content
+ * @returns {Object} { holidays: [{ name, date, recurrence }], errors: string[] }
+ */
+const holidaysFromIcs = (text) => {
+    const holidays = [];
+    const errors = [];
+
+    parseEvents(text).forEach((event, index) => {
+        const name = event.summary || `Holiday ${index + 1}`;
+        if (!event.start || Number.isNaN(Date.parse(event.start))) {
+            errors.push(`${name}: invalid date "${event.start || ''}"`);
+            return;
+        }
+        if (event.rrule && event.rrule.FREQ !== 'YEARLY') {
+            errors.push(`${name}: only yearly recurrence is supported, imported as a single day`);
+        }
+        const recurrence = recurrenceFromRule(event.rrule, event.start);
+        if (recurrence.weekday === -1) {
+            errors.push(`${name}: unknown weekday "${event.rrule.BYDAY}"`);
+            return;
+        }
+        if (recurrence.rule !== 'none' || !event.end || event.end <= event.start) {
+            holidays.push({ name, date: event.start, recurrence });
+            return;
+        }
+        for (let time = Date.parse(event.start); time < Date.parse(event.end); time += MS_PER_DAY) {
+            holidays.push({ name, date: toDateKey(time), recurrence });
+        }
+    });
+
+    return { holidays, errors };
+};
+
+/**
+ * Holidays from a CSV file with the columns date, name and optionally region and
+ * recurring (yes/true to repeat on the same day every year)
+ * @param {string} text - CSV content with a header row
+ * @returns {Object} { holidays: [{ name, date, region, recurrence }], errors: string[] }
+ */
+const holidaysFromCsv = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim().toLowerCase());
+    const holidays = [];
+    const errors = [];
+
+    if (!columns.includes('date') || !columns.includes('name')) {
+        return { holidays, errors: ['CSV must have date and name columns'] };
+    }
+
+    rows.forEach((cells, index) => {
+        const row = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()]));
+        const line = index + 2;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || Number.isNaN(Date.parse(row.date))) {
+            errors.push(`Line ${line}: invalid date "${row.date}" (expected YYYY-MM-DD)`);
+            return;
+        }
+        if (!row.name) {
+            errors.push(`Line ${line}: name is required`);
+            return;
+        }
+        holidays.push({
+            name: row.name,
+            date: row.date,
+            region: row.region || null,
+            recurrence: { rule: /^(yes|true|1|yearly)$/i.test(row.recurring || '') ? 'fixed_date' : 'none' }
+        });
+    });
+
+    return { holidays, errors };
+};
+
+module.exports = {
+    holidaysFromIcs,
+    holidaysFromCsv,
+    nthWeekdayOfMonth,
+    expandHoliday,
+    getHolidayOccurrences,
+    getHolidayDates
+};
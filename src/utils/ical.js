@@ -0,0 +1,119 @@
+// Minimal iCalendar (RFC 5545) support: enough to read holiday calendars
+// exported by common calendar apps and to publish all-day event feeds.
+
+// Join folded lines (continuations start with a space or tab)
+const unfold = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const unescapeText = (value) => value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// 'YYYYMMDD' or 'YYYYMMDDTHHMMSS[Z]' -> 'YYYY-MM-DD'
+const parseDateValue = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// 'FREQ=YEARLY;BYMONTH=9;BYDAY=1MO' -> { FREQ: 'YEARLY', BYMONTH: '9', BYDAY: '1MO' }
+const parseRule = (value) => Object.fromEntries(value.split(';')
+    .map(part => part.split('='))
+    .filter(([key, item]) => key && item !== undefined)
+    .map(([key, item]) => [key.toUpperCase(), item]));
+
+/**
+ * Events of an iCalendar document
+ * @param {string} text - .ics content
+ * @returns {Array<{summary: string, start: string, end: string|null, rrule: Object|null}>}
+ *   Dates as 'YYYY-MM-DD'; end is exclusive as in the file
+ */
+const parseEvents = (text) => {
+    const events = [];
+    let event = null;
+
+    for (const line of unfold(text)) {
+        if (line === 'BEGIN:VEVENT') {
+            event = { summary: '', start: null, end: null, rrule: null };
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (event?.start) events.push(event);
+            event = null;
+            continue;
+        }
+        if (!event) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (name === 'SUMMARY') event.summary = unescapeText(value).trim();
+        else if (name === 'DTSTART') event.start = parseDateValue(value);
+        else if (name === 'DTEND') event.end = parseDateValue(value);
+        else if (name === 'RRULE') event.rrule = parseRule(value);
+    }
+
+    return events;
+};
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/[,;]/g, match => `\\${match}`)
+    .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets (continuations start with a space)
+const fold = (line) => {
+    const parts = [];
+    let rest = Buffer.from(line, 'utf8');
+    const limit = () => (parts.length === 0 ? 75 : 74);
+    while (rest.length > limit()) {
+        let cut = limit();
+        // Don't split a multi-byte character
+        while ((rest[cut] & 0xC0) === 0x80) cut--;
+        parts.push(rest.subarray(0, cut).toString('utf8'));
+        rest = rest.subarray(cut);
+    }
+    parts.push(rest.toString('utf8'));
+    return parts.join('\r\n ');
+};
+
+// 'YYYY-MM-DD' -> 'YYYYMMDD'
+const formatDateValue = (date) => date.replace(/-/g, '');
+
+/**
+ * Serialize all-day events as an iCalendar document
+ * @param {Object} calendar - { name, events: [{ uid, start, end, summary, description, status }] }
+ *   Dates as 'YYYY-MM-DD'; end is exclusive
+ * @returns {string} .ics content
+ */
+const buildCalendar = ({ name, events }) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//QuantumSphere//HRMS//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@quantumsphere`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatDateValue(event.start)}`,
+            `DTEND;VALUE=DATE:${formatDateValue(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.status) lines.push(`STATUS:${event.status}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseEvents,
+    buildCalendar
+};
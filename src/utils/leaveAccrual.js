@@ -0,0 +1,188 @@
+const Employee = require('../models/Employee');
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveLedger = require('../models/LeaveLedger');
+const { getLeaveSettings, getLeaveYear, getLeaveYearRange, postLedgerEntry, syncLeaveBalance } = require('./leaveLedger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addMonths = (date, months) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Accrual periods of a leave year as [{ start, end }] (end exclusive)
+ * @param {string} accrual - Policy accrual: upfront, monthly or pay_period
+ * @param {Object} settings - Company leave settings (payPeriod, payPeriodAnchor)
+ * @param {Object} range - { start, end } of the leave year
+ */
+const getAccrualPeriods = (accrual, settings, { start, end }) => {
+    if (accrual === 'upfront') {
+        return [{ start, end }];
+    }
+
+    const periods = [];
+    const payPeriod = accrual === 'monthly' ? 'monthly' : settings.payPeriod;
+
+    if (payPeriod === 'monthly' || payPeriod === 'semi_monthly') {
+        for (let month = start; month < end; month = addMonths(month, 1)) {
+            const next = addMonths(month, 1);
+            if (payPeriod === 'monthly') {
+                periods.push({ start: month, end: next });
+            } else {
+                const middle = new Date(month.getTime() + 15 * MS_PER_DAY);
+                periods.push({ start: month, end: middle }, { start: middle, end: next });
+            }
+        }
+        return periods;
+    }
+
+    // Weekly and biweekly periods run from the anchor date; the year gets the periods starting in it
+    const length = (payPeriod === 'weekly' ? 7 : 14) * MS_PER_DAY;
+    const anchor = settings.payPeriodAnchor ? new Date(toDateKey(new Date(settings.payPeriodAnchor))) : start;
+    let periodStart = anchor.getTime() + Math.ceil((start.getTime() - anchor.getTime()) / length) * length;
+    for (; periodStart < end.getTime(); periodStart += length) {
+        periods.push({ start: new Date(periodStart), end: new Date(periodStart + length) });
+    }
+    return periods;
+};
+
+// Share of a period the employee was employed for (all or nothing without pro-rating)
+const employedFraction = (period, joinDate, proRate) => {
+    if (!joinDate || joinDate <= period.start) return 1;
+    if (joinDate >= period.end) return 0;
+    return proRate ? (period.end - joinDate) / (period.end - period.start) : 1;
+};
+
+/**
+ * Post the grants or accruals an employee has earned in a leave year up to a date.
+ * Upfront grants are posted once the year (or employment) has started; periodic
+ * accruals once their period has ended. Already-posted periods are skipped.
+ * @returns {Promise<number>} Entries posted
+ */
+const accrueLeaveYear = async (employee, policy, settings, leaveYear, asOf) => {
+    const range = getLeaveYearRange(leaveYear, settings.yearStartMonth);
+    const effectiveFrom = policy.effectiveFrom ? new Date(policy.effectiveFrom) : range.start;
+    if (range.end <= effectiveFrom) return 0;
+
+    const joinDate = employee.joinDate ? new Date(toDateKey(new Date(employee.joinDate))) : null;
+    const periods = getAccrualPeriods(policy.accrual, settings, range);
+    const perPeriod = policy.entitlementDays / periods.length;
+
+    let posted = 0;
+    for (const period of periods) {
+        const due = policy.accrual === 'upfront'
+            ? asOf >= period.start && (!joinDate || asOf >= joinDate)
+            : asOf >= period.end;
+        if (!due || period.end <= effectiveFrom) continue;
+
+        const days = round(perPeriod * employedFraction(period, joinDate, policy.proRate));
+        if (days <= 0) continue;
+
+        const entry = await postLedgerEntry({
+            company: employee.company,
+            employee: employee._id,
+            type: policy.type,
+            leaveYear,
+            entryType: policy.accrual === 'upfront' ? 'grant' : 'accrual',
+            days,
+            reason: policy.accrual === 'upfront'
+                ? `${policy.type} entitlement for ${leaveYear}`
+                : `${policy.type} accrual for ${toDateKey(period.start)} to ${toDateKey(new Date(period.end - MS_PER_DAY))}`,
+            periodKey: `${policy.type}:${policy.accrual === 'upfront' ? 'grant' : 'accrual'}:${toDateKey(period.start)}`,
+            effectiveDate: policy.accrual === 'upfront' ? period.start : period.end
+        });
+        if (entry) posted++;
+    }
+    return posted;
+};
+
+/**
+ * Close a finished leave year: carry unused days up to the policy's cap into the
+ * next year and expire the rest
+ * @returns {Promise<number>} Entries posted
+ */
+const closeLeaveYear = async (employee, policy, settings, leaveYear) => {
+    const [totals] = await LeaveLedger.aggregate([
+        { $match: { employee: employee._id, type: policy.type, leaveYear } },
+        { $group: { _id: null, days: { $sum: '$days' } } }
+    ]);
+    const remaining = round(totals?.days || 0);
+    if (remaining <= 0) return 0;
+
+    const cap = policy.carryOver?.maxDays;
+    const carried = cap === null || cap === undefined ? remaining : Math.min(remaining, cap);
+    const expired = round(remaining - carried);
+    const nextYearStart = getLeaveYearRange(leaveYear + 1, settings.yearStartMonth).start;
+    const base = { company: employee.company, employee: employee._id, type: policy.type, effectiveDate: nextYearStart };
+
+    const entries = [];
+    if (expired > 0) {
+        entries.push({ ...base, leaveYear, entryType: 'expiry', days: -expired, reason: `Unused ${policy.type} leave expired at the end of ${leaveYear}`, periodKey: `${policy.type}:expiry:${leaveYear}` });
+    }
+    if (carried > 0) {
+        entries.push(
+            { ...base, leaveYear, entryType: 'carry_over', days: -carried, reason: `Carried over to ${leaveYear + 1}`, periodKey: `${policy.type}:carry_out:${leaveYear}` },
+            { ...base, leaveYear: leaveYear + 1, entryType: 'carry_over', days: carried, reason: `Carried over from ${leaveYear}`, periodKey: `${policy.type}:carry_in:${leaveYear}` }
+        );
+    }
+
+    let posted = 0;
+    for (const entry of entries) {
+        if (await postLedgerEntry(entry)) posted++;
+    }
+    return posted;
+};
+
+/**
+ * Run accrual for every active employee of one company (or all companies with policies)
+ * @param {Object} options - { companyId, asOf }
+ * @returns {Promise<Object>} { employees, entries }
+ */
+const runLeaveAccrual = async ({ companyId = null, asOf = new Date() } = {}) => {
+    const policies = await LeavePolicy.find({ isActive: true, ...(companyId && { company: companyId }) }).lean();
+    const byCompany = new Map();
+    policies.forEach(policy => {
+        const key = policy.company.toString();
+        byCompany.set(key, [...(byCompany.get(key) || []), policy]);
+    });
+
+    let employeesProcessed = 0;
+    let entries = 0;
+    for (const [company, companyPolicies] of byCompany) {
+        const settings = await getLeaveSettings(company);
+        const leaveYear = getLeaveYear(asOf, settings.yearStartMonth);
+        const employees = await Employee.find({ company, status: { $ne: 'inactive' } })
+            .select('company joinDate')
+            .lean();
+
+        for (const employee of employees) {
+            const posted = entries;
+            for (const policy of companyPolicies) {
+                try {
+                    // Earn what's left of last year before closing it, then this year's share
+                    entries += await accrueLeaveYear(employee, policy, settings, leaveYear - 1, asOf);
+                    entries += await closeLeaveYear(employee, policy, settings, leaveYear - 1);
+                    entries += await accrueLeaveYear(employee, policy, settings, leaveYear, asOf);
+                } catch (error) {
+                    console.error(`Leave accrual failed for employee ${employee._id} (${policy.type}):`, error);
+                }
+            }
+            if (entries > posted) {
+                await syncLeaveBalance(employee._id).catch(error =>
+                    console.error(`Leave balance refresh failed for employee ${employee._id}:`, error));
+            }
+            employeesProcessed++;
+        }
+    }
+
+    return { employees: employeesProcessed, entries };
+};
+
+module.exports = {
+    getAccrualPeriods,
+    accrueLeaveYear,
+    closeLeaveYear,
+    runLeaveAccrual
+};
@@ -0,0 +1,235 @@
+const Employee = require('../models/Employee');
+const Department = require('../models/Department');
+const Leave = require('../models/Leave');
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
+const { hasPermission } = require('./permissions');
+const { toDateKey } = require('./leaveDuration');
+
+// Used when a company has not configured a chain: the direct manager decides
+const DEFAULT_APPROVAL_STEPS = [{ approverType: 'reporting_manager', minDays: 0 }];
+
+/**
+ * Configured approval steps for a leave type (the type's chain, else the company default)
+ * @param {string} companyId - Company ID
+ * @param {string} type - Leave type
+ * @returns {Promise<Array>} Chain steps
+ */
+const getApprovalChain = async (companyId, type) => {
+    const chains = await LeaveApprovalChain.find({ company: companyId, type: { $in: [type, null] } }).lean();
+    const chain = chains.find(candidate => candidate.type === type) || chains.find(candidate => candidate.type === null);
+    return chain ? chain.steps : DEFAULT_APPROVAL_STEPS;
+};
+
+// Employee who decides a chain step for this employee, if the step names one
+const resolveApprover = async (step, employee) => {
+    switch (step.approverType) {
+        case 'reporting_manager':
+            return employee.reportingManager || null;
+        case 'second_level_manager': {
+            if (!employee.reportingManager) return null;
+            const manager = await Employee.findById(employee.reportingManager).select('reportingManager').lean();
+            return manager?.reportingManager || null;
+        }
+        case 'department_manager': {
+            if (!employee.department) return null;
+            const department = await Department.findOne({ _id: employee.department, company: employee.company }).select('manager').lean();
+            return department?.manager || null;
+        }
+        case 'employee':
+            return await Employee.exists({ _id: step.employee, company: employee.company }) ? step.employee : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Resolve the approval steps of a leave from its company's chain. Steps below their
+ * minDays, steps without an approver and repeats of the previous approver are left
+ * out; if nothing is left, anyone with leave.approve decides.
+ * @param {Object} leave - Leave with type and duration
+ * @param {Object} employee - Requesting employee (company, reportingManager, department)
+ * @returns {Promise<Array>} Leave approvalSteps
+ */
+const buildApprovalSteps = async (leave, employee) => {
+    const chain = await getApprovalChain(employee.company, leave.type);
+    const days = leave.duration?.days ?? 0;
+
+    const steps = [];
+    for (const step of chain) {
+        if (step.minDays && days <= step.minDays) continue;
+
+        if (step.approverType === 'role') {
+            steps.push({ approverType: 'role', role: step.role });
+            continue;
+        }
+
+        const approver = await resolveApprover(step, employee);
+        const previous = steps[steps.length - 1];
+        if (!approver || approver.toString() === employee._id.toString() ||
+            previous?.approver?.toString() === approver.toString()) {
+            continue;
+        }
+        steps.push({ approverType: step.approverType, approver });
+    }
+
+    return steps.length > 0 ? steps : [{ approverType: 'fallback' }];
+};
+
+// The step of a leave (or change request) waiting for a decision, if any
+const getCurrentStep = (target) => {
+    return (target.approvalSteps || []).find(step => step.decision === 'pending') || null;
+};
+
+/**
+ * Who is away today among some approvers (on leave, or no longer active), and who
+ * stands in for them: their delegate, or else their manager. Two queries however
+ * many approvers there are.
+ * @param {Array} approverIds - Employee IDs (missing ones are skipped)
+ * @returns {Promise<Map>} Approver ID -> { away, delegate }
+ */
+const getApproverAvailability = async (approverIds) => {
+    const ids = [...new Set(approverIds.filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) return new Map();
+
+    const today = new Date(toDateKey(new Date()));
+    const [approvers, leaves] = await Promise.all([
+        Employee.find({ _id: { $in: ids } }).select('status approvalDelegate reportingManager').lean(),
+        Leave.find({ employee: { $in: ids }, status: 'approved', startDate: { $lte: today }, endDate: { $gte: today } })
+            .select('employee')
+            .lean()
+    ]);
+    const onLeave = new Set(leaves.map(leave => leave.employee.toString()));
+    return new Map(approvers.map(approver => [approver._id.toString(), {
+        away: ['on_leave', 'inactive'].includes(approver.status) || onLeave.has(approver._id.toString()),
+        delegate: approver.approvalDelegate || approver.reportingManager || null
+    }]));
+};
+
+/**
+ * Employee who stands in for an approver today: the approver's delegate (or their
+ * manager) while they are away. Returns null when nobody stands in.
+ * @param {string} approverId - Step approver
+ * @returns {Promise<string|null>} Delegate employee ID
+ */
+const getActiveDelegate = async (approverId) => {
+    const approver = (await getApproverAvailability([approverId])).get(approverId?.toString());
+    return approver?.away ? approver.delegate : null;
+};
+
+/**
+ * How a user may decide a leave's step. 'approver': the step's approver or their
+ * active delegate, a member of the step's role, or, for fallback steps (and away
+ * approvers without a delegate), anyone with leave.approve. 'override': anyone else
+ * with leave.manage, e.g. for a step whose approver left. Nobody decides their own leave.
+ * @param {Object} user - req.user
+ * @param {Object} leave - Leave
+ * @param {Object} step - One of leave.approvalSteps
+ * @param {Object} options - { approvers }: availability already loaded with getApproverAvailability
+ * @returns {Promise<string|null>} 'approver', 'override' or null
+ */
+const getStepAuthority = async (user, leave, step, { approvers = null } = {}) => {
+    const requesterId = (leave.employee?._id || leave.employee)?.toString();
+    if (!step || !user?.employeeId || user.employeeId.toString() === requesterId) {
+        return null;
+    }
+    const override = hasPermission(user, 'leave.manage') ? 'override' : null;
+    const employeeId = user.employeeId.toString();
+
+    if (step.approverType === 'role') {
+        return user.role === step.role || user.customRole === step.role ? 'approver' : override;
+    }
+    if (step.approverType === 'fallback') {
+        return hasPermission(user, 'leave.approve') ? 'approver' : override;
+    }
+    if (step.approver?.toString() === employeeId) {
+        return 'approver';
+    }
+    const approver = (approvers || await getApproverAvailability([step.approver])).get(step.approver?.toString());
+    if (!approver?.away) {
+        return override;
+    }
+    const standsIn = approver.delegate ? approver.delegate.toString() === employeeId : hasPermission(user, 'leave.approve');
+    return standsIn ? 'approver' : override;
+};
+
+// Whether a user may decide a leave's step at all (see getStepAuthority)
+const canActOnStep = async (user, leave, step, options) => !!await getStepAuthority(user, leave, step, options);
+
+/**
+ * Record a decision on the current step of a leave or change request
+ * @param {Object} target - Leave or change request with approvalSteps
+ * @param {Object} user - Deciding user (req.user)
+ * @param {string} decision - approved or rejected
+ * @param {string} comments - Approver's comment
+ * @param {Object} options - { override }: decided under a leave.manage override
+ * @returns {Object} The decided step
+ */
+const decideCurrentStep = (target, user, decision, comments = '', { override = false } = {}) => {
+    const step = getCurrentStep(target);
+    step.decision = decision;
+    step.decidedBy = user.employeeId;
+    step.decidedAt = new Date();
+    step.comments = comments || '';
+    step.override = override;
+    return step;
+};
+
+/**
+ * Record a decision on the leave's current step. A rejection rejects the leave;
+ * approving the last step approves it.
+ * @param {Object} leave - Leave document
+ * @param {Object} user - Deciding user (req.user)
+ * @param {string} decision - approved or rejected
+ * @param {string} comments - Approver's comment
+ * @param {Object} options - { override }: decided under a leave.manage override
+ * @returns {Object} The decided step
+ */
+const recordStepDecision = (leave, user, decision, comments = '', options = {}) => {
+    const step = decideCurrentStep(leave, user, decision, comments, options);
+
+    if (step.approverType === 'reporting_manager') {
+        leave.managerApproval = {
+            status: decision,
+            approvedBy: user.employeeId,
+            approvedAt: step.decidedAt,
+            comments: step.comments
+        };
+    }
+    if (decision === 'rejected' || !getCurrentStep(leave)) {
+        leave.status = decision;
+    }
+    return step;
+};
+
+/**
+ * Employees to notify that a step is waiting for them
+ * @param {Object} step - Leave approval step
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array>} Employees with firstName and email
+ */
+const getStepApprovers = async (step, companyId) => {
+    if (!step) return [];
+    if (step.approver) {
+        const delegate = await getActiveDelegate(step.approver);
+        return Employee.find({ _id: delegate || step.approver, company: companyId }).select('firstName email').lean();
+    }
+    // Built-in role members (custom role holders see the request in their approval queue)
+    const roles = step.approverType === 'role' ? [step.role] : ['admin', 'hr'];
+    return Employee.find({ company: companyId, role: { $in: roles }, status: { $ne: 'inactive' } })
+        .select('firstName email')
+        .lean();
+};
+
+module.exports = {
+    DEFAULT_APPROVAL_STEPS,
+    getApprovalChain,
+    buildApprovalSteps,
+    getCurrentStep,
+    getApproverAvailability,
+    getActiveDelegate,
+    getStepAuthority,
+    canActOnStep,
+    decideCurrentStep,
+    recordStepDecision,
+    getStepApprovers
+};
@@ -0,0 +1,68 @@
+const LeavePolicy = require('../models/LeavePolicy');
+const { hasPermission } = require('./permissions');
+const { canActOnStep, getCurrentStep } = require('./leaveApproval');
+
+const MAX_ATTACHMENT_BYTES = (parseFloat(process.env.LEAVE_ATTACHMENT_MAX_MB) || 5) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_LEAVE = 5;
+
+// Accepted file types and the bytes their content starts with
+const ATTACHMENT_SIGNATURES = {
+    'application/pdf': [Buffer.from('%PDF')],
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]
+};
+const ATTACHMENT_MIME_TYPES = Object.keys(ATTACHMENT_SIGNATURES);
+
+// Whether a file's content matches the type it was uploaded as
+const matchesMimeType = (data, mimeType) => {
+    return (ATTACHMENT_SIGNATURES[mimeType] || [])
+        .some(signature => data.subarray(0, signature.length).equals(signature));
+};
+
+/**
+ * Whether the leave's type policy asks for a supporting document at its length
+ * (e.g. sick leave over 2 days). Types without an active policy never do.
+ * @param {Object} leave - Leave with type and duration
+ * @param {string} companyId - Company of the leave's employee
+ * @returns {Promise<boolean>}
+ */
+const isAttachmentRequired = async (leave, companyId) => {
+    const policy = await LeavePolicy.findOne({ company: companyId, type: leave.type, isActive: true })
+        .select('attachmentRequiredOverDays')
+        .lean();
+    const overDays = policy?.attachmentRequiredOverDays;
+    return overDays != null && (leave.duration?.days ?? 0) > overDays;
+};
+
+/**
+ * Who may open a leave's attachments: the employee, anyone with leave.read (HR),
+ * approvers who decided one of its steps and whoever can decide the current step
+ * of the leave or its open change request
+ * @param {Object} user - req.user
+ * @param {Object} leave - Leave document
+ * @returns {Promise<boolean>}
+ */
+const canViewAttachments = async (user, leave) => {
+    const employeeId = user.employeeId?.toString();
+    if (employeeId && (leave.employee?._id || leave.employee)?.toString() === employeeId) return true;
+    if (hasPermission(user, 'leave.read')) return true;
+
+    const targets = [leave, ...(leave.changeRequests || [])];
+    const steps = targets.flatMap(target => target.approvalSteps || []);
+    if (employeeId && steps.some(step => step.approver?.toString() === employeeId || step.decidedBy?.toString() === employeeId)) {
+        return true;
+    }
+    for (const target of targets) {
+        if (await canActOnStep(user, leave, getCurrentStep(target))) return true;
+    }
+    return false;
+};
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_LEAVE,
+    ATTACHMENT_MIME_TYPES,
+    matchesMimeType,
+    isAttachmentRequired,
+    canViewAttachments
+};
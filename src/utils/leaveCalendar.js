@@ -0,0 +1,117 @@
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const { hasPermission } = require('./permissions');
+const { getHolidayOccurrences } = require('./holidays');
+const { toDateKey } = require('./leaveDuration');
+const { buildCalendar } = require('./ical');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Company employees whose leaves the user may list: all with leave.read, otherwise self and direct reports
+const getVisibleEmployeeIds = async (user, companyEmployeeIds) => {
+    if (hasPermission(user, 'leave.read')) return companyEmployeeIds;
+    const reports = hasPermission(user, 'team.read')
+        ? await Employee.find({ reportingManager: user.employeeId }).select('_id').lean()
+        : [];
+    const visible = new Set([user.employeeId, ...reports.map(emp => emp._id.toString())].filter(Boolean).map(String));
+    return companyEmployeeIds.filter(id => visible.has(id.toString()));
+};
+
+/**
+ * Leaves and holidays in a date window, grouped by employee. Only employees the
+ * user may see are included, optionally narrowed to a department or a manager's reports.
+ * @param {Object} user - req.user (or the auth context of a feed's owner)
+ * @param {Object} options - { from, to, department, manager, statuses }
+ * @returns {Promise<Object>} { from, to, employees: [{ employee, leaves }], holidays }
+ */
+const getLeaveCalendar = async (user, { from, to, department = null, manager = null, statuses = ['approved', 'pending'] }) => {
+    const filter = { company: user.companyId, status: { $ne: 'inactive' } };
+    if (department) filter.department = department;
+    if (manager) filter.reportingManager = manager;
+
+    const companyEmployees = await Employee.find(filter)
+        .select('firstName lastName department region')
+        .populate('department', 'name')
+        .sort({ firstName: 1, lastName: 1 })
+        .lean();
+    const visibleIds = new Set((await getVisibleEmployeeIds(user, companyEmployees.map(emp => emp._id))).map(String));
+    const employees = companyEmployees.filter(emp => visibleIds.has(emp._id.toString()));
+
+    const leaves = await Leave.find({
+        employee: { $in: employees.map(emp => emp._id) },
+        status: { $in: statuses },
+        startDate: { $lte: new Date(toDateKey(to)) },
+        endDate: { $gte: new Date(toDateKey(from)) }
+    })
+        .select('employee type status startDate endDate startHalfDay endHalfDay hours duration')
+        .sort({ startDate: 1 })
+        .lean();
+
+    const leavesByEmployee = new Map();
+    leaves.forEach(leave => {
+        const key = leave.employee.toString();
+        leavesByEmployee.set(key, [...(leavesByEmployee.get(key) || []), leave]);
+    });
+
+    return {
+        from: toDateKey(from),
+        to: toDateKey(to),
+        employees: employees.map(employee => ({
+            employee,
+            leaves: leavesByEmployee.get(employee._id.toString()) || []
+        })),
+        holidays: await getHolidayOccurrences(user.companyId, from, to)
+    };
+};
+
+// How much of the day a leave takes, for event titles
+const describeLeavePart = (leave) => {
+    if (leave.hours) return ` (${leave.hours}h)`;
+    if (leave.startHalfDay || leave.endHalfDay) return ' (half day)';
+    return '';
+};
+
+/**
+ * iCalendar feed of a user's leave calendar: the leaves they can see and the
+ * holidays of their region, from 90 days back to a year ahead
+ * @param {Object} user - Auth context of the feed's owner
+ * @returns {Promise<string>} .ics content
+ */
+const buildLeaveFeed = async (user) => {
+    const today = new Date(toDateKey(new Date()));
+    const from = new Date(today.getTime() - 90 * MS_PER_DAY);
+    const to = new Date(today.getTime() + 365 * MS_PER_DAY);
+
+    const [calendar, self] = await Promise.all([
+        getLeaveCalendar(user, { from, to }),
+        user.employeeId ? Employee.findById(user.employeeId).select('region').lean() : null
+    ]);
+    const region = self?.region || null;
+
+    const events = calendar.employees.flatMap(({ employee, leaves }) => leaves.map(leave => ({
+        uid: `leave-${leave._id}`,
+        start: toDateKey(leave.startDate),
+        end: toDateKey(new Date(new Date(leave.endDate).getTime() + MS_PER_DAY)),
+        summary: `${employee.firstName} ${employee.lastName}: ${leave.type} leave${describeLeavePart(leave)}`
+            + (leave.status === 'pending' ? ' (pending)' : ''),
+        status: leave.status === 'approved' ? 'CONFIRMED' : 'TENTATIVE'
+    })));
+
+    calendar.holidays
+        .filter(holiday => !holiday.region || holiday.region === region)
+        .forEach(holiday => events.push({
+            uid: `holiday-${holiday.holiday}-${holiday.date}`,
+            start: holiday.date,
+            end: toDateKey(new Date(Date.parse(holiday.date) + MS_PER_DAY)),
+            summary: holiday.name,
+            status: 'CONFIRMED'
+        }));
+
+    return buildCalendar({ name: 'Leave calendar', events });
+};
+
+module.exports = {
+    getVisibleEmployeeIds,
+    getLeaveCalendar,
+    buildLeaveFeed
+};
@@ -0,0 +1,206 @@
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const LeaveLedger = require('../models/LeaveLedger');
+const LeavePolicy = require('../models/LeavePolicy');
+const { computeLeaveDuration, toDateKey } = require('./leaveDuration');
+const { getLeaveSettings, getLeaveYear, getBalances } = require('./leaveLedger');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Leaves that still hold their dates
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+/**
+ * Which part of each day a leave takes: half days are fixed to the morning or
+ * afternoon, hourly leave can fall anywhere in the day
+ * @returns {Map} date key -> { am, pm, flexible } (fractions of a day)
+ */
+const getDaySlots = (leave, breakdown) => {
+    const firstKey = toDateKey(leave.startDate);
+    const slots = new Map();
+    breakdown.forEach(({ date, fraction }) => {
+        if (leave.hours) {
+            slots.set(date, { am: 0, pm: 0, flexible: fraction });
+        } else if (fraction >= 1) {
+            slots.set(date, { am: 0.5, pm: 0.5, flexible: 0 });
+        } else if (date === firstKey && leave.startHalfDay) {
+            slots.set(date, { am: 0, pm: 0.5, flexible: 0 });
+        } else {
+            slots.set(date, { am: 0.5, pm: 0, flexible: 0 });
+        }
+    });
+    return slots;
+};
+
+const slotsClash = (a, b) => {
+    return a.am + b.am > 0.5 || a.pm + b.pm > 0.5 ||
+        a.am + a.pm + a.flexible + b.am + b.pm + b.flexible > 1;
+};
+
+/**
+ * The employee's other pending or approved leaves that take the same time
+ * @returns {Promise<Array>} [{ leave, status, startDate, endDate, dates }]
+ */
+const findOverlaps = async (leave, employee, breakdown) => {
+    const others = await Leave.find({
+        employee: employee._id,
+        _id: { $ne: leave._id },
+        status: { $in: ACTIVE_STATUSES },
+        startDate: { $lte: leave.endDate },
+        endDate: { $gte: leave.startDate }
+    }).lean();
+
+    const requested = getDaySlots(leave, breakdown);
+    const overlaps = [];
+    for (const other of others) {
+        const { breakdown: otherBreakdown } = await computeLeaveDuration(other, employee);
+        const dates = [...getDaySlots(other, otherBreakdown)]
+            .filter(([date, slot]) => requested.has(date) && slotsClash(requested.get(date), slot))
+            .map(([date]) => date);
+        if (dates.length > 0) {
+            overlaps.push({ leave: other._id, status: other.status, startDate: other.startDate, endDate: other.endDate, dates });
+        }
+    }
+    return overlaps;
+};
+
+/**
+ * Whether the balance covers the request in every leave year it touches. Pending
+ * requests of the same type are held back; what the leave itself already has
+ * deducted (when an approved leave is edited) is counted as available.
+ * Types without an active policy are not limited.
+ * @returns {Promise<Object|null>} { type, sufficient, years: [{ leaveYear, available, requested }] }
+ */
+const checkBalance = async (leave, employee, breakdown, settings) => {
+    const policy = await LeavePolicy.exists({ company: employee.company, type: leave.type, isActive: true });
+    if (!policy) return null;
+
+    const requestedByYear = new Map();
+    breakdown.forEach(({ date, fraction }) => {
+        const year = getLeaveYear(date, settings.yearStartMonth);
+        requestedByYear.set(year, (requestedByYear.get(year) || 0) + fraction);
+    });
+
+    const [pending, ownEntries] = await Promise.all([
+        Leave.find({ employee: employee._id, type: leave.type, status: 'pending', _id: { $ne: leave._id } })
+            .select('startDate duration')
+            .lean(),
+        leave._id ? LeaveLedger.find({ leave: leave._id, type: leave.type }).select('leaveYear days').lean() : []
+    ]);
+
+    const years = [];
+    for (const [leaveYear, requested] of requestedByYear) {
+        const balance = (await getBalances(employee._id, leaveYear)).find(entry => entry.type === leave.type);
+        const reserved = pending
+            .filter(other => getLeaveYear(other.startDate, settings.yearStartMonth) === leaveYear)
+            .reduce((sum, other) => sum + (other.duration?.days || 0), 0);
+        const alreadyCharged = ownEntries
+            .filter(entry => entry.leaveYear === leaveYear)
+            .reduce((sum, entry) => sum - entry.days, 0);
+        years.push({
+            leaveYear,
+            available: round((balance?.balance || 0) - reserved + alreadyCharged),
+            requested: round(requested)
+        });
+    }
+
+    return {
+        type: leave.type,
+        sufficient: years.every(year => year.requested <= year.available),
+        years
+    };
+};
+
+/**
+ * Days on which the requester's team (the manager's reports) or department would
+ * have more people off than the company allows, counting approved leave
+ * @returns {Promise<Array>} [{ date, scope, absent, size, percent }]
+ */
+const checkCoverage = async (leave, employee, breakdown, settings) => {
+    const groups = [];
+    if (settings.maxTeamAbsentPercent && employee.reportingManager) {
+        groups.push({ scope: 'team', limit: settings.maxTeamAbsentPercent, filter: { reportingManager: employee.reportingManager } });
+    }
+    if (settings.maxDepartmentAbsentPercent && employee.department) {
+        groups.push({ scope: 'department', limit: settings.maxDepartmentAbsentPercent, filter: { department: employee.department } });
+    }
+
+    const shortages = [];
+    for (const { scope, limit, filter } of groups) {
+        const members = await Employee.find({ ...filter, company: employee.company, status: { $ne: 'inactive' } }).select('_id').lean();
+        const size = members.length + (members.some(member => member._id.equals(employee._id)) ? 0 : 1);
+        if (size < settings.coverageMinGroupSize) continue;
+
+        const othersOff = await Leave.find({
+            employee: { $in: members.map(member => member._id).filter(id => !id.equals(employee._id)) },
+            status: 'approved',
+            startDate: { $lte: leave.endDate },
+            endDate: { $gte: leave.startDate }
+        }).select('employee startDate endDate').lean();
+
+        for (const { date } of breakdown) {
+            const absentees = new Set(othersOff
+                .filter(other => toDateKey(other.startDate) <= date && date <= toDateKey(other.endDate))
+                .map(other => other.employee.toString()));
+            const absent = absentees.size + 1;
+            const percent = round(absent / size * 100);
+            if (percent > limit) {
+                shortages.push({ date, scope, absent, size, percent });
+            }
+        }
+    }
+    return shortages;
+};
+
+/**
+ * Check a leave request before it is saved: overlaps with the employee's other
+ * leaves and an insufficient balance are errors; coverage shortages are errors
+ * or warnings depending on the company's coverageEnforcement.
+ * @param {Object} leave - Leave (saved or not) with employee, dates and type
+ * @returns {Promise<Object>} { overlaps, balance, coverage, enforcement, errors, warnings }
+ */
+const checkLeaveConflicts = async (leave) => {
+    const owner = await Employee.findById(leave.employee?._id || leave.employee)
+        .select('company reportingManager department workSchedule region')
+        .lean();
+    if (!owner) {
+        throw new Error('Employee not found for leave');
+    }
+
+    const settings = await getLeaveSettings(owner.company);
+    const { breakdown } = await computeLeaveDuration(leave, owner);
+    const [overlaps, balance, coverage] = await Promise.all([
+        findOverlaps(leave, owner, breakdown),
+        checkBalance(leave, owner, breakdown, settings),
+        checkCoverage(leave, owner, breakdown, settings)
+    ]);
+
+    const errors = overlaps.map(overlap =>
+        `Overlaps your ${overlap.status} leave from ${toDateKey(overlap.startDate)} to ${toDateKey(overlap.endDate)}`);
+    if (balance && !balance.sufficient) {
+        balance.years
+            .filter(year => year.requested > year.available)
+            .forEach(year => errors.push(`Not enough ${balance.type} leave in ${year.leaveYear}: ${year.available} days available, ${year.requested} requested`));
+    }
+
+    const coverageMessages = coverage.map(shortage =>
+        `${shortage.absent} of ${shortage.size} people in the ${shortage.scope} would be off on ${shortage.date}`);
+    const enforcement = settings.coverageEnforcement;
+    if (enforcement === 'block') {
+        errors.push(...coverageMessages);
+    }
+
+    return {
+        overlaps,
+        balance,
+        coverage,
+        enforcement,
+        errors,
+        warnings: enforcement === 'block' ? [] : coverageMessages
+    };
+};
+
+module.exports = {
+    getDaySlots,
+    checkLeaveConflicts
+};
@@ -0,0 +1,99 @@
+const Employee = require('../models/Employee');
+const { getHolidayDates } = require('./holidays');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const DEFAULT_HOURS_PER_DAY = 8;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' of a date (leave dates are calendar days stored as UTC midnight)
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const minutesOfDay = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Length of a working day from the schedule's start and end time.
+ * An end time before the start time is an overnight shift.
+ * @param {Object} workSchedule - Employee.workSchedule
+ * @returns {number} Hours
+ */
+const getHoursPerDay = (workSchedule) => {
+    const start = minutesOfDay(workSchedule?.startTime);
+    const end = minutesOfDay(workSchedule?.endTime);
+    if (start === null || end === null || start === end) return DEFAULT_HOURS_PER_DAY;
+    return ((end - start + 24 * 60) % (24 * 60)) / 60;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Working time a leave request takes. Only the employee's working days count,
+ * and holidays on those days are skipped.
+ * - startHalfDay: the leave starts at midday (only the afternoon of startDate is taken)
+ * - endHalfDay: the leave ends at midday (only the morning of endDate is taken)
+ * - hours: hour-based leave within a single day
+ * @param {Object} request - { startDate, endDate, startHalfDay, endHalfDay, hours }
+ * @param {Object} context - { workSchedule, holidays: Date[]|string[] }
+ * @returns {Object} { days, hours, breakdown: [{ date, fraction }] }
+ */
+const calculateLeaveDuration = ({ startDate, endDate, startHalfDay = false, endHalfDay = false, hours = null }, { workSchedule, holidays = [] } = {}) => {
+    const workingDays = workSchedule?.workingDays?.length ? workSchedule.workingDays : DEFAULT_WORKING_DAYS;
+    const hoursPerDay = getHoursPerDay(workSchedule);
+    const holidayKeys = new Set(holidays.map(toDateKey));
+    const firstKey = toDateKey(startDate);
+    const lastKey = toDateKey(endDate);
+
+    const breakdown = [];
+    for (let time = Date.parse(firstKey); time <= Date.parse(lastKey); time += MS_PER_DAY) {
+        const date = new Date(time);
+        const key = toDateKey(date);
+        if (!workingDays.includes(DAY_NAMES[date.getUTCDay()]) || holidayKeys.has(key)) continue;
+
+        let fraction = 1;
+        if (hours) {
+            fraction = Math.min(hours / hoursPerDay, 1);
+        } else {
+            if (startHalfDay && key === firstKey) fraction -= 0.5;
+            if (endHalfDay && key === lastKey) fraction -= 0.5;
+            // A single day marked as both halves is still half a day
+            if (fraction <= 0) fraction = 0.5;
+        }
+        breakdown.push({ date: key, fraction });
+    }
+
+    const days = breakdown.reduce((sum, day) => sum + day.fraction, 0);
+    return {
+        days: round(days),
+        hours: round(days * hoursPerDay),
+        breakdown
+    };
+};
+
+/**
+ * Duration of a leave for its employee, using their work schedule and the holidays of their region
+ * @param {Object} leave - Leave document or plain request with an employee ID
+ * @param {Object} employee - Optional employee with workSchedule, company and region, loaded if omitted
+ * @returns {Promise<Object>} { days, hours, breakdown }
+ */
+const computeLeaveDuration = async (leave, employee = null) => {
+    const owner = employee?.workSchedule && employee?.company
+        ? employee
+        : await Employee.findById(leave.employee?._id || leave.employee).select('workSchedule company region').lean();
+    if (!owner) {
+        throw new Error('Employee not found for leave');
+    }
+
+    const holidays = await getHolidayDates(owner.company, leave.startDate, leave.endDate, owner.region || null);
+    return calculateLeaveDuration(leave, { workSchedule: owner.workSchedule, holidays });
+};
+
+module.exports = {
+    toDateKey,
+    minutesOfDay,
+    getHoursPerDay,
+    calculateLeaveDuration,
+    computeLeaveDuration
+};
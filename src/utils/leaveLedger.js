@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Employee = require('../models/Employee');
+const LeaveLedger = require('../models/LeaveLedger');
+const { computeLeaveDuration } = require('./leaveDuration');
+
+const DEFAULT_LEAVE_SETTINGS = {
+    yearStartMonth: 1,
+    payPeriod: 'monthly',
+    payPeriodAnchor: null,
+    maxTeamAbsentPercent: null,
+    maxDepartmentAbsentPercent: null,
+    coverageMinGroupSize: 3,
+    coverageEnforcement: 'warn'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Company leave settings (leave year, pay periods, coverage rules) with defaults filled in
+const getLeaveSettings = async (companyId) => {
+    const company = await Company.findById(companyId).select('leaveSettings').lean();
+    const settings = company?.leaveSettings || {};
+    return Object.fromEntries(Object.entries(DEFAULT_LEAVE_SETTINGS)
+        .map(([key, fallback]) => [key, settings[key] ?? fallback]));
+};
+
+/**
+ * Leave year a day belongs to, named after the calendar year it starts in
+ * @param {Date|string} date - Day
+ * @param {number} yearStartMonth - 1-12
+ * @returns {number}
+ */
+const getLeaveYear = (date, yearStartMonth = 1) => {
+    const day = new Date(date);
+    const year = day.getUTCFullYear();
+    return day.getUTCMonth() + 1 >= yearStartMonth ? year : year - 1;
+};
+
+// First day of a leave year and first day of the next one (UTC midnight)
+const getLeaveYearRange = (leaveYear, yearStartMonth = 1) => ({
+    start: new Date(Date.UTC(leaveYear, yearStartMonth - 1, 1)),
+    end: new Date(Date.UTC(leaveYear + 1, yearStartMonth - 1, 1))
+});
+
+/**
+ * Append a ledger entry. Entries with a periodKey are posted at most once per employee.
+ * A duplicate aborts a transaction, so inside one it is thrown like any other error.
+ * @param {Object} entry - LeaveLedger fields
+ * @param {Object} options - { session }
+ * @returns {Promise<Object|null>} The entry, or null if its periodKey was already posted
+ */
+const postLedgerEntry = async (entry, { session = null } = {}) => {
+    try {
+        const [posted] = await LeaveLedger.create([{ ...entry, days: round(entry.days) }], { session });
+        return posted;
+    } catch (error) {
+        if (error.code === 11000 && entry.periodKey && !session) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Per-type balances of an employee for one leave year
+ * @param {string} employeeId - Employee ID
+ * @param {number} leaveYear - Leave year
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>} [{ type, granted, carriedIn, carriedOut, used, expired, adjusted, balance }]
+ */
+const getBalances = async (employeeId, leaveYear, { session = null } = {}) => {
+    const totals = await LeaveLedger.aggregate([
+        { $match: { employee: new mongoose.Types.ObjectId(employeeId.toString()), leaveYear } },
+        {
+            $group: {
+                _id: { type: '$type', entryType: '$entryType', sign: { $cond: [{ $gte: ['$days', 0] }, 1, -1] } },
+                days: { $sum: '$days' }
+            }
+        }
+    ]).session(session);
+
+    const balances = {};
+    for (const { _id: { type, entryType, sign }, days } of totals) {
+        const balance = balances[type] || (balances[type] = {
+            type, granted: 0, carriedIn: 0, carriedOut: 0, used: 0, expired: 0, adjusted: 0, balance: 0
+        });
+        if (entryType === 'grant' || entryType === 'accrual') balance.granted += days;
+        else if (entryType === 'carry_over' && sign > 0) balance.carriedIn += days;
+        else if (entryType === 'carry_over') balance.carriedOut -= days;
+        else if (entryType === 'deduction' || entryType === 'restoration') balance.used -= days;
+        else if (entryType === 'expiry') balance.expired -= days;
+        else balance.adjusted += days;
+        balance.balance += days;
+    }
+
+    return Object.values(balances)
+        .map(balance => Object.fromEntries(Object.entries(balance).map(([key, value]) => [key, typeof value === 'number' ? round(value) : value])))
+        .sort((a, b) => a.type.localeCompare(b.type));
+};
+
+/**
+ * Days an approved leave takes per leave year: its working days split by year, with
+ * any difference to the stored duration (e.g. a holiday added since) on the first year
+ * @param {Object} leave - Leave with its employee ID and duration
+ * @returns {Promise<Object>} { company, employeeId, byYear: Map(leaveYear -> days) }
+ */
+const getLeaveCharge = async (leave) => {
+    const employeeId = leave.employee?._id || leave.employee;
+    const employee = await Employee.findById(employeeId).select('workSchedule company region').lean();
+    if (!employee) {
+        throw new Error('Employee not found for leave');
+    }
+    const { yearStartMonth } = await getLeaveSettings(employee.company);
+    const { breakdown } = await computeLeaveDuration(leave, employee);
+
+    const byYear = new Map();
+    breakdown.forEach(({ date, fraction }) => {
+        const year = getLeaveYear(date, yearStartMonth);
+        byYear.set(year, (byYear.get(year) || 0) + fraction);
+    });
+
+    const counted = [...byYear.values()].reduce((sum, days) => sum + days, 0);
+    const difference = (leave.duration?.days ?? counted) - counted;
+    if (difference) {
+        const firstYear = getLeaveYear(leave.startDate, yearStartMonth);
+        byYear.set(firstYear, (byYear.get(firstYear) || 0) + difference);
+    }
+    return { company: employee.company, employeeId, byYear };
+};
+
+// What is still deducted for a leave, per leave year and type (negative days)
+const getOutstandingCharge = async (leaveId, { session = null } = {}) => {
+    return LeaveLedger.aggregate([
+        { $match: { leave: leaveId, entryType: { $in: ['deduction', 'restoration'] } } },
+        { $group: { _id: { leaveYear: '$leaveYear', type: '$type', company: '$company', employee: '$employee' }, days: { $sum: '$days' } } }
+    ]).session(session);
+};
+
+/**
+ * Post the deduction for an approved leave, split over the leave years its days fall in
+ * @param {Object} leave - Approved leave with its employee ID and duration
+ * @param {Object} options - { actor, reason, session }
+ * @returns {Promise<Array>} Posted entries
+ */
+const postLeaveDeduction = async (leave, { actor = null, reason, session = null } = {}) => {
+    const { company, employeeId, byYear } = await getLeaveCharge(leave);
+
+    const entries = [];
+    for (const [leaveYear, days] of byYear) {
+        if (!days) continue;
+        entries.push(await postLedgerEntry({
+            company,
+            employee: employeeId,
+            type: leave.type,
+            leaveYear,
+            entryType: 'deduction',
+            days: -days,
+            reason: reason || 'Leave approved',
+            actor,
+            leave: leave._id,
+            effectiveDate: leave.startDate
+        }, { session }));
+    }
+    return entries;
+};
+
+/**
+ * Give back whatever is still deducted for a leave, per leave year
+ * @param {Object} leave - Leave whose approval is revoked
+ * @param {Object} options - { actor, reason, session }
+ * @returns {Promise<Array>} Posted entries
+ */
+const postLeaveRestoration = async (leave, { actor = null, reason, session = null } = {}) => {
+    const outstanding = await getOutstandingCharge(leave._id, { session });
+
+    const entries = [];
+    for (const { _id, days } of outstanding) {
+        if (round(days) >= 0) continue;
+        entries.push(await postLedgerEntry({
+            ..._id,
+            entryType: 'restoration',
+            days: -days,
+            reason: reason || 'Leave approval revoked',
+            actor,
+            leave: leave._id,
+            effectiveDate: leave.startDate
+        }, { session }));
+    }
+    return entries;
+};
+
+/**
+ * Bring what is deducted for an approved leave in line with its current dates and
+ * type, posting only the difference (so shortening a leave restores just the unused days)
+ * @param {Object} leave - Approved leave after the change
+ * @param {Object} options - { actor, reason, session }
+ * @returns {Promise<Array>} Posted entries
+ */
+const postLeaveChargeChange = async (leave, { actor = null, reason, session = null } = {}) => {
+    const [{ company, employeeId, byYear }, outstanding] = await Promise.all([
+        getLeaveCharge(leave),
+        getOutstandingCharge(leave._id, { session })
+    ]);
+
+    const charged = new Map(outstanding.map(({ _id, days }) => [`${_id.type}:${_id.leaveYear}`, -days]));
+    const target = new Map([...byYear].map(([leaveYear, days]) => [`${leave.type}:${leaveYear}`, days]));
+
+    const entries = [];
+    for (const key of new Set([...charged.keys(), ...target.keys()])) {
+        const difference = round((target.get(key) || 0) - (charged.get(key) || 0));
+        if (!difference) continue;
+        const [type, leaveYear] = key.split(':');
+        entries.push(await postLedgerEntry({
+            company,
+            employee: employeeId,
+            type,
+            leaveYear: Number(leaveYear),
+            entryType: difference > 0 ? 'deduction' : 'restoration',
+            days: -difference,
+            reason: reason || 'Approved leave changed',
+            actor,
+            leave: leave._id,
+            effectiveDate: leave.startDate
+        }, { session }));
+    }
+    return entries;
+};
+
+/**
+ * Refresh the employee's leaveBalance summary (all types, current leave year) from
+ * the ledger. The summary is a read-only cache; the ledger is the source of truth.
+ * @param {string} employeeId - Employee ID
+ * @param {Object} options - { session }
+ */
+const syncLeaveBalance = async (employeeId, { session = null } = {}) => {
+    const id = employeeId?._id || employeeId;
+    const employee = await Employee.findById(id).select('company').session(session).lean();
+    if (!employee) return;
+
+    const { yearStartMonth } = await getLeaveSettings(employee.company);
+    const balances = await getBalances(id, getLeaveYear(new Date(), yearStartMonth), { session });
+    const used = round(balances.reduce((sum, balance) => sum + balance.used, 0));
+    const remaining = round(balances.reduce((sum, balance) => sum + balance.balance, 0));
+
+    await Employee.updateOne(
+        { _id: id },
+        { $set: { leaveBalance: { total: round(remaining + used), used, remaining } } },
+        { session }
+    );
+};
+
+/**
+ * Post an employee's starting balance as a manual adjustment to the current leave year
+ * @param {Object} employee - Employee with _id and company
+ * @param {number} days - Opening balance
+ * @param {Object} options - { type, actor, session }
+ * @returns {Promise<Object|null>} The entry, or null if an opening balance was already posted
+ */
+const postOpeningBalance = async (employee, days, { type = 'annual', actor = null, session = null } = {}) => {
+    if (!days) return null;
+    const { yearStartMonth } = await getLeaveSettings(employee.company);
+    const entry = await postLedgerEntry({
+        company: employee.company,
+        employee: employee._id,
+        type,
+        leaveYear: getLeaveYear(new Date(), yearStartMonth),
+        entryType: 'adjustment',
+        days,
+        reason: 'Opening balance',
+        actor,
+        periodKey: `${type}:opening`
+    }, { session });
+    await syncLeaveBalance(employee._id, { session });
+    return entry;
+};
+
+module.exports = {
+    DEFAULT_LEAVE_SETTINGS,
+    getLeaveSettings,
+    getLeaveYear,
+    getLeaveYearRange,
+    postLedgerEntry,
+    getBalances,
+    postLeaveDeduction,
+    postLeaveRestoration,
+    postLeaveChargeChange,
+    syncLeaveBalance,
+    postOpeningBalance
+};
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Employee = require('../models/Employee');
+const { createSession } = require('./session');
+const { generateSecureToken, hashToken } = require('./auth');
+const { clearFailedLogins } = require('./accountLockout');
+const { getPasswordPolicy, isPasswordExpired } = require('./passwordPolicy');
+
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '10m';
+
+// Role from the employee record if it exists, otherwise the user's own role
+const resolveUserRole = async (user) => {
+    const employee = await Employee.findOne({ userId: user._id });
+    return { employee, role: employee?.role || user.role || 'user' };
+};
+
+/**
+ * Finish a successful login (after the second factor, where there is one): reset
+ * the failed attempt counter, record the login, start a session and build the response payload.
+ * A user whose password expired gets a password change token instead of a session.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, user } or { passwordChangeRequired, passwordChangeToken }
+ */
+const completeLogin = async (user, req) => {
+    const { employee, role } = await resolveUserRole(user);
+    const policy = await getPasswordPolicy(user.company);
+
+    await clearFailedLogins(user);
+
+    if (isPasswordExpired(user, policy)) {
+        return { passwordChangeRequired: true, passwordChangeToken: createPasswordChangeToken(user) };
+    }
+
+    // Update last login time
+    await user.updateLastLogin();
+
+    const userData = {
+        id: user._id,
+        email: user.email,
+        role,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        ...(employee && {
+            firstName: employee.firstName,
+            lastName: employee.lastName,
+            position: employee.position,
+            enrollmentStatus: employee.enrollmentStatus
+        })
+    };
+
+    // Start a session and issue an access token with the correct role
+    const { token, refreshToken, expiresIn } = await createSession(user, role, req);
+
+    return { token, refreshToken, expiresIn, user: userData };
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded.
+ * It carries no session, so authenticateToken never accepts it. Only the latest
+ * two_factor_login token of a user is valid, and only until it is used.
+ * @param {Object} user - User document
+ * @param {string} purpose - 'two_factor_login' or 'two_factor_setup'
+ * @returns {Promise<string>} Signed token
+ */
+const createTwoFactorToken = async (user, purpose) => {
+    const jti = generateSecureToken(16);
+    if (purpose === 'two_factor_login') {
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.loginTokenHash': hashToken(jti) } });
+    }
+    return jwt.sign(
+        { userId: user._id, purpose, jti },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN }
+    );
+};
+
+// Short-lived token that only allows changing an expired password (see POST /api/auth/change-password)
+const createPasswordChangeToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, purpose: 'password_change' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN }
+    );
+};
+
+// Whether a decoded two_factor_login token is the user's outstanding one
+const isTwoFactorTokenCurrent = (user, decoded) => {
+    return !!decoded.jti && user.twoFactor?.loginTokenHash === hashToken(decoded.jti);
+};
+
+// Use up a two_factor_login token; false if it was used (or replaced) in the meantime
+const consumeTwoFactorToken = async (decoded) => {
+    const result = await User.updateOne(
+        { _id: decoded.userId, 'twoFactor.loginTokenHash': hashToken(decoded.jti) },
+        { $unset: { 'twoFactor.loginTokenHash': 1 } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Decoded two-factor or password change token, or null if invalid, expired or for another purpose
+const verifyTwoFactorToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Whether the user's company requires two-factor authentication for this role
+const isTwoFactorEnforced = async (user, role) => {
+    const company = await Company.findById(user.company).select('twoFactorPolicy').lean();
+    return (company?.twoFactorPolicy?.enforcedRoles || []).includes(role);
+};
+
+module.exports = {
+    resolveUserRole,
+    completeLogin,
+    createTwoFactorToken,
+    verifyTwoFactorToken,
+    isTwoFactorTokenCurrent,
+    consumeTwoFactorToken,
+    isTwoFactorEnforced
+};
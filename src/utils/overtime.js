@@ -0,0 +1,207 @@
+const Company = require('../models/Company');
+const TimeEntry = require('../models/TimeEntry');
+const { toDateKey, getHoursPerDay } = require('./leaveDuration');
+const { getHolidayDates } = require('./holidays');
+const { getWeekStart, getWeekEnd } = require('./timesheets');
+
+const DEFAULT_OVERTIME_SETTINGS = {
+    dailyThresholdMinutes: null,  // null: the employee's scheduled working day
+    weeklyThresholdMinutes: null,  // null: no weekly limit
+    overtimeMultiplier: 1.5,
+    weekendDays: ['Saturday', 'Sunday'],
+    weekendMultiplier: 1,
+    holidayMultiplier: 1,
+    restDayWork: 'overtime'
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Company overtime rules with defaults filled in
+const getOvertimeSettings = async (companyId) => {
+    const company = await Company.findById(companyId).select('overtimeSettings').lean();
+    const settings = company?.overtimeSettings || {};
+    return Object.fromEntries(Object.entries(DEFAULT_OVERTIME_SETTINGS)
+        .map(([key, fallback]) => [key, settings[key] ?? fallback]));
+};
+
+// Date keys of the holidays an employee has off between two dates
+const getHolidayKeys = async (employee, from, to) => {
+    const holidays = await getHolidayDates(employee.company, from, to, employee.region || null);
+    return new Set(holidays.map(toDateKey));
+};
+
+/**
+ * How a day counts for overtime: holiday, rest day (not one of the employee's
+ * working days) or working day; the minutes after which work is overtime; and the
+ * rate for the day's regular time. Work on rest days and holidays is all overtime
+ * unless restDayWork is 'threshold'.
+ * @param {Object} employee - Employee with workSchedule
+ * @param {Date} date - Day (UTC midnight)
+ * @param {Object} options - { settings, holidayKeys }
+ * @returns {Object} { dayType, thresholdMinutes, multiplier }
+ */
+const getDayRules = (employee, date, { settings = DEFAULT_OVERTIME_SETTINGS, holidayKeys = new Set() } = {}) => {
+    const schedule = employee.workSchedule;
+    const workingDays = schedule?.workingDays?.length ? schedule.workingDays : DEFAULT_WORKING_DAYS;
+    const dayName = DAY_NAMES[new Date(date).getUTCDay()];
+
+    let dayType = 'working_day';
+    if (holidayKeys.has(toDateKey(date))) {
+        dayType = 'holiday';
+    } else if (!workingDays.includes(dayName)) {
+        dayType = 'rest_day';
+    }
+
+    const thresholdMinutes = dayType !== 'working_day' && settings.restDayWork === 'overtime'
+        ? 0
+        : settings.dailyThresholdMinutes ?? Math.round(getHoursPerDay(schedule) * 60);
+    let multiplier = 1;
+    if (dayType === 'holiday') {
+        multiplier = settings.holidayMultiplier;
+    } else if (settings.weekendDays.includes(dayName)) {
+        multiplier = settings.weekendMultiplier;
+    }
+
+    return { dayType, thresholdMinutes, multiplier };
+};
+
+// Minutes weighted by their rates; overtime is paid at the higher of the overtime and the day's rate
+const weighMinutes = (regularMinutes, overtimeMinutes, multiplier, settings) => {
+    return Math.round(regularMinutes * multiplier + overtimeMinutes * Math.max(settings.overtimeMultiplier, multiplier));
+};
+
+/**
+ * Split a day's worked minutes into regular and overtime by the daily rules
+ * @param {number} workedMinutes - Paid working time of the day
+ * @param {Object} day - getDayRules result
+ * @param {Object} settings - Overtime settings
+ * @returns {Object} { dayType, regularMinutes, overtimeMinutes, weightedMinutes }
+ */
+const splitDayMinutes = (workedMinutes, day, settings = DEFAULT_OVERTIME_SETTINGS) => {
+    const overtimeMinutes = Math.max(0, workedMinutes - day.thresholdMinutes);
+    const regularMinutes = workedMinutes - overtimeMinutes;
+    return {
+        dayType: day.dayType,
+        regularMinutes,
+        overtimeMinutes,
+        weightedMinutes: weighMinutes(regularMinutes, overtimeMinutes, day.multiplier, settings)
+    };
+};
+
+const addTotals = (totals, day) => {
+    ['workedMinutes', 'regularMinutes', 'overtimeMinutes', 'weightedMinutes'].forEach(key => { totals[key] += day[key]; });
+    return totals;
+};
+
+const emptyTotals = () => ({ workedMinutes: 0, regularMinutes: 0, overtimeMinutes: 0, weightedMinutes: 0 });
+
+const withHours = (totals) => ({
+    ...totals,
+    regularHours: Math.round(totals.regularMinutes / 60 * 100) / 100,
+    overtimeHours: Math.round(totals.overtimeMinutes / 60 * 100) / 100
+});
+
+/**
+ * Regular and overtime time of an employee's entries per day and per week (Monday
+ * to Sunday). Each day is split by the daily rules first; regular time beyond the
+ * weekly threshold, counted in date order, then becomes overtime as well. Entries
+ * must cover whole weeks for the weekly threshold to be right.
+ * @param {Array} entries - TimeEntries with date and workedMinutes
+ * @param {Object} employee - Employee with workSchedule
+ * @param {Object} options - { settings, holidayKeys }
+ * @returns {Object} { days, weeks }
+ */
+const summarizeEntries = (entries, employee, { settings = DEFAULT_OVERTIME_SETTINGS, holidayKeys = new Set() } = {}) => {
+    const weeks = new Map();
+    const days = [...entries]
+        .sort((a, b) => a.date - b.date)
+        .map(entry => {
+            const rules = getDayRules(employee, entry.date, { settings, holidayKeys });
+            const day = {
+                date: toDateKey(entry.date),
+                timeEntry: entry._id,
+                workedMinutes: entry.workedMinutes || 0,
+                ...splitDayMinutes(entry.workedMinutes || 0, rules, settings),
+                weeklyOvertimeMinutes: 0
+            };
+
+            const weekKey = toDateKey(getWeekStart(entry.date));
+            const week = weeks.get(weekKey) || { weekStart: weekKey, ...emptyTotals() };
+            if (settings.weeklyThresholdMinutes !== null) {
+                const moved = Math.min(day.regularMinutes, Math.max(0, week.regularMinutes + day.regularMinutes - settings.weeklyThresholdMinutes));
+                day.regularMinutes -= moved;
+                day.overtimeMinutes += moved;
+                day.weeklyOvertimeMinutes = moved;
+                day.weightedMinutes = weighMinutes(day.regularMinutes, day.overtimeMinutes, rules.multiplier, settings);
+            }
+            weeks.set(weekKey, addTotals(week, day));
+            return day;
+        });
+
+    return { days, weeks: [...weeks.values()].map(withHours) };
+};
+
+/**
+ * Employees' regular and overtime time between two dates (inclusive), with the
+ * company's current overtime rules. The rules, the holidays of each region and the
+ * time entries are loaded once for all of them. Weeks are reported whole, so the
+ * first and last week may include days outside the range.
+ * @param {Array} employees - Employees of one company, with company, workSchedule and region
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Map>} Employee ID -> { days, weeks, totals }
+ */
+const summarizeEmployeesTime = async (employees, from, to) => {
+    if (employees.length === 0) return new Map();
+    const company = employees[0].company;
+    const rangeStart = getWeekStart(from);
+    const rangeEnd = getWeekEnd(getWeekStart(to));
+    const regions = [...new Set(employees.map(employee => employee.region || null))];
+    const [settings, regionHolidayKeys, entries] = await Promise.all([
+        getOvertimeSettings(company),
+        Promise.all(regions.map(region => getHolidayKeys({ company, region }, rangeStart, new Date(rangeEnd.getTime() - MS_PER_DAY)))),
+        TimeEntry.find({ employee: { $in: employees.map(employee => employee._id) }, date: { $gte: rangeStart, $lt: rangeEnd } })
+            .select('employee date workedMinutes')
+            .lean()
+    ]);
+    const holidayKeysByRegion = new Map(regions.map((region, index) => [region, regionHolidayKeys[index]]));
+    const entriesByEmployee = new Map();
+    entries.forEach(entry => {
+        const key = entry.employee.toString();
+        if (!entriesByEmployee.has(key)) entriesByEmployee.set(key, []);
+        entriesByEmployee.get(key).push(entry);
+    });
+
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+    return new Map(employees.map(employee => {
+        const { days, weeks } = summarizeEntries(entriesByEmployee.get(employee._id.toString()) || [], employee, {
+            settings,
+            holidayKeys: holidayKeysByRegion.get(employee.region || null)
+        });
+        const daysInRange = days.filter(day => fromKey <= day.date && day.date <= toKey);
+        return [employee._id.toString(), {
+            days: daysInRange,
+            weeks,
+            totals: withHours(daysInRange.reduce(addTotals, emptyTotals()))
+        }];
+    }));
+};
+
+// One employee's time between two dates (see summarizeEmployeesTime)
+const summarizeEmployeeTime = async (employee, from, to) => {
+    return (await summarizeEmployeesTime([employee], from, to)).get(employee._id.toString());
+};
+
+module.exports = {
+    DEFAULT_OVERTIME_SETTINGS,
+    getOvertimeSettings,
+    getHolidayKeys,
+    getDayRules,
+    splitDayMinutes,
+    summarizeEntries,
+    summarizeEmployeesTime,
+    summarizeEmployeeTime
+};
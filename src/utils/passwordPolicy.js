@@ -0,0 +1,102 @@
+const bcrypt = require('bcryptjs');
+const Company = require('../models/Company');
+
+// Used when a company hasn't configured a policy (or doesn't exist yet)
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireNumber: false,
+    requireSymbol: false,
+    historyCount: 0,
+    maxAgeDays: 0,
+    maxFailedAttempts: 5,
+    lockoutMinutes: 15
+};
+
+/**
+ * Effective password policy for a company
+ * @param {string} companyId - Company ID (may be empty)
+ * @returns {Promise<Object>} Policy with defaults filled in
+ */
+const getPasswordPolicy = async (companyId) => {
+    const company = companyId ? await Company.findById(companyId).select('passwordPolicy').lean() : null;
+    const configured = company?.passwordPolicy || {};
+
+    const policy = { ...DEFAULT_PASSWORD_POLICY };
+    for (const key of Object.keys(DEFAULT_PASSWORD_POLICY)) {
+        if (configured[key] !== undefined && configured[key] !== null) {
+            policy[key] = configured[key];
+        }
+    }
+    return policy;
+};
+
+/**
+ * Check a new password against a policy
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Effective password policy
+ * @param {Object} user - Existing user, to check reuse against (optional)
+ * @returns {Promise<string[]>} Policy violations, empty if the password is acceptable
+ */
+const validatePassword = async (password, policy, user = null) => {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        errors.push(`Password must be at least ${policy.minLength} characters`);
+        return errors;
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        errors.push('Password must contain a symbol');
+    }
+
+    if (user && policy.historyCount > 0) {
+        const previous = [user.password, ...(user.passwordHistory || [])]
+            .filter(Boolean)
+            .slice(0, policy.historyCount);
+        for (const hash of previous) {
+            if (await bcrypt.compare(password, hash)) {
+                errors.push(`Password cannot match any of your last ${policy.historyCount} passwords`);
+                break;
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Set a new password on a user, remembering the old hash for reuse checks, and
+ * revoke their calendar feed URL. The caller is responsible for saving the user.
+ */
+const applyNewPassword = (user, password, policy) => {
+    if (user.password && policy.historyCount > 0) {
+        user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, policy.historyCount);
+    }
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.calendarFeedToken = null;
+};
+
+const isPasswordExpired = (user, policy) => {
+    if (!policy.maxAgeDays) return false;
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return !!changedAt && Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+    DEFAULT_PASSWORD_POLICY,
+    getPasswordPolicy,
+    validatePassword,
+    applyNewPassword,
+    isPasswordExpired
+};
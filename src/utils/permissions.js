@@ -0,0 +1,122 @@
+const Employee = require('../models/Employee');
+
+/**
+ * Permission catalogue. Self-service actions (own profile, own leaves, own
+ * time entries) need no permission; everything that touches other people does.
+ */
+const PERMISSIONS = {
+    'employee.read': 'View every employee in the company',
+    'employee.write': 'Create and update employees',
+    'employee.delete': 'Delete employees',
+    'employee.invite': 'Invite, resend and revoke employee invitations',
+    'employee.salary.read': 'View salaries of other employees',
+    'employee.salary.write': 'Change salaries',
+    'department.write': 'Create, update and delete departments',
+    'holiday.manage': 'Manage the company holiday calendar',
+    'leave.read': 'View leaves of every employee',
+    'leave.approve': 'Approve or reject any leave request',
+    'leave.manage': 'Create, edit and delete leave requests for other employees',
+    'leave.policy.manage': 'Manage leave policies and approval chains, and run leave accrual',
+    'leave.balance.adjust': 'Manually adjust leave balances',
+    'time.read': 'View time entries of every employee',
+    'time.approve': 'Approve or reject any timesheet or time correction',
+    'time.manage': 'Correct time entries of any employee directly (flagged as admin corrections)',
+    'shift.read': 'View the roster of every employee, including unpublished shifts',
+    'shift.manage': 'Manage shift templates, plan and publish the roster and approve any shift swap',
+    'user.manage': 'Unlock, suspend and reset user accounts',
+    'role.manage': 'Manage custom roles and assign roles to users',
+    'company.manage': 'Change company details and settings',
+    'audit.read': 'View and export the audit trail',
+    'team.read': 'View direct reports',
+    'team.leave.approve': 'Approve or reject leave requests of direct reports',
+    'team.time.read': 'View time entries of direct reports',
+    'team.time.approve': 'Approve or reject timesheets and time corrections of direct reports',
+    'team.shift.manage': 'Plan and publish shifts of direct reports and approve their shift swaps'
+};
+
+// Permissions of the built-in roles
+const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    hr: [
+        'employee.read',
+        'employee.write',
+        'employee.invite',
+        'employee.salary.read',
+        'employee.salary.write',
+        'department.write',
+        'holiday.manage',
+        'leave.read',
+        'leave.approve',
+        'leave.manage',
+        'leave.policy.manage',
+        'leave.balance.adjust',
+        'time.read',
+        'time.approve',
+        'shift.read',
+        'shift.manage',
+        'user.manage'
+    ],
+    employee: []
+};
+
+// Granted on top of the role to anyone who is some employee's reportingManager
+const MANAGER_PERMISSIONS = ['team.read', 'team.leave.approve', 'team.time.read', 'team.time.approve', 'team.shift.manage'];
+
+const isValidPermission = (permission) => {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+/**
+ * Effective permissions of a user
+ * @param {Object} options - { role, isManager, customRole }
+ * @returns {string[]} Sorted, de-duplicated permission names
+ */
+const resolvePermissions = ({ role, isManager = false, customRole = null }) => {
+    const permissions = new Set(ROLE_PERMISSIONS[role] || []);
+    if (isManager) {
+        MANAGER_PERMISSIONS.forEach(permission => permissions.add(permission));
+    }
+    (customRole?.permissions || [])
+        .filter(isValidPermission)
+        .forEach(permission => permissions.add(permission));
+    return [...permissions].sort();
+};
+
+const hasPermission = (user, permission) => {
+    return !!user?.permissions?.includes(permission);
+};
+
+// Whether the user is the direct reportingManager of an employee
+const isManagerOf = async (user, employeeId) => {
+    if (!user?.employeeId || !employeeId) return false;
+    return !!await Employee.exists({ _id: employeeId, reportingManager: user.employeeId });
+};
+
+/**
+ * Whether a user may act on an employee's records: it is their own record,
+ * they hold the company-wide permission, or they manage the employee and hold
+ * the team-scoped permission.
+ * @param {Object} user - req.user
+ * @param {string} employeeId - Target employee ID
+ * @param {Object} options - { permission, teamPermission }
+ */
+const canAccessEmployee = async (user, employeeId, { permission, teamPermission } = {}) => {
+    if (user?.employeeId && employeeId && user.employeeId.toString() === employeeId.toString()) {
+        return true;
+    }
+    if (permission && hasPermission(user, permission)) {
+        return true;
+    }
+    return !!teamPermission && hasPermission(user, teamPermission) && await isManagerOf(user, employeeId);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    MANAGER_PERMISSIONS,
+    isValidPermission,
+    resolvePermissions,
+    hasPermission,
+    isManagerOf,
+    canAccessEmployee
+};
@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateSecureToken, hashToken } = require('./auth');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const generateRefreshToken = () => {
+    return generateSecureToken(48);
+};
+
+const generateAccessToken = ({ userId, role, sessionId }) => {
+    return jwt.sign(
+        { userId, role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+const refreshTokenExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User document
+ * @param {string} role - Role to embed in the access token
+ * @param {Object} req - Express request, used for device details
+ */
+const createSession = async (user, role, req) => {
+    const refreshToken = generateRefreshToken();
+
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        expiresAt: refreshTokenExpiry()
+    });
+
+    return {
+        session,
+        token: generateAccessToken({ userId: user._id, role, sessionId: session._id }),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Replaying an already rotated refresh token revokes the whole session.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Function} resolveRole - Async callback returning the user's current role
+ * @returns {Promise<Object|null>} New tokens, or null if the token is not usable
+ */
+const rotateSession = async (refreshToken, resolveRole) => {
+    const tokenHash = hashToken(refreshToken);
+
+    const reused = await Session.findOne({ usedTokenHashes: tokenHash });
+    if (reused) {
+        if (reused.isValid) {
+            await revokeSession(reused, 'token_reuse');
+        }
+        return null;
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+
+    // Swap the hash atomically so two concurrent refreshes can't both succeed
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, isValid: true, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastUsedAt: new Date(),
+                expiresAt: refreshTokenExpiry()
+            },
+            $push: { usedTokenHashes: tokenHash }
+        },
+        { new: true }
+    );
+    if (!session) {
+        return null;
+    }
+
+    const role = await resolveRole(session.userId);
+    if (!role) {
+        await revokeSession(session, 'admin');
+        return null;
+    }
+
+    return {
+        session,
+        token: generateAccessToken({ userId: session.userId, role, sessionId: session._id }),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+const revokeSession = async (session, reason) => {
+    session.isValid = false;
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    return session.save();
+};
+
+/**
+ * Revoke every active session of a user, and their calendar feed URL with them
+ * @param {string} userId - User whose sessions should be revoked
+ * @param {string} reason - Revocation reason stored on the session
+ * @param {Object} options - Mongoose options, e.g. { session } for transactions
+ */
+const revokeAllSessions = async (userId, reason, options = {}) => {
+    await User.updateOne({ _id: userId }, { $set: { calendarFeedToken: null } }, options);
+    return Session.updateMany(
+        { userId, isValid: true },
+        { $set: { isValid: false, revokedAt: new Date(), revokedReason: reason } },
+        options
+    );
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,122 @@
+const Company = require('../models/Company');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const { toDateKey, minutesOfDay } = require('./leaveDuration');
+const { getLocalDateKey, zonedTimeToUtc, formatLocalTime } = require('./timezones');
+const { hasPermission, isManagerOf } = require('./permissions');
+
+const DEFAULT_SHIFT_SETTINGS = {
+    earlyClockInMinutes: 15,
+    requireShiftForClockIn: false
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Company shift settings (clock-in window, whether a shift is required) with defaults filled in
+const getShiftSettings = async (companyId) => {
+    const company = await Company.findById(companyId).select('shiftSettings').lean();
+    const settings = company?.shiftSettings || {};
+    return Object.fromEntries(Object.entries(DEFAULT_SHIFT_SETTINGS)
+        .map(([key, fallback]) => [key, settings[key] ?? fallback]));
+};
+
+// Length of a shift in minutes; a shift whose end is not after its start ends the next day
+const getShiftMinutes = ({ startTime, endTime }) => {
+    const start = minutesOfDay(startTime);
+    const end = minutesOfDay(endTime);
+    return end > start ? end - start : end - start + 24 * 60;
+};
+
+/**
+ * Start and end of a shift as instants, from its day and times in the employee's timezone
+ * @param {Object} shift - Shift with date, startTime and endTime
+ * @param {string} timeZone - The employee's timezone
+ * @returns {Object} { start, end }
+ */
+const getShiftWindow = (shift, timeZone) => {
+    const dateKey = toDateKey(shift.date);
+    const startMinutes = minutesOfDay(shift.startTime);
+    return {
+        start: zonedTimeToUtc(dateKey, startMinutes, timeZone),
+        end: zonedTimeToUtc(dateKey, startMinutes + getShiftMinutes(shift), timeZone)
+    };
+};
+
+/**
+ * An employee's published shifts between two days (inclusive)
+ * @param {string} employeeId - Employee ID
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Array>} Shifts, oldest first
+ */
+const getPublishedShifts = (employeeId, from, to) => {
+    return Shift.find({
+        employee: employeeId,
+        status: 'published',
+        date: { $gte: new Date(toDateKey(from)), $lte: new Date(toDateKey(to)) }
+    })
+        .sort({ date: 1 })
+        .lean();
+};
+
+/**
+ * Check a clock-in against the employee's roster: with a published shift around
+ * now, clocking in is allowed from earlyClockInMinutes before its start until its
+ * end. Without one, the company decides whether the static schedule is enough.
+ * @param {Object} employee - Employee with _id and company
+ * @param {string} timeZone - The employee's timezone
+ * @param {Date} now - Clock-in time
+ * @returns {Promise<string|null>} Error message
+ */
+const checkClockInShift = async (employee, timeZone, now = new Date()) => {
+    const today = new Date(getLocalDateKey(now, timeZone));
+    const [settings, shifts] = await Promise.all([
+        getShiftSettings(employee.company),
+        // Yesterday's shift may still be running; tomorrow's may start just after midnight
+        getPublishedShifts(employee._id, new Date(today.getTime() - MS_PER_DAY), new Date(today.getTime() + MS_PER_DAY))
+    ]);
+
+    const windows = shifts.map(shift => ({ shift, ...getShiftWindow(shift, timeZone) }));
+    const current = windows.find(({ start, end }) => now >= start.getTime() - settings.earlyClockInMinutes * MS_PER_MINUTE && now < end);
+    if (current) return null;
+
+    const todays = windows.find(({ shift }) => toDateKey(shift.date) === toDateKey(today));
+    if (todays) {
+        return now < todays.start
+            ? `Your shift starts at ${formatLocalTime(todays.start, timeZone)}; you can clock in ${settings.earlyClockInMinutes} minutes before it`
+            : `Your shift ended at ${formatLocalTime(todays.end, timeZone)}`;
+    }
+    return settings.requireShiftForClockIn ? 'You have no shift on the roster today' : null;
+};
+
+// Whether the user plans this employee's shifts: anyone with shift.manage, or their manager with team.shift.manage
+const canManageShifts = async (user, employeeId) => {
+    if (hasPermission(user, 'shift.manage')) return true;
+    return hasPermission(user, 'team.shift.manage') && await isManagerOf(user, employeeId);
+};
+
+/**
+ * Query conditions for the shifts a user may see on the roster: published shifts
+ * of the whole company, plus drafts of everyone with shift.read or shift.manage,
+ * or of their direct reports with team.shift.manage
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Filter to combine with the company filter
+ */
+const getRosterVisibility = async (user) => {
+    if (hasPermission(user, 'shift.read') || hasPermission(user, 'shift.manage')) return {};
+    if (!hasPermission(user, 'team.shift.manage')) return { status: 'published' };
+    const reports = await Employee.find({ reportingManager: user.employeeId }).select('_id').lean();
+    return { $or: [{ status: 'published' }, { employee: { $in: reports.map(emp => emp._id) } }] };
+};
+
+module.exports = {
+    DEFAULT_SHIFT_SETTINGS,
+    getShiftSettings,
+    getShiftMinutes,
+    getShiftWindow,
+    getPublishedShifts,
+    checkClockInShift,
+    canManageShifts,
+    getRosterVisibility
+};
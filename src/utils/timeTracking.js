@@ -0,0 +1,191 @@
+const Company = require('../models/Company');
+const Employee = require('../models/Employee');
+const TimeEntry = require('../models/TimeEntry');
+const { getLocalDateKey } = require('./timezones');
+const { getOvertimeSettings, getHolidayKeys, getDayRules, splitDayMinutes } = require('./overtime');
+
+const DEFAULT_TIME_SETTINGS = {
+    paidBreakMinutes: 0,
+    minimumBreaks: []
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Company time tracking settings (break rules) with defaults filled in
+const getTimeSettings = async (companyId) => {
+    const company = await Company.findById(companyId).select('timeSettings').lean();
+    const settings = company?.timeSettings || {};
+    return Object.fromEntries(Object.entries(DEFAULT_TIME_SETTINGS)
+        .map(([key, fallback]) => [key, settings[key] ?? fallback]));
+};
+
+// Timezone an employee's days are counted in: their own, else their company's
+const getEmployeeTimeZone = async (employee) => {
+    if (employee.timezone) return employee.timezone;
+    const company = await Company.findById(employee.company).select('timezone').lean();
+    return company?.timezone || 'UTC';
+};
+
+/**
+ * The day an instant falls on in a timezone, as stored in TimeEntry.date (UTC midnight)
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant (default now)
+ * @returns {Date}
+ */
+const getLocalDay = (timeZone, date = new Date()) => new Date(getLocalDateKey(date, timeZone));
+
+/**
+ * The entry's segments. Entries recorded before segments existed get theirs
+ * from clockIn and clockOut the first time they are touched.
+ * @param {Object} entry - TimeEntry document
+ * @returns {Array} entry.segments
+ */
+const getSegments = (entry) => {
+    if (entry.segments.length === 0 && entry.clockIn?.time) {
+        entry.segments.push({
+            type: 'work',
+            start: entry.clockIn.time,
+            end: entry.clockOut?.time || null,
+            location: entry.clockIn.location
+        });
+    }
+    return entry.segments;
+};
+
+// The segment still running, if any
+const getOpenSegment = (entry) => getSegments(entry).find(segment => !segment.end) || null;
+
+const segmentMinutes = (segment) => Math.max(0, Math.round((segment.end - segment.start) / MS_PER_MINUTE));
+
+/**
+ * Worked and break minutes of a day's closed segments. Breaks up to
+ * paidBreakMinutes count as work. When the work time passes a minimumBreaks
+ * threshold and less break than it asks for was recorded, the shortfall is
+ * taken off the work time as unpaid break.
+ * @param {Array} segments - Work and break segments
+ * @param {Object} options - { settings }
+ * @returns {Object} { workedMinutes, breakMinutes, breakDeductionMinutes }
+ */
+const calculateDayTotals = (segments, { settings = DEFAULT_TIME_SETTINGS } = {}) => {
+    const closed = segments.filter(segment => segment.end);
+    const workMinutes = closed.filter(segment => segment.type === 'work').reduce((sum, segment) => sum + segmentMinutes(segment), 0);
+    const breakMinutes = closed.filter(segment => segment.type === 'break').reduce((sum, segment) => sum + segmentMinutes(segment), 0);
+
+    const requiredBreak = settings.minimumBreaks
+        .filter(rule => workMinutes > rule.afterWorkedMinutes)
+        .reduce((max, rule) => Math.max(max, rule.breakMinutes), 0);
+    const breakDeductionMinutes = Math.min(workMinutes, Math.max(0, requiredBreak - breakMinutes));
+    const workedMinutes = workMinutes - breakDeductionMinutes + Math.min(breakMinutes, settings.paidBreakMinutes);
+
+    return { workedMinutes, breakMinutes, breakDeductionMinutes };
+};
+
+/**
+ * Recompute an entry's totals with its company's break and overtime rules (the
+ * daily ones; the weekly threshold is applied by the time summary), and mirror
+ * its segments into clockIn and clockOut. Call before saving a changed entry.
+ * @param {Object} entry - TimeEntry document
+ * @param {Object} employee - Owner with company, workSchedule and region (loaded when omitted)
+ * @returns {Promise<Object>} The entry
+ */
+const applyTimeTotals = async (entry, employee = null) => {
+    const owner = employee?.company && employee?.workSchedule
+        ? employee
+        : await Employee.findById(entry.employee).select('company workSchedule region').lean();
+    const [settings, overtimeSettings, holidayKeys] = await Promise.all([
+        getTimeSettings(owner.company),
+        getOvertimeSettings(owner.company),
+        getHolidayKeys(owner, entry.date, entry.date)
+    ]);
+    const segments = getSegments(entry);
+
+    const work = segments.filter(segment => segment.type === 'work');
+    const last = work[work.length - 1];
+    if (work.length > 0) {
+        entry.clockIn.time = work[0].start;
+        entry.clockIn.location = work[0].location;
+        entry.clockOut.time = getOpenSegment(entry) ? null : last.end;
+    }
+
+    const totals = calculateDayTotals(segments, { settings });
+    const day = getDayRules(owner, entry.date, { settings: overtimeSettings, holidayKeys });
+    Object.assign(entry, totals, splitDayMinutes(totals.workedMinutes, day, overtimeSettings), {
+        totalHours: Math.round(totals.workedMinutes / 60 * 100) / 100
+    });
+    return entry;
+};
+
+/**
+ * Check corrected segments for a day: every segment ends after it starts, they
+ * don't overlap, the first starts on the day (in the employee's timezone) and the
+ * day spans at most 24 hours, so a night shift may end the next morning
+ * @param {Array} segments - [{ type, start, end }]
+ * @param {string} dateKey - 'YYYY-MM-DD' of the entry
+ * @param {string} timeZone - The employee's timezone
+ * @returns {string|null} Error message
+ */
+const validateDaySegments = (segments, dateKey, timeZone) => {
+    const sorted = segments
+        .map(({ type, start, end }) => ({ type, start: new Date(start), end: new Date(end) }))
+        .sort((a, b) => a.start - b.start);
+    if (!sorted.some(segment => segment.type === 'work')) {
+        return 'A day needs at least one work segment';
+    }
+    if (sorted.some(segment => !(segment.end > segment.start))) {
+        return 'Every segment must end after it starts';
+    }
+    if (sorted.some((segment, index) => index > 0 && segment.start < sorted[index - 1].end)) {
+        return 'Segments must not overlap';
+    }
+    if (getLocalDateKey(sorted[0].start, timeZone) !== dateKey) {
+        return `The first segment must start on ${dateKey} (${timeZone})`;
+    }
+    if (sorted[sorted.length - 1].end - sorted[0].start > MS_PER_DAY) {
+        return 'A day can span at most 24 hours';
+    }
+    if (sorted[sorted.length - 1].end > new Date()) {
+        return 'Segments cannot end in the future';
+    }
+    return null;
+};
+
+const toPlainSegment = ({ type, start, end, location }) => ({ type, start, end, location });
+
+/**
+ * Replace an entry's segments with corrected ones. The punches as first recorded
+ * are kept in originalSegments and every correction is added to the history.
+ * @param {Object} entry - TimeEntry document
+ * @param {Array} segments - Checked segments (see validateDaySegments)
+ * @param {Object} options - { source: request|admin|auto, correction, actor, reason, employee }
+ * @returns {Promise<Object>} The entry, with totals recomputed
+ */
+const correctEntry = async (entry, segments, { source, correction = null, actor, reason, employee = null }) => {
+    const before = getSegments(entry).map(toPlainSegment);
+    if (!entry.originalSegments) {
+        entry.originalSegments = before;
+    }
+    const after = segments
+        .map(({ type, start, end, location }) => ({ type, start: new Date(start), end: new Date(end), location: location || 'Office' }))
+        .sort((a, b) => a.start - b.start);
+
+    entry.corrections.push({ source, correction, correctedBy: actor, reason, before, after });
+    entry.segments = after;
+    if (source === 'admin') {
+        entry.adminCorrected = true;
+    }
+    return applyTimeTotals(entry, employee);
+};
+
+module.exports = {
+    DEFAULT_TIME_SETTINGS,
+    getTimeSettings,
+    getEmployeeTimeZone,
+    getLocalDay,
+    getSegments,
+    getOpenSegment,
+    calculateDayTotals,
+    applyTimeTotals,
+    validateDaySegments,
+    correctEntry
+};
@@ -0,0 +1,88 @@
+const Timesheet = require('../models/Timesheet');
+const TimeEntry = require('../models/TimeEntry');
+const { toDateKey } = require('./leaveDuration');
+const { hasPermission, isManagerOf } = require('./permissions');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Timesheet statuses that keep the week's entries from changing
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+/**
+ * Monday (UTC midnight) of the week a date falls in
+ * @param {Date|string} date - Any day of the week
+ * @returns {Date} Week start
+ */
+const getWeekStart = (date) => {
+    const day = new Date(toDateKey(date));
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * MS_PER_DAY);
+};
+
+const getWeekEnd = (weekStart) => new Date(weekStart.getTime() + 7 * MS_PER_DAY);
+
+/**
+ * An employee's time entries in a week
+ * @param {string} employeeId - Employee ID
+ * @param {Date} weekStart - Monday of the week
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+const getWeekEntries = (employeeId, weekStart, { session } = {}) => {
+    return TimeEntry.find({ employee: employeeId, date: { $gte: weekStart, $lt: getWeekEnd(weekStart) } })
+        .sort({ date: 1 })
+        .session(session || null);
+};
+
+/**
+ * The submitted or approved timesheet covering a day, if any. Entries of such
+ * a week can't be clocked, corrected or edited until the sheet is rejected.
+ * @param {string} employeeId - Employee ID
+ * @param {Date} date - Day of the entry
+ * @returns {Promise<Object|null>} Locking timesheet
+ */
+const getLockingTimesheet = (employeeId, date) => {
+    return Timesheet.findOne({ employee: employeeId, weekStart: getWeekStart(date), status: { $in: LOCKED_STATUSES } }).lean();
+};
+
+/**
+ * Bring a week's timesheet totals up to date after its entries were corrected
+ * @param {string} employeeId - Employee ID
+ * @param {Date} date - Any day of the week
+ * @param {Object} options - { session }
+ */
+const refreshTimesheetTotals = async (employeeId, date, { session } = {}) => {
+    const weekStart = getWeekStart(date);
+    const timesheet = await Timesheet.findOne({ employee: employeeId, weekStart }).session(session || null);
+    if (!timesheet) return;
+    const entries = await getWeekEntries(employeeId, weekStart, { session });
+    timesheet.totalHours = sumHours(entries);
+    timesheet.entryCount = entries.length;
+    await timesheet.save({ session });
+};
+
+/**
+ * Whether a user may approve an employee's timesheets and time corrections: anyone
+ * with time.approve, or the employee's manager with team.time.approve. Nobody
+ * approves their own time.
+ * @param {Object} user - req.user
+ * @param {string} employeeId - Employee whose time it is
+ * @returns {Promise<boolean>}
+ */
+const canApproveTime = async (user, employeeId) => {
+    if (user.employeeId && user.employeeId.toString() === employeeId.toString()) return false;
+    if (hasPermission(user, 'time.approve')) return true;
+    return hasPermission(user, 'team.time.approve') && await isManagerOf(user, employeeId);
+};
+
+const sumHours = (entries) => Math.round(entries.reduce((sum, entry) => sum + (entry.totalHours || 0), 0) * 100) / 100;
+
+module.exports = {
+    LOCKED_STATUSES,
+    getWeekStart,
+    getWeekEnd,
+    getWeekEntries,
+    getLockingTimesheet,
+    refreshTimesheetTotals,
+    canApproveTime,
+    sumHours
+};
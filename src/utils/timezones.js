@@ -0,0 +1,59 @@
+// Whether a string is an IANA timezone name the runtime knows (e.g. Europe/Berlin)
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Calendar day of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const getLocalDateKey = (date, timeZone = 'UTC') => {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(new Date(date));
+};
+
+// 'HH:MM' wall-clock time of an instant in a timezone
+const formatLocalTime = (date, timeZone = 'UTC') => {
+    return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .format(new Date(date));
+};
+
+// Minutes a timezone is ahead of UTC at an instant
+const getOffsetMinutes = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant a wall-clock time on a calendar day happens in a timezone
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} minutesOfDay - Minutes after local midnight (may exceed a day for overnight times)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateKey, minutesOfDay, timeZone = 'UTC') => {
+    const wallClock = Date.parse(dateKey) + minutesOfDay * 60000;
+    const firstGuess = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+    // Around DST changes the offset at the guess can differ from the offset at the result
+    return new Date(wallClock - getOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+};
+
+module.exports = {
+    isValidTimeZone,
+    getLocalDateKey,
+    formatLocalTime,
+    zonedTimeToUtc
+};